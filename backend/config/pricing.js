@@ -0,0 +1,56 @@
+/**
+ * Model Pricing
+ * Estimated USD prices per million tokens, used to cost each AI request
+ *
+ * Prices change; check the provider's pricing page when updating. For self-hosted or
+ * unlisted models set LLM_PRICE_INPUT and LLM_PRICE_OUTPUT (USD per million tokens).
+ */
+
+// Ordered so longer, more specific prefixes match first (e.g. "gpt-4o-mini" before "gpt-4")
+const MODEL_PRICES = [
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+  { prefix: 'gpt-4o', input: 2.50, output: 10.00 },
+  { prefix: 'gpt-4-turbo', input: 10.00, output: 30.00 },
+  { prefix: 'gpt-4-32k', input: 60.00, output: 120.00 },
+  { prefix: 'gpt-4', input: 30.00, output: 60.00 },
+  { prefix: 'gpt-3.5-turbo', input: 0.50, output: 1.50 },
+  { prefix: 'text-embedding-3-small', input: 0.02, output: 0 },
+  { prefix: 'text-embedding-3-large', input: 0.13, output: 0 }
+];
+
+/**
+ * Look up the price of a model
+ * @param {string} model - Model name as reported by the provider
+ * @returns {object|null} - { input, output } USD per million tokens, or null if unknown
+ */
+const getModelPrice = (model) => {
+  if (process.env.LLM_PRICE_INPUT || process.env.LLM_PRICE_OUTPUT) {
+    return {
+      input: parseFloat(process.env.LLM_PRICE_INPUT) || 0,
+      output: parseFloat(process.env.LLM_PRICE_OUTPUT) || 0
+    };
+  }
+
+  const name = (model || '').toLowerCase();
+  return MODEL_PRICES.find(price => name.startsWith(price.prefix)) || null;
+};
+
+/**
+ * Estimate the cost of a request
+ * @param {string} model - Model name
+ * @param {object} usage - { promptTokens, completionTokens }
+ * @returns {number} - Cost in USD (0 for unknown models)
+ */
+const estimateCost = (model, { promptTokens = 0, completionTokens = 0 }) => {
+  const price = getModelPrice(model);
+  if (!price) return 0;
+
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+};
+
+module.exports = {
+  MODEL_PRICES,
+  getModelPrice,
+  estimateCost
+};
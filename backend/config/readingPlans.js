@@ -0,0 +1,46 @@
+/**
+ * Reading Plans
+ * Built-in plans every user can follow
+ *
+ * A plan reads its books' chapters in order, spread as evenly as possible over its days.
+ * Users can also build custom plans from any run of books (see routes/plans.js).
+ */
+
+const { BOOKS } = require('../utils/scriptureReference');
+
+/**
+ * Names of the books matching a filter, in canonical order
+ * @param {function} filter - Book filter
+ * @returns {array} - Book names
+ */
+const booksWhere = (filter) => BOOKS.filter(filter).map(book => book.name);
+
+const BUILT_IN_PLANS = {
+  'bofm-90': {
+    name: 'Book of Mormon in 90 Days',
+    description: 'Read the whole Book of Mormon in about three months, two or three chapters a day.',
+    books: booksWhere(book => book.work === 'bofm'),
+    days: 90
+  },
+  'nt-260': {
+    name: 'New Testament, a Chapter a Day',
+    description: 'Read the New Testament from Matthew to Revelation, one chapter each day.',
+    books: booksWhere(book => book.testament === 'nt'),
+    days: 260
+  }
+};
+
+const BUILT_IN_PLAN_KEYS = Object.keys(BUILT_IN_PLANS);
+
+// Longest plan a user can build
+const MAX_PLAN_DAYS = 730;
+
+// Most custom plans one user can keep
+const MAX_CUSTOM_PLANS = 20;
+
+module.exports = {
+  BUILT_IN_PLANS,
+  BUILT_IN_PLAN_KEYS,
+  MAX_PLAN_DAYS,
+  MAX_CUSTOM_PLANS
+};
@@ -0,0 +1,58 @@
+/**
+ * Question Tiers
+ * Daily question allowances for each kind of account
+ *
+ * A user's tier comes from their subscription status. To add a tier, add it to TIERS
+ * and map the subscription status that grants it in SUBSCRIPTION_TIERS.
+ * A dailyQuestions of null means unlimited.
+ *
+ * Environment:
+ *   FREE_TIER_DAILY_LIMIT     - Questions per day on the free tier (default 5)
+ *   PREMIUM_TIER_DAILY_LIMIT  - Questions per day on premium (default unlimited)
+ */
+
+/**
+ * Read a daily limit from the environment
+ * @param {string} value - Environment value
+ * @param {number|null} fallback - Limit when the value is unset or invalid
+ * @returns {number|null} - Questions per day, or null for unlimited
+ */
+const readLimit = (value, fallback) => {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+};
+
+const TIERS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    dailyQuestions: readLimit(process.env.FREE_TIER_DAILY_LIMIT, 5)
+  },
+  premium: {
+    id: 'premium',
+    name: 'Premium',
+    dailyQuestions: readLimit(process.env.PREMIUM_TIER_DAILY_LIMIT, null)
+  }
+};
+
+// Subscription status -> tier
+const SUBSCRIPTION_TIERS = {
+  free: 'free',
+  cancelled: 'free',
+  premium: 'premium'
+};
+
+/**
+ * Get the tier a user's questions are counted against
+ * @param {object} user - User document
+ * @returns {object} - Tier from TIERS
+ */
+const getTier = (user) => {
+  const status = user.subscription && user.subscription.status;
+  return TIERS[SUBSCRIPTION_TIERS[status]] || TIERS.free;
+};
+
+module.exports = {
+  TIERS,
+  getTier
+};
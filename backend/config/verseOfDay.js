@@ -0,0 +1,50 @@
+/**
+ * Verse of the Day
+ * Settings for the rotation used on days no one has scheduled a verse for
+ *
+ * Admins plan verses for particular days (see routes/admin.js); every other day shows a verse
+ * picked from the scripture corpus by the day's position in the rotation
+ * (services/verseOfDay.js). The verses here are used only until the corpus is imported.
+ */
+
+const FALLBACK_VERSES = [
+  { reference: '1 Nephi 3:7', text: 'I will go and do the things which the Lord hath commanded, for I know that the Lord giveth no commandments unto the children of men, save he shall prepare a way for them that they may accomplish the thing which he commandeth them.' },
+  { reference: '2 Nephi 2:25', text: 'Adam fell that men might be; and men are, that they might have joy.' },
+  { reference: '2 Nephi 31:20', text: 'Wherefore, ye must press forward with a steadfastness in Christ, having a perfect brightness of hope, and a love of God and of all men.' },
+  { reference: 'Alma 32:21', text: 'Faith is not to have a perfect knowledge of things; therefore if ye have faith ye hope for things which are not seen, which are true.' },
+  { reference: 'Moroni 10:4-5', text: 'And when ye shall receive these things, I would exhort you that ye would ask God, the Eternal Father, in the name of Christ, if these things are not true; and if ye shall ask with a sincere heart, with real intent, having faith in Christ, he will manifest the truth of it unto you, by the power of the Holy Ghost.' },
+  { reference: 'Mosiah 2:17', text: 'When ye are in the service of your fellow beings ye are only in the service of your God.' },
+  { reference: 'Ether 12:27', text: 'And if men come unto me I will show unto them their weakness. I give unto men weakness that they may be humble; and my grace is sufficient for all men that humble themselves before me.' },
+  { reference: 'D&C 6:36', text: 'Look unto me in every thought; doubt not, fear not.' },
+  { reference: 'D&C 58:42', text: 'Behold, he who has repented of his sins, the same is forgiven, and I, the Lord, remember them no more.' },
+  { reference: 'D&C 121:7-8', text: 'My son, peace be unto thy soul; thine adversity and thine afflictions shall be but a small moment; And then, if thou endure it well, God shall exalt thee on high.' },
+  { reference: 'Moses 1:39', text: 'For behold, this is my work and my glory—to bring to pass the immortality and eternal life of man.' },
+  { reference: 'Mosiah 4:9', text: 'Believe in God; believe that he is, and that he created all things, both in heaven and in earth; believe that he has all wisdom, and all power, both in heaven and in earth.' },
+  { reference: 'Alma 37:37', text: 'Counsel with the Lord in all thy doings, and he will direct thee for good.' },
+  { reference: 'D&C 82:10', text: 'I, the Lord, am bound when ye do what I say; but when ye do not what I say, ye have no promise.' },
+  { reference: '3 Nephi 11:29', text: 'For verily, verily I say unto you, he that hath the spirit of contention is not of me, but is of the devil.' },
+  { reference: 'John 3:16', text: 'For God so loved the world, that he gave his only begotten Son, that whosoever believeth in him should not perish, but have everlasting life.' },
+  { reference: 'Proverbs 3:5-6', text: 'Trust in the Lord with all thine heart; and lean not unto thine own understanding. In all thy ways acknowledge him, and he shall direct thy paths.' },
+  { reference: 'Philippians 4:13', text: 'I can do all things through Christ which strengtheneth me.' }
+];
+
+// Day the rotation starts from, so it runs on across year boundaries
+const ROTATION_START_DAY = '2024-01-01';
+
+// Corpus positions advance by this prime each day, so consecutive days come from
+// different books while every verse is still reached once per cycle
+const ROTATION_STRIDE = 7919;
+
+// Days listed in one archive page (default and most), and in one admin schedule request
+const ARCHIVE_PAGE_SIZE = 30;
+const MAX_ARCHIVE_PAGE = 60;
+const MAX_SCHEDULE_RANGE_DAYS = 92;
+
+module.exports = {
+  FALLBACK_VERSES,
+  ROTATION_START_DAY,
+  ROTATION_STRIDE,
+  ARCHIVE_PAGE_SIZE,
+  MAX_ARCHIVE_PAGE,
+  MAX_SCHEDULE_RANGE_DAYS
+};
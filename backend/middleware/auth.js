@@ -68,26 +68,81 @@ const requirePremium = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Check if user can ask a question
- * Paid users have unlimited questions
+ * Require an admin account (use after protect)
+ */
+const requireAdmin = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new ApiError('Please log in to access this resource.', 401);
+  }
+
+  if (req.user.role !== 'admin') {
+    throw new ApiError('You do not have permission to access this resource.', 403);
+  }
+
+  next();
+});
+
+/**
+ * Report a user's question quota in response headers
+ * @param {object} res - Express response
+ * @param {object} quota - Result of user.canAskQuestion()
+ */
+const setQuotaHeaders = (res, quota) => {
+  res.setHeader('X-Quota-Tier', quota.tier);
+  res.setHeader('X-Quota-Limit', quota.limit === null ? 'unlimited' : quota.limit);
+  res.setHeader('X-Quota-Remaining', quota.limit === null ? 'unlimited' : quota.remaining);
+  if (quota.resetTime) {
+    res.setHeader('X-Quota-Reset', quota.resetTime.toISOString());
+  }
+};
+
+/**
+ * Count the question against the user's daily quota for their tier, or reject it
+ * with 429 when none is left. The quota is reported in X-Quota-* headers.
+ * The question is given back automatically if the request fails with an error status;
+ * routes call req.releaseQuestion() when they answer without counting it.
  */
 const checkQuestionLimit = asyncHandler(async (req, res, next) => {
   if (!req.user) {
     throw new ApiError('Please log in to access this resource.', 401);
   }
 
-  // All authenticated users with active subscription can ask unlimited questions
-  if (req.user.subscription.status === 'premium') {
-    req.questionsRemaining = Infinity;
-    req.resetTime = null;
-    return next();
+  const now = new Date();
+  const { allowed, day } = await req.user.consumeQuestion(now);
+  const quota = req.user.canAskQuestion(now);
+  setQuotaHeaders(res, quota);
+
+  if (!allowed) {
+    if (quota.resetTime) {
+      res.setHeader('Retry-After', Math.ceil((quota.resetTime - now) / 1000));
+    }
+    throw new ApiError(
+      `You've used all ${quota.limit} of today's questions. Upgrade to premium for more, or come back tomorrow.`,
+      429
+    );
   }
 
-  // Users without premium subscription need to subscribe
-  throw new ApiError(
-    'Please subscribe to continue asking questions.',
-    402 // Payment Required
-  );
+  req.questionsRemaining = quota.remaining;
+  req.resetTime = quota.resetTime;
+
+  let released = false;
+  req.releaseQuestion = async () => {
+    if (released) return;
+    released = true;
+
+    try {
+      await req.user.releaseQuestion(day);
+      req.questionsRemaining = req.user.canAskQuestion().remaining;
+    } catch (error) {
+      console.error('Question quota release error:', error);
+    }
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) req.releaseQuestion();
+  });
+
+  next();
 });
 
 /**
@@ -134,6 +189,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 module.exports = {
   protect,
   requirePremium,
+  requireAdmin,
   checkQuestionLimit,
   generateToken,
   optionalAuth
@@ -66,9 +66,24 @@ const paymentLimiter = rateLimit({
   legacyHeaders: false
 });
 
+/**
+ * Rate limiter for exporting every chat at once (each builds a whole archive)
+ */
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 archives per hour
+  message: {
+    success: false,
+    message: 'Too many exports. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 module.exports = {
   rateLimiter,
   authLimiter,
   chatLimiter,
+  exportLimiter,
   paymentLimiter
 };
@@ -0,0 +1,163 @@
+/**
+ * AnonymousSession Model
+ * Server-side quota and transcript for visitors chatting without an account
+ *
+ * A session is identified by a signed token the client sends in the X-Anonymous-Session
+ * header (see services/anonymous.js). When the visitor signs up, the transcript is
+ * moved into a Chat for the new account and the session is marked as claimed.
+ */
+
+const mongoose = require('mongoose');
+const { MODE_IDS, DEFAULT_MODE } = require('../config/studyModes');
+
+// Most messages kept in the transcript (oldest are dropped first)
+const MAX_TRANSCRIPT_MESSAGES = 60;
+
+// Sessions are deleted after this long without activity
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const transcriptMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [10000, 'Message content cannot exceed 10000 characters']
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  safeResponse: Boolean,
+  cannedResponse: Boolean
+}, { _id: false });
+
+const anonymousSessionSchema = new mongoose.Schema({
+  // Salted hash of the client IP (never the address itself), for the per-IP daily cap
+  ipHash: {
+    type: String,
+    required: true
+  },
+
+  // Study mode of the most recent question
+  mode: {
+    type: String,
+    enum: MODE_IDS,
+    default: DEFAULT_MODE
+  },
+
+  // AI answers used against ANONYMOUS_MESSAGE_LIMIT
+  messageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  messages: [transcriptMessageSchema],
+
+  // Set once the transcript has been moved into an account
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+anonymousSessionSchema.index({ ipHash: 1, createdAt: -1 });
+anonymousSessionSchema.index({ lastActivity: 1 }, { expireAfterSeconds: SESSION_TTL_SECONDS });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Take one message from the session's quota, if any is left
+ * @param {ObjectId} sessionId - Session ID
+ * @param {number} limit - Messages allowed per session
+ * @returns {object} - Updated session or null when the quota is used up
+ */
+anonymousSessionSchema.statics.reserveMessage = function(sessionId, limit) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, claimedBy: null, messageCount: { $lt: limit } },
+    { $inc: { messageCount: 1 }, $set: { lastActivity: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Give back a reserved message (the answer failed)
+ * @param {ObjectId} sessionId - Session ID
+ */
+anonymousSessionSchema.statics.releaseMessage = function(sessionId) {
+  return this.updateOne(
+    { _id: sessionId, messageCount: { $gt: 0 } },
+    { $inc: { messageCount: -1 } }
+  );
+};
+
+/**
+ * Append a question and its answer to the transcript
+ * @param {ObjectId} sessionId - Session ID
+ * @param {array} messages - Transcript messages to add
+ * @param {string} mode - Study mode used
+ */
+anonymousSessionSchema.statics.appendMessages = function(sessionId, messages, mode) {
+  return this.updateOne(
+    { _id: sessionId, claimedBy: null },
+    {
+      $push: { messages: { $each: messages, $slice: -MAX_TRANSCRIPT_MESSAGES } },
+      $set: { mode, lastActivity: new Date() }
+    }
+  );
+};
+
+/**
+ * Count AI answers used by sessions from one IP since a date
+ * @param {string} ipHash - Hashed client IP
+ * @param {Date} since - Start of the window
+ * @returns {number} - Messages used
+ */
+anonymousSessionSchema.statics.countMessagesByIp = async function(ipHash, since) {
+  const [result] = await this.aggregate([
+    { $match: { ipHash, createdAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: '$messageCount' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+/**
+ * Mark a session as claimed by a user and clear its transcript (only one claim can succeed)
+ * @param {ObjectId} sessionId - Session ID
+ * @param {ObjectId} userId - New account's ID
+ * @returns {object} - The session as it was before the claim (with its transcript),
+ *                     or null if it was already claimed
+ */
+anonymousSessionSchema.statics.claim = function(sessionId, userId) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, claimedBy: null },
+    { $set: { claimedBy: userId, claimedAt: new Date(), messages: [] } },
+    { new: false }
+  ).lean();
+};
+
+const AnonymousSession = mongoose.model('AnonymousSession', anonymousSessionSchema);
+
+module.exports = AnonymousSession;
@@ -0,0 +1,142 @@
+/**
+ * Bookmark Model
+ * Scripture passages a user has saved to their library, optionally highlighted in a color
+ *
+ * Bookmarks are keyed on the canonical reference, so saving "Moroni 10:4,5" after
+ * "moro. 10:4-5" updates the same bookmark instead of adding a second one.
+ */
+
+const mongoose = require('mongoose');
+const { BOOKS } = require('../utils/scriptureReference');
+
+// Highlight colors a bookmark can be labeled with
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Canonical reference, e.g. "Alma 32:21"
+  reference: {
+    type: String,
+    required: true
+  },
+  work: {
+    type: String,
+    required: true
+  },
+  book: {
+    type: String,
+    required: true
+  },
+  chapter: {
+    type: Number,
+    required: true
+  },
+  verses: {
+    type: [Number],
+    default: undefined
+  },
+
+  // Highlight color (null for a plain bookmark)
+  color: {
+    type: String,
+    enum: [...HIGHLIGHT_COLORS, null],
+    default: null
+  },
+
+  // Where the passage was first saved from
+  source: {
+    type: String,
+    enum: ['chat', 'verse-of-day', 'library'],
+    default: 'library'
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+bookmarkSchema.index({ user: 1, reference: 1 }, { unique: true });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Save a passage to a user's library, merging with an existing bookmark on the same reference
+ * @param {ObjectId} userId - User's ID
+ * @param {object} passage - { reference, work, book, chapter, verses } from parsePassage
+ * @param {object} options - { color (undefined keeps the current color), source, chatId }
+ * @returns {object} - { bookmark, created }
+ */
+bookmarkSchema.statics.saveReference = async function(userId, passage, { color, source = 'library', chatId = null } = {}) {
+  const update = {
+    $setOnInsert: {
+      work: passage.work,
+      book: passage.book,
+      chapter: passage.chapter,
+      verses: passage.verses.length > 0 ? passage.verses : undefined,
+      source,
+      chat: chatId
+    }
+  };
+  if (color !== undefined) {
+    update.$set = { color };
+  } else {
+    update.$setOnInsert.color = null;
+  }
+
+  const save = () => this.findOneAndUpdate(
+    { user: userId, reference: passage.reference },
+    update,
+    { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+  );
+
+  let result;
+  try {
+    result = await save();
+  } catch (error) {
+    // Two saves of a new reference raced; the second one now updates the first
+    if (error.code !== 11000) throw error;
+    result = await save();
+  }
+
+  return { bookmark: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+/**
+ * Get a user's library in canonical scripture order
+ * @param {ObjectId} userId - User's ID
+ * @param {object} options - { color: only bookmarks highlighted in this color }
+ * @returns {array} - Bookmark documents (lean)
+ */
+bookmarkSchema.statics.getLibrary = async function(userId, { color } = {}) {
+  const match = { user: userId };
+  if (color) match.color = color;
+
+  const bookmarks = await this.find(match).lean();
+  const bookOrder = new Map(BOOKS.map((book, index) => [book.name, index]));
+  const firstVerse = (bookmark) => bookmark.verses?.[0] || 0;
+
+  return bookmarks.sort((a, b) =>
+    (bookOrder.get(a.book) - bookOrder.get(b.book)) ||
+    (a.chapter - b.chapter) ||
+    (firstVerse(a) - firstVerse(b))
+  );
+};
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+Bookmark.HIGHLIGHT_COLORS = HIGHLIGHT_COLORS;
+
+module.exports = Bookmark;
@@ -4,9 +4,84 @@
  */
 
 const mongoose = require('mongoose');
+const { MODE_IDS, DEFAULT_MODE } = require('../config/studyModes');
 
-// Schema for individual messages within a chat
+// Result of checking one scripture citation in an AI response against the corpus
+const citationSchema = new mongoose.Schema({
+  reference: { type: String, required: true },  // Canonical form, e.g. "Alma 32:21"
+  text: String,                                 // As written in the response
+  work: String,
+  book: String,
+  chapter: Number,
+  verses: [Number],
+  quote: String,                                // Quoted words attributed to the reference
+  status: {
+    type: String,
+    enum: ['verified', 'misquoted', 'nonexistent', 'unverified'],
+    required: true
+  }
+}, { _id: false });
+
+// A corpus passage supplied to the model as grounding for an answer
+const sourceSchema = new mongoose.Schema({
+  reference: { type: String, required: true },
+  work: String,
+  book: String,
+  chapter: Number,
+  verse: Number,
+  text: String,
+  score: Number
+}, { _id: false });
+
+// Tokens and estimated cost of the AI request that produced an assistant message
+const usageSchema = new mongoose.Schema({
+  promptTokens: Number,
+  completionTokens: Number,
+  totalTokens: Number,
+  model: String,
+  cost: Number,         // Estimated USD (see config/pricing.js)
+  estimated: Boolean    // True when counted locally because the provider reported no usage
+}, { _id: false });
+
+// Safety detection on a user message (see services/safety.js). No excerpt of the message is kept.
+const safetySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['self_harm', 'abuse', 'distress'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['medium', 'high'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['rules', 'model'],
+    required: true
+  },
+  rule: String          // Rule ID when source is 'rules'
+}, { _id: false });
+
+// Prompt guard result on a user message answered with a canned reply (see services/guard.js)
+const guardSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: ['jailbreak', 'off_topic'],
+    required: true
+  },
+  rule: String
+}, { _id: false });
+
+// Schema for individual messages within a chat.
+// Messages form a tree through `parent`: regenerating an answer or editing a question
+// adds a sibling instead of overwriting, and the chat's `currentLeaf` marks the branch shown.
 const messageSchema = new mongoose.Schema({
+  // Message this one replies to (null for the first message)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   role: {
     type: String,
     enum: ['user', 'assistant'],
@@ -21,6 +96,51 @@ const messageSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // True while an assistant reply is still being streamed in
+  isStreaming: {
+    type: Boolean,
+    default: false
+  },
+  // Scripture citations found in assistant messages and their verification status
+  citations: {
+    type: [citationSchema],
+    default: undefined
+  },
+  // Scripture passages retrieved from the corpus and supplied with the prompt
+  sources: {
+    type: [sourceSchema],
+    default: undefined
+  },
+  // Version of the mode's system prompt that produced this answer (0 = built-in prompt)
+  promptVersion: {
+    type: Number,
+    default: undefined
+  },
+  // Safety detection (user messages flagged by services/safety.js)
+  safety: {
+    type: safetySchema,
+    default: undefined
+  },
+  // True when this reply is the fixed safe response with crisis resources
+  safeResponse: {
+    type: Boolean,
+    default: undefined
+  },
+  // Prompt guard result (user messages that got a canned reply)
+  guard: {
+    type: guardSchema,
+    default: undefined
+  },
+  // True when this reply is a canned guard reply (off-topic redirect or jailbreak refusal)
+  cannedResponse: {
+    type: Boolean,
+    default: undefined
+  },
+  // Token usage and cost (assistant messages only)
+  usage: {
+    type: usageSchema,
+    default: undefined
+  },
   // Optional feedback on AI responses
   feedback: {
     type: String,
@@ -47,10 +167,60 @@ const chatSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Array of messages in the conversation
+  // Study mode chosen when the chat was created (see config/studyModes.js)
+  mode: {
+    type: String,
+    enum: MODE_IDS,
+    default: DEFAULT_MODE
+  },
+
+  // Every message in the conversation, across all branches, in creation order
   messages: [messageSchema],
+
+  // Last message of the branch currently being viewed
+  currentLeaf: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Length and start of the current branch, for chat lists (set on save)
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  preview: {
+    type: String,
+    default: ''
+  },
+
+  // Rolling summary of older turns, maintained by services/memory.js
+  summary: {
+    content: String,
+    throughMessage: mongoose.Schema.Types.ObjectId,  // Last message folded into the summary
+    tokenCount: Number,
+    updatedAt: Date
+  },
   
-  // Chat metadata
+  // Organization: one optional folder, free-form tags, pinned chats sort first,
+  // archived chats are hidden from the main list (unlike isActive, nothing is deleted)
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+
+  // Chat metadata (false once deleted)
   isActive: {
     type: Boolean,
     default: true
@@ -71,6 +241,15 @@ const chatSchema = new mongoose.Schema({
 chatSchema.index({ user: 1, lastActivity: -1 });
 chatSchema.index({ user: 1, createdAt: -1 });
 chatSchema.index({ user: 1, isActive: 1 });
+chatSchema.index({ user: 1, isActive: 1, archived: 1, pinned: -1, lastActivity: -1 });
+chatSchema.index({ user: 1, tags: 1 });
+
+// Full-text search over titles and message content (see services/chatSearch.js). Keyed
+// on user first, so a search only reads that user's entries (searches must filter by user).
+chatSchema.index(
+  { user: 1, title: 'text', 'messages.content': 'text' },
+  { name: 'chat_user_text', weights: { title: 5, 'messages.content': 1 } }
+);
 
 // ===========================================
 // Pre-save middleware
@@ -98,27 +277,128 @@ chatSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the chat list's count and preview on the branch being viewed (chats saved before
+// branching have no current leaf until their messages are linked)
+chatSchema.pre('save', function(next) {
+  if (this.isNew || !this.currentLeaf || this.isModified('currentLeaf')) {
+    const path = this.getActivePath();
+    this.messageCount = path.length;
+    this.preview = path.length > 0 ? path[0].content.substring(0, 50) : '';
+  }
+  next();
+});
+
 // ===========================================
 // Instance Methods
 // ===========================================
 
 /**
- * Add a message to the chat
+ * Link messages saved before branching existed into a single linear branch
+ */
+chatSchema.methods.linkLegacyMessages = function() {
+  if (this.currentLeaf || this.messages.length === 0) return;
+
+  this.messages.forEach((msg, index) => {
+    if (index > 0 && !msg.parent) {
+      msg.parent = this.messages[index - 1]._id;
+    }
+  });
+  this.currentLeaf = this.messages[this.messages.length - 1]._id;
+};
+
+/**
+ * Get the messages of the current branch, from the first message to the current leaf
+ * @returns {array} - Message subdocuments in conversation order
+ */
+chatSchema.methods.getActivePath = function() {
+  this.linkLegacyMessages();
+
+  const path = [];
+  let message = this.currentLeaf ? this.messages.id(this.currentLeaf) : null;
+
+  while (message) {
+    path.unshift(message);
+    message = message.parent ? this.messages.id(message.parent) : null;
+  }
+
+  return path;
+};
+
+/**
+ * Get a message and its siblings (messages sharing its parent), oldest first
+ * @param {object} message - Message subdocument
+ * @returns {array} - Sibling messages including the message itself
+ */
+chatSchema.methods.getSiblings = function(message) {
+  this.linkLegacyMessages();
+
+  const parentId = message.parent ? message.parent.toString() : null;
+  return this.messages.filter(m => (m.parent ? m.parent.toString() : null) === parentId);
+};
+
+/**
+ * Show the branch containing a message, following its most recent replies to the end
+ * @param {string} messageId - ID of the message to switch to
+ * @returns {boolean} - False if the message does not exist
+ */
+chatSchema.methods.selectBranch = async function(messageId) {
+  this.linkLegacyMessages();
+
+  let message = this.messages.id(messageId);
+  if (!message) return false;
+
+  for (;;) {
+    const id = message._id.toString();
+    const children = this.messages.filter(m => m.parent && m.parent.toString() === id);
+    if (children.length === 0) break;
+    message = children[children.length - 1];
+  }
+
+  this.currentLeaf = message._id;
+  await this.save();
+  return true;
+};
+
+/**
+ * Add a message to the chat. By default it replies to the current leaf and becomes the new leaf.
  * @param {string} role - 'user' or 'assistant'
  * @param {string} content - Message content
+ * @param {object} fields - Extra message fields (e.g. { isStreaming: true }, or { parent } to branch)
  * @returns {object} - The added message
  */
-chatSchema.methods.addMessage = async function(role, content) {
+chatSchema.methods.addMessage = async function(role, content, fields = {}) {
+  this.linkLegacyMessages();
+
   const message = {
+    parent: this.currentLeaf,
+    ...fields,
     role,
     content,
     timestamp: new Date()
   };
   
   this.messages.push(message);
+  const added = this.messages[this.messages.length - 1];
+  this.currentLeaf = added._id;
   await this.save();
   
-  return this.messages[this.messages.length - 1];
+  return added;
+};
+
+/**
+ * Update fields on an existing message (used while streaming and after verification)
+ * @param {string} messageId - ID of the message
+ * @param {object} fields - Fields to set (e.g. { content, isStreaming: false })
+ * @returns {object} - The updated message or null if not found
+ */
+chatSchema.methods.updateMessage = async function(messageId, fields) {
+  const message = this.messages.id(messageId);
+  if (!message) return null;
+
+  message.set(fields);
+  await this.save();
+
+  return message;
 };
 
 /**
@@ -137,13 +417,13 @@ chatSchema.methods.addFeedback = async function(messageId, feedback) {
 };
 
 /**
- * Get messages formatted for OpenAI API
+ * Get messages of the current branch formatted for the AI provider
  * @param {number} limit - Max number of recent messages to include
  * @returns {array} - Array of {role, content} objects
  */
 chatSchema.methods.getMessagesForAPI = function(limit = 20) {
   // Get recent messages for context (limit to prevent token overflow)
-  const recentMessages = this.messages.slice(-limit);
+  const recentMessages = this.getActivePath().slice(-limit);
   
   return recentMessages.map(msg => ({
     role: msg.role,
@@ -164,22 +444,114 @@ chatSchema.methods.softDelete = async function() {
 // ===========================================
 
 /**
- * Get all active chats for a user, sorted by last activity
+ * Get a page of a user's active chats: pinned first, then most recently active.
+ * Message count and preview describe the current branch; chats not saved since branching
+ * existed fall back to counting all messages. Messages are never loaded.
  * @param {ObjectId} userId - User's ID
- * @param {number} limit - Max number of chats to return
- * @returns {array} - Array of chat documents
+ * @param {object} options - {
+ *   limit: max chats to return,
+ *   after: { pinned, lastActivity, id } of the last chat on the previous page,
+ *   folder: folder ID, or 'none' for chats in no folder (default: any folder),
+ *   tag: only chats with this tag,
+ *   archived: true for archived chats only (default: unarchived only)
+ * }
+ * @returns {array} - Plain objects { _id, title, mode, lastActivity, createdAt, folder, tags,
+ *                    pinned, archived, messageCount, preview }
  */
-chatSchema.statics.getUserChats = function(userId, limit = 50) {
-  return this.find({ 
-    user: userId, 
-    isActive: true 
-  })
-  .select('title lastActivity createdAt messages')
-  .sort({ lastActivity: -1 })
-  .limit(limit)
+chatSchema.statics.getUserChats = function(userId, { limit = 50, after = null, folder, tag, archived = false } = {}) {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    isActive: true,
+    // Chats saved before archiving existed have no archived field
+    archived: archived ? true : { $ne: true }
+  };
+
+  if (folder === 'none') {
+    match.folder = null;
+  } else if (folder) {
+    match.folder = new mongoose.Types.ObjectId(folder);
+  }
+  if (tag) match.tags = tag;
+
+  // Chats are ordered by (pinned, lastActivity, _id), so the next page starts strictly after the cursor
+  if (after) {
+    const samePin = after.pinned ? true : { $ne: true };
+    match.$or = [
+      ...(after.pinned ? [{ pinned: { $ne: true } }] : []),
+      { pinned: samePin, lastActivity: { $lt: after.lastActivity } },
+      { pinned: samePin, lastActivity: after.lastActivity, _id: { $lt: after.id } }
+    ];
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { pinned: -1, lastActivity: -1, _id: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        title: 1,
+        mode: 1,
+        lastActivity: 1,
+        createdAt: 1,
+        folder: 1,
+        tags: 1,
+        pinned: 1,
+        archived: 1,
+        messageCount: { $ifNull: ['$messageCount', { $size: '$messages' }] },
+        preview: {
+          $ifNull: ['$preview', { $substrCP: [{ $ifNull: [{ $arrayElemAt: ['$messages.content', 0] }, ''] }, 0, 50] }]
+        }
+      }
+    }
+  ]);
+};
+
+/**
+ * Change how a chat is organized without counting it as activity (lastActivity is unchanged)
+ * @param {ObjectId} chatId - Chat's ID
+ * @param {ObjectId} userId - User's ID (for security)
+ * @param {object} fields - Any of { folder, tags, pinned, archived }
+ * @returns {object} - Updated chat (lean, without messages) or null if not found
+ */
+chatSchema.statics.organize = function(chatId, userId, fields) {
+  return this.findOneAndUpdate(
+    { _id: chatId, user: userId, isActive: true },
+    { $set: fields },
+    { new: true, runValidators: true }
+  )
+  .select('title mode lastActivity folder tags pinned archived')
   .lean();
 };
 
+/**
+ * List the tags a user has used, with how many active chats have each
+ * @param {ObjectId} userId - User's ID
+ * @returns {array} - [{ tag, count }] by tag name
+ */
+chatSchema.statics.getUserTags = function(userId) {
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), isActive: true } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+};
+
+/**
+ * Count a user's active chats in each folder
+ * @param {ObjectId} userId - User's ID
+ * @returns {Map} - Folder ID (string) -> chat count
+ */
+chatSchema.statics.countByFolder = async function(userId) {
+  const counts = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), isActive: true, folder: { $ne: null } } },
+    { $group: { _id: '$folder', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
 /**
  * Get a specific chat with all messages
  * @param {ObjectId} chatId - Chat's ID
@@ -198,22 +570,47 @@ chatSchema.statics.getChatById = function(chatId, userId) {
  * Create a new chat for a user
  * @param {ObjectId} userId - User's ID
  * @param {string} initialMessage - First message content
+ * @param {string} mode - Study mode ID
  * @returns {object} - New chat document
  */
-chatSchema.statics.createChat = async function(userId, initialMessage = null) {
+chatSchema.statics.createChat = async function(userId, initialMessage = null, mode = DEFAULT_MODE) {
   const chat = new this({
     user: userId,
+    mode,
     messages: initialMessage ? [{
+      parent: null,
       role: 'user',
       content: initialMessage,
       timestamp: new Date()
     }] : []
   });
+  chat.currentLeaf = initialMessage ? chat.messages[0]._id : null;
   
   await chat.save();
   return chat;
 };
 
+/**
+ * Create a chat from an existing linear transcript (e.g. an anonymous conversation)
+ * @param {ObjectId} userId - User's ID
+ * @param {array} transcript - Messages oldest first: [{ role, content, timestamp, ... }]
+ * @param {string} mode - Study mode
+ * @returns {object} - New chat document
+ */
+chatSchema.statics.createFromTranscript = async function(userId, transcript, mode = DEFAULT_MODE) {
+  const chat = new this({ user: userId, mode });
+
+  let parent = null;
+  for (const message of transcript) {
+    chat.messages.push({ ...message, parent });
+    parent = chat.messages[chat.messages.length - 1]._id;
+  }
+  chat.currentLeaf = parent;
+
+  await chat.save();
+  return chat;
+};
+
 /**
  * Delete all chats for a user (for account deletion)
  * @param {ObjectId} userId - User's ID
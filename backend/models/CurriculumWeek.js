@@ -0,0 +1,118 @@
+/**
+ * CurriculumWeek Model
+ * The weekly Come, Follow Me calendar: which block of scripture is studied each week
+ *
+ * Weeks are loaded from data/curriculum with scripts/importCurriculum.js. Days are
+ * calendar days ("YYYY-MM-DD"), so "this week" can be found in any timezone.
+ */
+
+const mongoose = require('mongoose');
+
+const curriculumWeekSchema = new mongoose.Schema({
+  // Curriculum year and week number within it (from 1)
+  year: {
+    type: Number,
+    required: true
+  },
+  week: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Curriculum the week belongs to, e.g. "Come, Follow Me—Old Testament 2026"
+  course: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // First and last days of the week, as "YYYY-MM-DD"
+  startDay: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  endDay: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Scripture block as written in the curriculum, e.g. "Genesis 1-2; Moses 2-3"
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Discussion questions (optional; general questions are offered when there are none)
+  questions: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+curriculumWeekSchema.index({ year: 1, week: 1 }, { unique: true });
+curriculumWeekSchema.index({ startDay: 1, endDay: 1 });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get the week a calendar day falls in
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @returns {object} - Week document or null if the calendar has no week for that day
+ */
+curriculumWeekSchema.statics.getWeekForDay = function(day) {
+  return this.findOne({ startDay: { $lte: day }, endDay: { $gte: day } })
+    .sort({ startDay: -1 });
+};
+
+/**
+ * Get a week by curriculum year and week number
+ * @param {number} year - Curriculum year
+ * @param {number} week - Week number
+ * @returns {object} - Week document or null
+ */
+curriculumWeekSchema.statics.getWeek = function(year, week) {
+  return this.findOne({ year, week });
+};
+
+/**
+ * Insert or update weeks in bulk, by year and week number (used by the import script)
+ * @param {array} weeks - Array of { year, week, course, startDay, endDay, title, reference, questions }
+ * @returns {object} - MongoDB bulk write result
+ */
+curriculumWeekSchema.statics.upsertMany = function(weeks) {
+  return this.bulkWrite(weeks.map(w => ({
+    updateOne: {
+      filter: { year: w.year, week: w.week },
+      update: {
+        $set: {
+          course: w.course,
+          startDay: w.startDay,
+          endDay: w.endDay,
+          title: w.title,
+          reference: w.reference,
+          questions: w.questions
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+const CurriculumWeek = mongoose.model('CurriculumWeek', curriculumWeekSchema);
+
+module.exports = CurriculumWeek;
@@ -0,0 +1,71 @@
+/**
+ * Folder Model
+ * User-defined folders for organizing conversations
+ *
+ * A chat belongs to at most one folder (Chat.folder). Deleting a folder
+ * moves its chats back to no folder; the chats themselves are kept.
+ */
+
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [50, 'Folder name cannot exceed 50 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+// Folder names are unique per user, ignoring case
+folderSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get a user's folders in name order
+ * @param {ObjectId} userId - User's ID
+ * @returns {array} - Folder documents (lean)
+ */
+folderSchema.statics.getUserFolders = function(userId) {
+  return this.find({ user: userId })
+    .sort({ name: 1 })
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
+};
+
+/**
+ * Find a user's folder by name, ignoring case
+ * @param {ObjectId} userId - User's ID
+ * @param {string} name - Folder name
+ * @returns {object} - Folder document or null
+ */
+folderSchema.statics.findByName = function(userId, name) {
+  return this.findOne({ user: userId, name }).collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * Get one of a user's folders
+ * @param {ObjectId} folderId - Folder's ID
+ * @param {ObjectId} userId - User's ID (for security)
+ * @returns {object} - Folder document or null
+ */
+folderSchema.statics.getFolderById = function(folderId, userId) {
+  return this.findOne({ _id: folderId, user: userId });
+};
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+module.exports = Folder;
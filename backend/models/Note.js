@@ -0,0 +1,167 @@
+/**
+ * Note Model
+ * Personal study journal entries with Markdown bodies
+ *
+ * A note can be attached to a message in one of the user's chats, to a scripture
+ * reference, to both, or to neither. The reference is stored in canonical form with its
+ * book and chapter broken out, so the journal can list notes by passage.
+ */
+
+const mongoose = require('mongoose');
+const { BOOKS } = require('../utils/scriptureReference');
+
+const noteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters'],
+    default: ''
+  },
+  // Markdown
+  body: {
+    type: String,
+    required: [true, 'Note text is required'],
+    maxlength: [20000, 'Note cannot exceed 20000 characters']
+  },
+
+  // Message the note is about (the chat is kept so the message can be found)
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Scripture the note is about, e.g. "Alma 32:21" (null when none)
+  reference: {
+    type: String,
+    default: null
+  },
+  work: String,
+  book: String,
+  chapter: Number,
+  verses: {
+    type: [Number],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+noteSchema.index({ user: 1, createdAt: -1, _id: -1 });
+noteSchema.index({ user: 1, book: 1, chapter: 1 });
+noteSchema.index({ user: 1, chat: 1, message: 1 });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get a page of a user's notes, newest first
+ * @param {ObjectId} userId - User's ID
+ * @param {object} options - {
+ *   limit,
+ *   after: { createdAt, id } of the last note on the previous page,
+ *   chatId, messageId: only notes on this chat or message,
+ *   passage: { book, chapter, verses } - only notes on this chapter (and these verses,
+ *            counting notes on the whole chapter)
+ * }
+ * @returns {array} - Note documents (lean)
+ */
+noteSchema.statics.getUserNotes = function(userId, { limit = 20, after = null, chatId, messageId, passage } = {}) {
+  const match = { user: userId };
+
+  if (chatId) match.chat = chatId;
+  if (messageId) match.message = messageId;
+  if (passage) {
+    match.book = passage.book;
+    match.chapter = passage.chapter;
+    if (passage.verses.length > 0) {
+      match.$or = [
+        { verses: { $in: passage.verses } },
+        { verses: { $exists: false } },
+        { verses: { $size: 0 } }
+      ];
+    }
+  }
+
+  if (after) {
+    const cursorMatch = {
+      $or: [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after.id } }
+      ]
+    };
+    match.$and = [cursorMatch];
+  }
+
+  return this.find(match)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * List the chapters a user has notes on, in canonical scripture order
+ * @param {ObjectId} userId - User's ID
+ * @returns {array} - [{ work, book, chapter, count, lastNoteAt }]
+ */
+noteSchema.statics.getReferenceIndex = async function(userId) {
+  const chapters = await this.aggregate([
+    { $match: { user: userId, book: { $type: 'string' } } },
+    {
+      $group: {
+        _id: { book: '$book', chapter: '$chapter' },
+        work: { $first: '$work' },
+        count: { $sum: 1 },
+        lastNoteAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  const bookOrder = new Map(BOOKS.map((book, index) => [book.name, index]));
+
+  return chapters
+    .map(({ _id, work, count, lastNoteAt }) => ({ work, book: _id.book, chapter: _id.chapter, count, lastNoteAt }))
+    .sort((a, b) => (bookOrder.get(a.book) - bookOrder.get(b.book)) || (a.chapter - b.chapter));
+};
+
+/**
+ * Count a user's notes on each message of a chat
+ * @param {ObjectId} chatId - Chat ID
+ * @param {ObjectId} userId - User's ID
+ * @returns {Map} - Message ID (string) -> note count
+ */
+noteSchema.statics.countByMessage = async function(chatId, userId) {
+  const counts = await this.aggregate([
+    { $match: { user: userId, chat: chatId, message: { $ne: null } } },
+    { $group: { _id: '$message', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Get one of a user's notes
+ * @param {ObjectId} noteId - Note's ID
+ * @param {ObjectId} userId - User's ID (for security)
+ * @returns {object} - Note document or null
+ */
+noteSchema.statics.getNoteById = function(noteId, userId) {
+  return this.findOne({ _id: noteId, user: userId });
+};
+
+const Note = mongoose.model('Note', noteSchema);
+
+module.exports = Note;
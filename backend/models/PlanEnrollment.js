@@ -0,0 +1,112 @@
+/**
+ * PlanEnrollment Model
+ * A user following a reading plan, and the days they have read
+ *
+ * The start day is a calendar day in the user's timezone; day N of the plan is due
+ * N - 1 days after it. Days can be marked read in any order, so a reader who falls
+ * behind can catch up.
+ */
+
+const mongoose = require('mongoose');
+
+const planEnrollmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReadingPlan',
+    required: true
+  },
+
+  // Day 1 of the plan, as "YYYY-MM-DD" in the user's timezone
+  startDay: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+
+  // Plan days marked as read (from 1)
+  completedDays: {
+    type: [Number],
+    default: []
+  },
+  // Set when every day has been read
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+planEnrollmentSchema.index({ user: 1, plan: 1 }, { unique: true });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get a user's enrollments with their plans, most recently started first
+ * @param {ObjectId} userId - User's ID
+ * @returns {array} - Enrollment documents (plan populated; enrollments whose plan was deleted are left out)
+ */
+planEnrollmentSchema.statics.getUserEnrollments = async function(userId) {
+  const enrollments = await this.find({ user: userId })
+    .sort({ startDay: -1, createdAt: -1 })
+    .populate('plan');
+
+  return enrollments.filter(enrollment => enrollment.plan);
+};
+
+/**
+ * Start (or restart) a plan for a user
+ * @param {ObjectId} userId - User's ID
+ * @param {ObjectId} planId - Plan's ID
+ * @param {string} startDay - Day 1 as "YYYY-MM-DD"
+ * @returns {object} - Enrollment document
+ */
+planEnrollmentSchema.statics.enroll = function(userId, planId, startDay) {
+  return this.findOneAndUpdate(
+    { user: userId, plan: planId },
+    { $set: { startDay, completedDays: [], completedAt: null } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// ===========================================
+// Instance Methods
+// ===========================================
+
+/**
+ * Mark a plan day as read or unread
+ * @param {number} day - Plan day (from 1)
+ * @param {boolean} completed - Whether the day has been read
+ * @param {number} totalDays - Days in the plan
+ * @returns {object} - Updated enrollment document
+ */
+planEnrollmentSchema.methods.markDay = async function(day, completed, totalDays) {
+  // Atomic, so quick taps on several days cannot overwrite each other
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    completed ? { $addToSet: { completedDays: day } } : { $pull: { completedDays: day } },
+    { new: true }
+  );
+
+  const finished = updated.completedDays.length >= totalDays;
+  if (finished !== Boolean(updated.completedAt)) {
+    updated.completedAt = finished ? new Date() : null;
+    await updated.save();
+  }
+
+  return updated;
+};
+
+const PlanEnrollment = mongoose.model('PlanEnrollment', planEnrollmentSchema);
+
+module.exports = PlanEnrollment;
@@ -0,0 +1,167 @@
+/**
+ * PromptTemplate Model
+ * Versioned system prompts, one active version per study mode
+ *
+ * Version 0 is the built-in prompt in config/studyModes.js and is used whenever
+ * a mode has no active version here.
+ */
+
+const mongoose = require('mongoose');
+const { MODE_IDS } = require('../config/studyModes');
+
+const promptTemplateSchema = new mongoose.Schema({
+  // Study mode this prompt is for
+  mode: {
+    type: String,
+    enum: MODE_IDS,
+    required: true
+  },
+
+  // Sequential per mode, starting at 1
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Full system prompt text
+  content: {
+    type: String,
+    required: [true, 'Prompt content is required'],
+    maxlength: [20000, 'Prompt cannot exceed 20000 characters']
+  },
+
+  // Generation settings that override the mode's defaults
+  settings: {
+    temperature: { type: Number, min: 0, max: 2 },
+    maxTokens: { type: Number, min: 1, max: 4000 },
+    presencePenalty: { type: Number, min: -2, max: 2 },
+    frequencyPenalty: { type: Number, min: -2, max: 2 }
+  },
+
+  // What changed and why
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    trim: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+
+  // Last time this version was made active (used for rollback)
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+promptTemplateSchema.index({ mode: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ mode: 1, isActive: 1 });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get the active prompt for a mode
+ * @param {string} mode - Study mode ID
+ * @returns {object} - PromptTemplate document or null (built-in prompt applies)
+ */
+promptTemplateSchema.statics.getActive = function(mode) {
+  return this.findOne({ mode, isActive: true }).lean();
+};
+
+/**
+ * Save a new version of a mode's prompt (not activated)
+ * @param {string} mode - Study mode ID
+ * @param {object} fields - { content, settings, notes }
+ * @param {ObjectId} userId - Admin creating the version
+ * @returns {object} - New PromptTemplate document
+ */
+promptTemplateSchema.statics.createVersion = async function(mode, fields, userId) {
+  // Retry if another admin takes the same version number at the same moment
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ mode }).sort({ version: -1 }).select('version').lean();
+
+    try {
+      return await this.create({
+        mode,
+        version: latest ? latest.version + 1 : 1,
+        content: fields.content,
+        settings: fields.settings,
+        notes: fields.notes,
+        createdBy: userId
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not allocate a prompt version. Please try again.');
+};
+
+/**
+ * Make a version the active prompt for its mode
+ * @param {string} mode - Study mode ID
+ * @param {number} version - Version to activate
+ * @returns {object} - Activated document or null if the version does not exist
+ */
+promptTemplateSchema.statics.activate = async function(mode, version) {
+  const template = await this.findOne({ mode, version });
+  if (!template) return null;
+
+  await this.updateMany({ mode, isActive: true, _id: { $ne: template._id } }, { isActive: false });
+
+  template.isActive = true;
+  template.activatedAt = new Date();
+  await template.save();
+
+  return template;
+};
+
+/**
+ * Reactivate the version that was active before the current one.
+ * With no earlier version the mode falls back to its built-in prompt.
+ * @param {string} mode - Study mode ID
+ * @returns {object} - Reactivated document, or null when back on the built-in prompt
+ */
+promptTemplateSchema.statics.rollback = async function(mode) {
+  const current = await this.findOne({ mode, isActive: true });
+
+  // Already on the built-in prompt
+  if (!current) return null;
+
+  const previous = await this.findOne({
+    mode,
+    _id: { $ne: current._id },
+    activatedAt: { $ne: null, $lt: current.activatedAt }
+  }).sort({ activatedAt: -1 });
+
+  current.isActive = false;
+  // Forget the rolled-back activation so a second rollback goes further back
+  current.activatedAt = null;
+  await current.save();
+
+  if (!previous) return null;
+
+  previous.isActive = true;
+  await previous.save();
+  return previous;
+};
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
@@ -0,0 +1,176 @@
+/**
+ * ReadingPlan Model
+ * Scripture reading plans: an ordered list of daily chapter assignments
+ *
+ * Built-in plans (config/readingPlans.js) have a key and no owner, and are stored the
+ * first time they are needed. Custom plans belong to the user who built them.
+ */
+
+const mongoose = require('mongoose');
+const { getBook } = require('../utils/scriptureReference');
+const { BUILT_IN_PLANS, BUILT_IN_PLAN_KEYS } = require('../config/readingPlans');
+
+// One chapter of a day's reading
+const chapterSchema = new mongoose.Schema({
+  book: {
+    type: String,
+    required: true
+  },
+  chapter: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Chapters assigned to one day (day numbers are positions in the plan, from 1)
+const daySchema = new mongoose.Schema({
+  chapters: {
+    type: [chapterSchema],
+    required: true
+  }
+}, { _id: false });
+
+const readingPlanSchema = new mongoose.Schema({
+  // Built-in plan ID (absent for custom plans)
+  key: {
+    type: String,
+    enum: BUILT_IN_PLAN_KEYS,
+    default: undefined
+  },
+  // User who built a custom plan (null for built-in plans)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [80, 'Plan name cannot exceed 80 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  books: {
+    type: [String],
+    required: true
+  },
+  days: {
+    type: [daySchema],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+readingPlanSchema.index({ key: 1 }, { unique: true, sparse: true });
+readingPlanSchema.index({ owner: 1, createdAt: -1 });
+
+// ===========================================
+// Helpers
+// ===========================================
+
+/**
+ * Spread the chapters of some books over a number of days, as evenly as possible
+ * @param {array} books - Canonical book names, in reading order
+ * @param {number} dayCount - Days in the plan (at most the number of chapters)
+ * @returns {array} - [{ chapters: [{ book, chapter }] }], one entry per day
+ */
+const buildSchedule = (books, dayCount) => {
+  const chapters = books.flatMap(name => {
+    const book = getBook(name);
+    return Array.from({ length: book.chapters }, (_, index) => ({ book: book.name, chapter: index + 1 }));
+  });
+
+  return Array.from({ length: dayCount }, (_, day) => ({
+    chapters: chapters.slice(
+      Math.floor(day * chapters.length / dayCount),
+      Math.floor((day + 1) * chapters.length / dayCount)
+    )
+  }));
+};
+
+/**
+ * Count the chapters in some books
+ * @param {array} books - Canonical book names
+ * @returns {number} - Chapter count
+ */
+const countChapters = (books) => books.reduce((total, name) => total + getBook(name).chapters, 0);
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get the built-in plans, storing any that are not stored yet
+ * @returns {array} - Plan documents in BUILT_IN_PLAN_KEYS order
+ */
+readingPlanSchema.statics.getBuiltInPlans = async function() {
+  const stored = await this.find({ key: { $in: BUILT_IN_PLAN_KEYS } });
+  const byKey = new Map(stored.map(plan => [plan.key, plan]));
+
+  for (const key of BUILT_IN_PLAN_KEYS) {
+    if (byKey.has(key)) continue;
+
+    const { name, description, books, days } = BUILT_IN_PLANS[key];
+    const plan = await this.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, name, description, books, days: buildSchedule(books, days) } },
+      { upsert: true, new: true }
+    );
+    byKey.set(key, plan);
+  }
+
+  return BUILT_IN_PLAN_KEYS.map(key => byKey.get(key));
+};
+
+/**
+ * Get the plans a user can follow: the built-in plans, then their own newest first
+ * @param {ObjectId} userId - User's ID
+ * @returns {array} - Plan documents
+ */
+readingPlanSchema.statics.getAvailablePlans = async function(userId) {
+  const builtIn = await this.getBuiltInPlans();
+  const custom = await this.find({ owner: userId }).sort({ createdAt: -1 });
+  return [...builtIn, ...custom];
+};
+
+/**
+ * Get a plan a user can follow (built-in or their own)
+ * @param {ObjectId} planId - Plan's ID
+ * @param {ObjectId} userId - User's ID
+ * @returns {object} - Plan document or null
+ */
+readingPlanSchema.statics.getPlanById = function(planId, userId) {
+  return this.findOne({ _id: planId, $or: [{ owner: null }, { owner: userId }] });
+};
+
+/**
+ * Build a custom plan
+ * @param {ObjectId} userId - Owner's ID
+ * @param {object} fields - { name, description, books (canonical names, in reading order), days }
+ * @returns {object} - Plan document
+ */
+readingPlanSchema.statics.createCustomPlan = function(userId, { name, description = '', books, days }) {
+  return this.create({
+    owner: userId,
+    name,
+    description,
+    books,
+    days: buildSchedule(books, days)
+  });
+};
+
+readingPlanSchema.statics.countChapters = countChapters;
+
+const ReadingPlan = mongoose.model('ReadingPlan', readingPlanSchema);
+
+module.exports = ReadingPlan;
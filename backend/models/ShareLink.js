@@ -0,0 +1,189 @@
+/**
+ * ShareLink Model
+ * Public read-only links to a conversation
+ *
+ * A link either follows the chat as it changes (the current branch is read on every view)
+ * or holds a snapshot of the conversation taken when it was shared. The owner can revoke
+ * a link at any time, and a link can expire. Nothing about the owner is shown publicly.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MODE_IDS, DEFAULT_MODE } = require('../config/studyModes');
+
+// Message as shown on a shared page (no feedback, safety or usage details)
+const sharedMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  timestamp: Date,
+  citations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  sources: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  }
+}, { _id: true });
+
+const shareLinkSchema = new mongoose.Schema({
+  // Random URL-safe token (the link's only secret)
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Conversation as it was when shared (absent for links that follow the chat)
+  snapshot: {
+    type: new mongoose.Schema({
+      title: String,
+      mode: {
+        type: String,
+        enum: MODE_IDS,
+        default: DEFAULT_MODE
+      },
+      messages: [sharedMessageSchema]
+    }, { _id: false }),
+    default: undefined
+  },
+
+  // Null for links that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+shareLinkSchema.index({ chat: 1, user: 1, createdAt: -1 });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Create a share link for a chat
+ * @param {object} chat - Chat document (owned by userId)
+ * @param {ObjectId} userId - Owner's ID
+ * @param {object} options - { expiresAt: Date or null, snapshot: true to freeze the current branch }
+ * @returns {object} - New share link
+ */
+shareLinkSchema.statics.createForChat = function(chat, userId, { expiresAt = null, snapshot = false } = {}) {
+  const link = {
+    token: crypto.randomBytes(16).toString('base64url'),
+    chat: chat._id,
+    user: userId,
+    expiresAt
+  };
+
+  if (snapshot) {
+    link.snapshot = {
+      title: chat.title,
+      mode: chat.mode,
+      messages: chat.getActivePath().map(msg => msg.toObject()).map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        citations: msg.citations,
+        sources: msg.sources
+      }))
+    };
+  }
+
+  return this.create(link);
+};
+
+/**
+ * Find a link that can still be viewed (not revoked or expired)
+ * @param {string} token - Link token
+ * @returns {object} - Share link or null
+ */
+shareLinkSchema.statics.findActive = function(token) {
+  return this.findOne({
+    token,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+/**
+ * Get the links a user has made for a chat that can still be viewed, newest first
+ * @param {ObjectId} chatId - Chat ID
+ * @param {ObjectId} userId - Owner's ID
+ * @returns {array} - Share links (without snapshot messages)
+ */
+shareLinkSchema.statics.getChatLinks = function(chatId, userId) {
+  return this.find({
+    chat: chatId,
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  })
+    .select('-snapshot.messages')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Revoke a link
+ * @param {string} token - Link token
+ * @param {ObjectId} userId - Owner's ID
+ * @returns {object} - Revoked link, or null if the user has no such link still active
+ */
+shareLinkSchema.statics.revoke = function(token, userId) {
+  return this.findOneAndUpdate(
+    { token, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Count a view of a link
+ * @param {ObjectId} linkId - Share link ID
+ */
+shareLinkSchema.statics.recordView = function(linkId) {
+  return this.updateOne(
+    { _id: linkId },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+  );
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
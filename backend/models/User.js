@@ -6,6 +6,25 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { getTier } = require('../config/tiers');
+const { DEFAULT_TIMEZONE, isValidTimezone, getDayKey, getNextMidnight } = require('../utils/timezone');
+
+// A timezone change that moves the user's date is allowed once per this interval, so
+// switching back and forth cannot start a new quota day
+const TIMEZONE_CHANGE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// How many daily and monthly token-usage periods are kept on the user
+const DAILY_USAGE_PERIODS = 90;
+const MONTHLY_USAGE_PERIODS = 24;
+
+// AI token usage and estimated cost for one day ("2025-01-31") or month ("2025-01"), in UTC
+const usagePeriodSchema = new mongoose.Schema({
+  period: { type: String, required: true },
+  requests: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -27,6 +46,21 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
+
+  // IANA timezone (e.g. "America/Denver"); daily question limits reset at local midnight
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimezone(value),
+      message: 'Please provide a valid timezone'
+    }
+  },
+  // Last timezone change that moved the user's date
+  timezoneChangedAt: {
+    type: Date,
+    default: null
+  },
   
   // Password reset fields
   passwordResetToken: {
@@ -61,12 +95,17 @@ const userSchema = new mongoose.Schema({
     currentPeriodEnd: Date
   },
   
-  // Usage tracking for free tier limits
+  // Usage tracking for daily question limits (see config/tiers.js)
   usage: {
     questionsToday: {
       type: Number,
       default: 0
     },
+    // Day questionsToday counts, as "YYYY-MM-DD" in the user's timezone
+    questionDay: {
+      type: String,
+      default: null
+    },
     lastQuestionDate: {
       type: Date,
       default: null
@@ -74,7 +113,25 @@ const userSchema = new mongoose.Schema({
     totalQuestions: {
       type: Number,
       default: 0
-    }
+    },
+    // AI token usage and estimated cost (USD)
+    totalTokens: {
+      type: Number,
+      default: 0
+    },
+    totalCost: {
+      type: Number,
+      default: 0
+    },
+    daily: [usagePeriodSchema],
+    monthly: [usagePeriodSchema]
+  },
+  
+  // Access level ('admin' can manage prompts; grant with scripts/setRole.js)
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
   },
   
   // Account status
@@ -137,56 +194,126 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 };
 
 /**
- * Check if user can ask a question (rate limiting for free tier)
- * @returns {object} - { canAsk: boolean, remaining: number, resetTime: Date }
+ * Check the user's daily question quota for their tier
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {object} - { canAsk, remaining, limit, resetTime, tier }
+ *                     (remaining is Infinity and limit/resetTime are null when unlimited)
  */
-userSchema.methods.canAskQuestion = function() {
-  const FREE_TIER_LIMIT = parseInt(process.env.FREE_TIER_DAILY_LIMIT) || 5;
-  
-  // Premium users have unlimited questions
-  if (this.subscription.status === 'premium') {
-    return { canAsk: true, remaining: Infinity, resetTime: null };
-  }
-  
-  const now = new Date();
-  const lastQuestion = this.usage.lastQuestionDate;
-  
-  // Reset counter if it's a new day
-  if (!lastQuestion || !isSameDay(lastQuestion, now)) {
-    return { 
-      canAsk: true, 
-      remaining: FREE_TIER_LIMIT, 
-      resetTime: getNextMidnight() 
-    };
+userSchema.methods.canAskQuestion = function(now = new Date()) {
+  const tier = getTier(this);
+  const timezone = this.timezone || DEFAULT_TIMEZONE;
+
+  if (tier.dailyQuestions === null) {
+    return { canAsk: true, remaining: Infinity, limit: null, resetTime: null, tier: tier.id };
   }
-  
-  // Check if under limit
-  const remaining = Math.max(0, FREE_TIER_LIMIT - this.usage.questionsToday);
-  return { 
-    canAsk: remaining > 0, 
-    remaining, 
-    resetTime: getNextMidnight() 
+
+  // A quota day later than today (after a switch to a timezone further west) still counts
+  const questionDay = this.usage.questionDay;
+  const usedToday = questionDay && questionDay >= getDayKey(now, timezone) ? this.usage.questionsToday : 0;
+  const remaining = Math.max(0, tier.dailyQuestions - usedToday);
+
+  return {
+    canAsk: remaining > 0,
+    remaining,
+    limit: tier.dailyQuestions,
+    resetTime: getNextMidnight(now, timezone),
+    tier: tier.id
   };
 };
 
 /**
- * Increment question count for rate limiting
+ * Count a question against today's quota, if any is left.
+ * Uses atomic updates so concurrent requests can never go over the limit.
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {object} - { allowed, day } (day is needed to release the question)
  */
-userSchema.methods.incrementQuestionCount = async function() {
-  const now = new Date();
-  const lastQuestion = this.usage.lastQuestionDate;
-  
-  // Reset if new day
-  if (!lastQuestion || !isSameDay(lastQuestion, now)) {
-    this.usage.questionsToday = 1;
-  } else {
-    this.usage.questionsToday += 1;
+userSchema.methods.consumeQuestion = async function(now = new Date()) {
+  const limit = getTier(this).dailyQuestions;
+  const day = getDayKey(now, this.timezone || DEFAULT_TIMEZONE);
+
+  if (limit === 0) return { allowed: false, day };
+
+  const underLimit = limit === null ? {} : { 'usage.questionsToday': { $lt: limit } };
+
+  // Questions count against the stored quota day unless today is later; it never moves back,
+  // so changing timezone cannot reset the count
+  const countToday = () => this.constructor.findOneAndUpdate(
+    { _id: this._id, 'usage.questionDay': { $gte: day }, ...underLimit },
+    {
+      $inc: { 'usage.questionsToday': 1, 'usage.totalQuestions': 1 },
+      $set: { 'usage.lastQuestionDate': now }
+    },
+    { new: true }
+  );
+
+  let updated = await countToday();
+
+  if (!updated) {
+    // First question of the day; the guard stops two requests both resetting the count
+    updated = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        $or: [{ 'usage.questionDay': null }, { 'usage.questionDay': { $lt: day } }]
+      },
+      {
+        $set: { 'usage.questionDay': day, 'usage.questionsToday': 1, 'usage.lastQuestionDate': now },
+        $inc: { 'usage.totalQuestions': 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Another request started the day first
+  if (!updated) {
+    updated = await countToday();
+  }
+
+  if (!updated) return { allowed: false, day };
+
+  this.usage.questionDay = updated.usage.questionDay;
+  this.usage.questionsToday = updated.usage.questionsToday;
+  this.usage.totalQuestions = updated.usage.totalQuestions;
+  this.usage.lastQuestionDate = updated.usage.lastQuestionDate;
+
+  return { allowed: true, day: updated.usage.questionDay };
+};
+
+/**
+ * Change the user's timezone. A change that moves the user's date (and so the day
+ * questions count against) is allowed once every 24 hours.
+ * @param {string|null} timezone - IANA timezone, or null for the default
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {boolean} - False if the change was refused
+ */
+userSchema.methods.changeTimezone = function(timezone, now = new Date()) {
+  const from = getDayKey(now, this.timezone || DEFAULT_TIMEZONE);
+  const to = getDayKey(now, timezone || DEFAULT_TIMEZONE);
+
+  if (from !== to) {
+    if (this.timezoneChangedAt && now - this.timezoneChangedAt < TIMEZONE_CHANGE_INTERVAL) {
+      return false;
+    }
+    this.timezoneChangedAt = now;
+  }
+
+  this.timezone = timezone;
+  return true;
+};
+
+/**
+ * Give back a question counted by consumeQuestion (it was not answered)
+ * @param {string} day - Day returned by consumeQuestion
+ */
+userSchema.methods.releaseQuestion = async function(day) {
+  const released = await this.constructor.updateOne(
+    { _id: this._id, 'usage.questionDay': day, 'usage.questionsToday': { $gt: 0 } },
+    { $inc: { 'usage.questionsToday': -1, 'usage.totalQuestions': -1 } }
+  );
+
+  if (released.modifiedCount > 0 && this.usage.questionDay === day) {
+    this.usage.questionsToday = Math.max(0, this.usage.questionsToday - 1);
+    this.usage.totalQuestions = Math.max(0, this.usage.totalQuestions - 1);
   }
-  
-  this.usage.lastQuestionDate = now;
-  this.usage.totalQuestions += 1;
-  
-  await this.save();
 };
 
 /**
@@ -211,25 +338,67 @@ userSchema.methods.updateSubscription = async function(status, stripeData = {})
 };
 
 // ===========================================
-// Helper Functions
+// Static Methods
 // ===========================================
 
-function isSameDay(date1, date2) {
-  return date1.getFullYear() === date2.getFullYear() &&
-         date1.getMonth() === date2.getMonth() &&
-         date1.getDate() === date2.getDate();
-}
+/**
+ * Add one AI request's token usage to a user's lifetime, daily and monthly totals.
+ * Uses atomic updates so concurrent requests never lose counts.
+ * @param {ObjectId} userId - User's ID
+ * @param {object} usage - { promptTokens, completionTokens, cost }
+ * @param {Date} date - When the request was made (defaults to now)
+ */
+userSchema.statics.recordTokenUsage = async function(userId, usage, date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
 
-function getNextMidnight() {
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(0, 0, 0, 0);
-  return tomorrow;
-}
+  const addToPeriod = async (field, period, keep) => {
+    const match = { _id: userId, [`usage.${field}.period`]: period };
+    const increment = {
+      $inc: {
+        [`usage.${field}.$.requests`]: 1,
+        [`usage.${field}.$.promptTokens`]: usage.promptTokens,
+        [`usage.${field}.$.completionTokens`]: usage.completionTokens,
+        [`usage.${field}.$.cost`]: usage.cost
+      }
+    };
 
-// ===========================================
-// Static Methods
-// ===========================================
+    const updated = await this.updateOne(match, increment);
+    if (updated.matchedCount > 0) return;
+
+    // First request of the period; the $ne guard stops two requests both adding it
+    const pushed = await this.updateOne(
+      { _id: userId, [`usage.${field}.period`]: { $ne: period } },
+      {
+        $push: {
+          [`usage.${field}`]: {
+            $each: [{
+              period,
+              requests: 1,
+              promptTokens: usage.promptTokens,
+              completionTokens: usage.completionTokens,
+              cost: usage.cost
+            }],
+            $slice: -keep
+          }
+        }
+      }
+    );
+
+    if (pushed.matchedCount === 0) {
+      await this.updateOne(match, increment);
+    }
+  };
+
+  await this.updateOne({ _id: userId }, {
+    $inc: {
+      'usage.totalTokens': usage.promptTokens + usage.completionTokens,
+      'usage.totalCost': usage.cost
+    }
+  });
+  await addToPeriod('daily', day, DAILY_USAGE_PERIODS);
+  await addToPeriod('monthly', month, MONTHLY_USAGE_PERIODS);
+};
 
 /**
  * Find user by email
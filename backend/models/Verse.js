@@ -0,0 +1,212 @@
+/**
+ * Verse Model
+ * Local scripture corpus - one document per verse of the standard works
+ */
+
+const mongoose = require('mongoose');
+
+// The four standard works
+const WORKS = ['bible', 'bofm', 'dc', 'pgp'];
+
+const verseSchema = new mongoose.Schema({
+  // Standard work the verse belongs to
+  work: {
+    type: String,
+    enum: WORKS,
+    required: true
+  },
+
+  // Canonical book name (e.g. "1 Nephi", "Doctrine and Covenants")
+  book: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Chapter (or section, for the Doctrine and Covenants)
+  chapter: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  verse: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  text: {
+    type: String,
+    required: true
+  },
+
+  // Human-readable reference, e.g. "Alma 32:21"
+  reference: {
+    type: String,
+    required: true
+  },
+
+  // Set on the last verse of a chapter imported whole, so the corpus knows where it ends
+  endsChapter: {
+    type: Boolean,
+    default: undefined
+  },
+
+  // Place in the verse-of-the-day rotation, from 0 (numbered by the import script)
+  position: {
+    type: Number,
+    default: undefined
+  },
+
+  // Optional embedding vector for semantic retrieval (see scripts/embedScripture.js)
+  embedding: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+
+  // Embedding model that produced the vector, so a model change can re-embed
+  embeddingModel: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+verseSchema.index({ book: 1, chapter: 1, verse: 1 }, { unique: true });
+verseSchema.index({ work: 1 });
+verseSchema.index({ position: 1 }, { sparse: true });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Get the verses of a passage in order
+ * @param {string} book - Canonical book name
+ * @param {number} chapter - Chapter number
+ * @param {array} verses - Verse numbers (empty for the whole chapter)
+ * @returns {array} - Verse documents sorted by verse number
+ */
+verseSchema.statics.getPassage = function(book, chapter, verses = []) {
+  const query = { book, chapter };
+
+  if (verses.length > 0) {
+    query.verse = { $in: verses };
+  }
+
+  return this.find(query)
+    .select('work book chapter verse text reference')
+    .sort({ verse: 1 })
+    .lean();
+};
+
+/**
+ * Summarize how much of a chapter the corpus holds
+ * @param {string} book - Canonical book name
+ * @param {number} chapter - Chapter number
+ * @returns {object} - { count, maxVerse, isComplete } (isComplete when the chapter was imported
+ *                     whole: verses 1..maxVerse are all present and maxVerse ends the chapter)
+ */
+verseSchema.statics.getChapterStats = async function(book, chapter) {
+  const [stats] = await this.aggregate([
+    { $match: { book, chapter } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        maxVerse: { $max: '$verse' },
+        lastVerse: { $max: { $cond: ['$endsChapter', '$verse', 0] } }
+      }
+    }
+  ]);
+
+  if (!stats) {
+    return { count: 0, maxVerse: 0, isComplete: false };
+  }
+
+  return {
+    count: stats.count,
+    maxVerse: stats.maxVerse,
+    isComplete: stats.count === stats.maxVerse && stats.lastVerse === stats.maxVerse
+  };
+};
+
+/**
+ * Get the verse at a position in the rotation (see numberPositions)
+ * @param {number} index - Position from 0
+ * @returns {object} - Verse document or null if no verse has that position
+ */
+verseSchema.statics.getVerseAt = function(index) {
+  return this.findOne({ position: index })
+    .select('work book chapter verse text reference')
+    .lean();
+};
+
+/**
+ * Number the rotation positions 0..count-1 in a fixed order (book name, chapter, verse),
+ * so getVerseAt is a single index lookup. Run after every import.
+ * @param {number} batchSize - Updates written per bulk write
+ * @returns {number} - Verses numbered
+ */
+verseSchema.statics.numberPositions = async function(batchSize = 1000) {
+  const cursor = this.find()
+    .sort({ book: 1, chapter: 1, verse: 1 })
+    .select('position')
+    .lean()
+    .cursor({ batchSize });
+
+  let position = 0;
+  let updates = [];
+
+  for await (const verse of cursor) {
+    if (verse.position !== position) {
+      updates.push({ updateOne: { filter: { _id: verse._id }, update: { $set: { position } } } });
+    }
+    position++;
+
+    if (updates.length >= batchSize) {
+      await this.bulkWrite(updates);
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+  }
+
+  return position;
+};
+
+/**
+ * Insert or update verses in bulk (used by the import script)
+ * @param {array} verses - Array of { work, book, chapter, verse, text, endsChapter }
+ * @returns {object} - MongoDB bulk write result
+ */
+verseSchema.statics.upsertMany = function(verses) {
+  return this.bulkWrite(verses.map(v => ({
+    updateOne: {
+      filter: { book: v.book, chapter: v.chapter, verse: v.verse },
+      update: {
+        $set: {
+          work: v.work,
+          text: v.text,
+          reference: `${v.book} ${v.chapter}:${v.verse}`,
+          ...(v.endsChapter && { endsChapter: true })
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+const Verse = mongoose.model('Verse', verseSchema);
+
+Verse.WORKS = WORKS;
+
+module.exports = Verse;
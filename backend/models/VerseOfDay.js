@@ -0,0 +1,126 @@
+/**
+ * VerseOfDay Model
+ * The verse shown on each calendar day: verses admins have planned, and the history of
+ * verses shown
+ *
+ * A day with no entry shows the next verse in the rotation (config/verseOfDay.js). Rotation
+ * verses are recorded here the day they are shown, so the archive stays the same even if
+ * the rotation changes later.
+ */
+
+const mongoose = require('mongoose');
+
+const verseOfDaySchema = new mongoose.Schema({
+  // Calendar day, as "YYYY-MM-DD"
+  day: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+
+  // Canonical reference (e.g. "Alma 32:21")
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Verse text as shown that day
+  text: {
+    type: String,
+    required: true
+  },
+
+  // Planned by an admin, or picked by the rotation
+  source: {
+    type: String,
+    enum: ['scheduled', 'rotation'],
+    default: 'rotation'
+  },
+
+  // Admin's note on why the verse was chosen (not shown to users)
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters'],
+    default: ''
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===========================================
+// Indexes for better query performance
+// ===========================================
+verseOfDaySchema.index({ day: 1 }, { unique: true });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Record the rotation's verse for a day, unless the day already has an entry
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {object} verse - { reference, text }
+ * @returns {object} - The day's entry (an admin's, if one was saved first)
+ */
+verseOfDaySchema.statics.recordRotation = async function(day, { reference, text }) {
+  try {
+    return await this.findOneAndUpdate(
+      { day },
+      { $setOnInsert: { day, reference, text, source: 'rotation' } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two requests recorded the same day at once; the other one won
+    if (error.code === 11000) {
+      return this.findOne({ day });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Plan the verse for a day, replacing whatever it had
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {object} verse - { reference, text, note }
+ * @param {string} adminId - Admin planning the verse
+ * @returns {object} - The day's entry
+ */
+verseOfDaySchema.statics.schedule = function(day, { reference, text, note = '' }, adminId) {
+  return this.findOneAndUpdate(
+    { day },
+    { $set: { reference, text, note, source: 'scheduled', scheduledBy: adminId } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Get the entries for a run of days
+ * @param {string} from - First day, as "YYYY-MM-DD"
+ * @param {string} to - Last day, as "YYYY-MM-DD"
+ * @returns {array} - Entries sorted by day
+ */
+verseOfDaySchema.statics.getRange = function(from, to) {
+  return this.find({ day: { $gte: from, $lte: to } }).sort({ day: 1 });
+};
+
+/**
+ * Get past entries, most recent first
+ * @param {string} before - Only days before this one, as "YYYY-MM-DD"
+ * @param {number} limit - Most entries to return
+ * @returns {array} - Entries sorted by day, newest first
+ */
+verseOfDaySchema.statics.getArchive = function(before, limit) {
+  return this.find({ day: { $lt: before } })
+    .sort({ day: -1 })
+    .limit(limit);
+};
+
+const VerseOfDay = mongoose.model('VerseOfDay', verseOfDaySchema);
+
+module.exports = VerseOfDay;
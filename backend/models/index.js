@@ -5,8 +5,10 @@
 
 const User = require('./User');
 const Chat = require('./Chat');
+const Verse = require('./Verse');
 
 module.exports = {
   User,
-  Chat
+  Chat,
+  Verse
 };
@@ -0,0 +1,541 @@
+/**
+ * Admin Routes
+ * Prompt version management, prompt feedback, safety and guard statistics, and
+ * the verse of the day schedule
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Chat = require('../models/Chat');
+const PromptTemplate = require('../models/PromptTemplate');
+const VerseOfDay = require('../models/VerseOfDay');
+const { protect, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { MODE_IDS, getStudyMode } = require('../config/studyModes');
+const { clearPromptCache } = require('../services/prompts');
+const { getPassageText, getSchedule, isPastDay, formatVerse } = require('../services/verseOfDay');
+const { MAX_SCHEDULE_RANGE_DAYS } = require('../config/verseOfDay');
+const { parsePassage } = require('../utils/scriptureReference');
+const { getDayKey, addDays, getDaysBetween, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// Every admin route requires an admin account
+router.use(protect, requireAdmin);
+
+// ===========================================
+// Validation Rules
+// ===========================================
+const modeParamValidation = [
+  param('mode')
+    .isIn(MODE_IDS)
+    .withMessage('Unknown study mode')
+];
+
+const versionParamValidation = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prompt version')
+    .toInt()
+];
+
+const promptValidation = [
+  body('mode')
+    .isIn(MODE_IDS)
+    .withMessage('Unknown study mode'),
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Prompt content is required')
+    .isLength({ max: 20000 })
+    .withMessage('Prompt cannot exceed 20000 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  body('settings.temperature').optional().isFloat({ min: 0, max: 2 }).withMessage('Temperature must be between 0 and 2'),
+  body('settings.maxTokens').optional().isInt({ min: 1, max: 4000 }).withMessage('Max tokens must be between 1 and 4000'),
+  body('settings.presencePenalty').optional().isFloat({ min: -2, max: 2 }).withMessage('Presence penalty must be between -2 and 2'),
+  body('settings.frequencyPenalty').optional().isFloat({ min: -2, max: 2 }).withMessage('Frequency penalty must be between -2 and 2'),
+  body('activate')
+    .optional()
+    .isBoolean()
+    .withMessage('Activate must be true or false')
+];
+
+/**
+ * Shape a prompt template for API responses
+ * @param {object} template - PromptTemplate document
+ * @returns {object} - Client-facing prompt version
+ */
+const formatTemplate = (template) => ({
+  id: template._id,
+  mode: template.mode,
+  version: template.version,
+  content: template.content,
+  settings: template.settings || {},
+  notes: template.notes,
+  isActive: template.isActive,
+  activatedAt: template.activatedAt,
+  createdBy: template.createdBy,
+  createdAt: template.createdAt
+});
+
+/**
+ * Describe the built-in prompt (version 0) for a mode
+ * @param {string} mode - Study mode ID
+ * @returns {object} - Client-facing prompt version
+ */
+const formatBuiltIn = (mode) => {
+  const studyMode = getStudyMode(mode);
+  return {
+    id: null,
+    mode,
+    version: 0,
+    content: studyMode.prompt,
+    settings: studyMode.settings,
+    notes: 'Built-in prompt (config/studyModes.js)',
+    isActive: true,
+    activatedAt: null,
+    createdBy: null,
+    createdAt: null
+  };
+};
+
+// ===========================================
+// Prompt Versions
+// ===========================================
+
+/**
+ * @route   GET /api/admin/prompts
+ * @desc    List prompt versions (optionally for one mode)
+ * @access  Admin
+ */
+router.get('/prompts',
+  [
+    query('mode')
+      .optional()
+      .isIn(MODE_IDS)
+      .withMessage('Unknown study mode')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const filter = req.query.mode ? { mode: req.query.mode } : {};
+    const templates = await PromptTemplate.find(filter)
+      .sort({ mode: 1, version: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        prompts: templates.map(formatTemplate),
+        count: templates.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/prompts/:mode/active
+ * @desc    Get the prompt currently used for a mode
+ * @access  Admin
+ */
+router.get('/prompts/:mode/active', modeParamValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const template = await PromptTemplate.getActive(req.params.mode);
+
+  res.json({
+    success: true,
+    data: {
+      prompt: template ? formatTemplate(template) : formatBuiltIn(req.params.mode)
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/prompts
+ * @desc    Create a new prompt version (optionally activating it)
+ * @access  Admin
+ */
+router.post('/prompts', promptValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const { mode, content, settings, notes, activate } = req.body;
+
+  let template = await PromptTemplate.createVersion(mode, { content, settings, notes }, req.user._id);
+
+  if (activate === true || activate === 'true') {
+    template = await PromptTemplate.activate(mode, template.version);
+    clearPromptCache(mode);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Prompt version ${template.version} created.`,
+    data: { prompt: formatTemplate(template) }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/prompts/:mode/:version/activate
+ * @desc    Make a prompt version active for its mode
+ * @access  Admin
+ */
+router.post('/prompts/:mode/:version/activate',
+  modeParamValidation,
+  versionParamValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const template = await PromptTemplate.activate(req.params.mode, req.params.version);
+
+    if (!template) {
+      throw new ApiError('Prompt version not found.', 404);
+    }
+
+    clearPromptCache(req.params.mode);
+
+    res.json({
+      success: true,
+      message: `Prompt version ${template.version} is now active.`,
+      data: { prompt: formatTemplate(template) }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/prompts/:mode/rollback
+ * @desc    Return to the previously active prompt version
+ * @access  Admin
+ */
+router.post('/prompts/:mode/rollback', modeParamValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const template = await PromptTemplate.rollback(req.params.mode);
+  clearPromptCache(req.params.mode);
+
+  res.json({
+    success: true,
+    message: template
+      ? `Rolled back to prompt version ${template.version}.`
+      : 'Using the built-in prompt.',
+    data: {
+      prompt: template ? formatTemplate(template) : formatBuiltIn(req.params.mode)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/prompts/stats
+ * @desc    Answer counts and feedback rates per mode and prompt version
+ * @access  Admin
+ */
+router.get('/prompts/stats',
+  [
+    query('mode').optional().isIn(MODE_IDS).withMessage('Unknown study mode'),
+    query('since').optional().isISO8601().withMessage('Invalid date').toDate()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const messageMatch = {
+      'messages.role': 'assistant',
+      'messages.promptVersion': { $exists: true }
+    };
+    if (req.query.since) {
+      messageMatch['messages.timestamp'] = { $gte: req.query.since };
+    }
+
+    const results = await Chat.aggregate([
+      { $match: req.query.mode ? { mode: req.query.mode } : {} },
+      { $unwind: '$messages' },
+      { $match: messageMatch },
+      {
+        $group: {
+          _id: { mode: '$mode', version: '$messages.promptVersion' },
+          answers: { $sum: 1 },
+          helpful: { $sum: { $cond: [{ $eq: ['$messages.feedback', 'helpful'] }, 1, 0] } },
+          notHelpful: { $sum: { $cond: [{ $eq: ['$messages.feedback', 'not_helpful'] }, 1, 0] } },
+          firstAnswerAt: { $min: '$messages.timestamp' },
+          lastAnswerAt: { $max: '$messages.timestamp' }
+        }
+      },
+      { $sort: { '_id.mode': 1, '_id.version': 1 } }
+    ]);
+
+    const stats = results.map((row) => {
+      const rated = row.helpful + row.notHelpful;
+      return {
+        mode: row._id.mode,
+        version: row._id.version,
+        answers: row.answers,
+        helpful: row.helpful,
+        notHelpful: row.notHelpful,
+        feedbackRate: row.answers > 0 ? Math.round((rated / row.answers) * 1000) / 1000 : 0,
+        helpfulRate: rated > 0 ? Math.round((row.helpful / rated) * 1000) / 1000 : null,
+        firstAnswerAt: row.firstAnswerAt,
+        lastAnswerAt: row.lastAnswerAt
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+  })
+);
+
+// ===========================================
+// Safety and Guard Review
+// ===========================================
+
+const sinceValidation = [
+  query('since').optional().isISO8601().withMessage('Invalid date').toDate()
+];
+
+/**
+ * Count flagged messages grouped by fields of a message subdocument (no message content)
+ * @param {string} field - Message field holding the flag ('safety' or 'guard')
+ * @param {array} keys - Subdocument fields to group by
+ * @param {Date} since - Only count messages from this date (optional)
+ * @returns {array} - [{ ...keys, count, users, lastSeenAt }] most frequent first
+ */
+const countFlaggedMessages = async (field, keys, since) => {
+  const flagPath = `messages.${field}`;
+  const messageMatch = { [flagPath]: { $exists: true } };
+  if (since) {
+    messageMatch['messages.timestamp'] = { $gte: since };
+  }
+
+  const results = await Chat.aggregate([
+    { $match: { [flagPath]: { $exists: true } } },
+    { $unwind: '$messages' },
+    { $match: messageMatch },
+    {
+      $group: {
+        _id: Object.fromEntries(keys.map(key => [key, `$${flagPath}.${key}`])),
+        count: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        lastSeenAt: { $max: '$messages.timestamp' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  return results.map(row => ({
+    ...Object.fromEntries(keys.map(key => [key, row._id[key] || null])),
+    count: row.count,
+    users: row.users.length,
+    lastSeenAt: row.lastSeenAt
+  }));
+};
+
+/**
+ * @route   GET /api/admin/safety/stats
+ * @desc    Safety detections per category, severity, source and rule
+ * @access  Admin
+ */
+router.get('/safety/stats', sinceValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const detections = await countFlaggedMessages(
+    'safety',
+    ['category', 'severity', 'source', 'rule'],
+    req.query.since
+  );
+
+  res.json({
+    success: true,
+    data: {
+      detections,
+      total: detections.reduce((sum, row) => sum + row.count, 0)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/guard/stats
+ * @desc    Questions answered with a canned reply, per reason (jailbreak, off_topic) and rule
+ * @access  Admin
+ */
+router.get('/guard/stats', sinceValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const blocked = await countFlaggedMessages('guard', ['reason', 'rule'], req.query.since);
+
+  res.json({
+    success: true,
+    data: {
+      blocked,
+      total: blocked.reduce((sum, row) => sum + row.count, 0)
+    }
+  });
+}));
+
+// ===========================================
+// Verse of the Day
+// ===========================================
+
+/**
+ * Validate a "YYYY-MM-DD" day in the request
+ * @param {function} location - express-validator location (param, query)
+ * @param {string} field - Field name
+ * @returns {object} - Validation chain
+ */
+const dayValidation = (location, field) => location(field)
+  .matches(/^\d{4}-\d{2}-\d{2}$/)
+  .withMessage('Days must be dates like 2026-01-01')
+  .bail()
+  .isISO8601({ strict: true })
+  .withMessage('Days must be dates like 2026-01-01');
+
+/**
+ * @route   GET /api/admin/verse-of-day
+ * @desc    The verse for each day in a range (?from=&to=, default the next 30 days): planned,
+ *          already shown, or what the rotation will show
+ * @access  Admin
+ */
+router.get('/verse-of-day',
+  [
+    dayValidation(query, 'from').optional(),
+    dayValidation(query, 'to').optional()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const from = req.query.from || getDayKey(new Date(), req.user.timezone || DEFAULT_TIMEZONE);
+    const to = req.query.to || addDays(from, 29);
+    const length = getDaysBetween(from, to) + 1;
+
+    if (length < 1 || length > MAX_SCHEDULE_RANGE_DAYS) {
+      throw new ApiError(`Please choose a range of 1 to ${MAX_SCHEDULE_RANGE_DAYS} days.`, 400);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        days: await getSchedule(from, to)
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/verse-of-day/:day
+ * @desc    Plan the verse for a day (body: reference to one passage, optional text
+ *          (default: from the corpus) and note)
+ * @access  Admin
+ */
+router.put('/verse-of-day/:day',
+  [
+    dayValidation(param, 'day'),
+    body('reference')
+      .isString()
+      .withMessage('Reference is required')
+      .bail()
+      .custom(value => parsePassage(value) !== null)
+      .withMessage('Please enter one passage, like "Alma 32:21" or "Moroni 10:4-5".'),
+    body('text')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Text must be between 1 and 2000 characters'),
+    body('note')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Note cannot exceed 300 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { day } = req.params;
+    if (isPastDay(day)) {
+      throw new ApiError('That day is over; its verse can no longer be changed.', 400);
+    }
+
+    const { reference } = parsePassage(req.body.reference);
+    let { text } = req.body;
+
+    if (!text) {
+      const passage = await getPassageText(reference);
+      if (!passage) {
+        throw new ApiError(`${reference} is not in the scripture corpus. Please include its text.`, 400);
+      }
+      text = passage.text;
+    }
+
+    const entry = await VerseOfDay.schedule(day, { reference, text, note: req.body.note }, req.user._id);
+
+    res.json({
+      success: true,
+      data: { verse: { ...formatVerse(day, entry), id: entry._id, note: entry.note } }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/verse-of-day/:day
+ * @desc    Remove a planned verse (the day goes back to the rotation)
+ * @access  Admin
+ */
+router.delete('/verse-of-day/:day', [dayValidation(param, 'day')], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const { day } = req.params;
+  if (isPastDay(day)) {
+    throw new ApiError('That day is over; its verse can no longer be changed.', 400);
+  }
+
+  const result = await VerseOfDay.deleteOne({ day, source: 'scheduled' });
+
+  if (result.deletedCount === 0) {
+    throw new ApiError('No verse is planned for that day.', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Planned verse removed. The day will show the rotation verse.'
+  });
+}));
+
+module.exports = router;
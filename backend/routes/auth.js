@@ -12,6 +12,8 @@ const { protect, generateToken } = require('../middleware/auth');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const { authLimiter } = require('../middleware/rateLimiter');
 const { sendPasswordResetEmail } = require('../utils/email');
+const { SESSION_HEADER, claimSession } = require('../services/anonymous');
+const { isValidTimezone } = require('../utils/timezone');
 
 // ===========================================
 // Validation Rules
@@ -75,6 +77,14 @@ router.post('/register', authLimiter, registerValidation, asyncHandler(async (re
 
   await user.save();
 
+  // Keep the conversation the visitor started before signing up
+  let migratedChat = null;
+  try {
+    migratedChat = await claimSession(req.get(SESSION_HEADER), user._id);
+  } catch (error) {
+    console.error('Anonymous chat migration error:', error);
+  }
+
   // Generate JWT token
   const token = generateToken(user._id);
 
@@ -88,7 +98,8 @@ router.post('/register', authLimiter, registerValidation, asyncHandler(async (re
         name: user.name,
         subscription: user.subscription.status
       },
-      token
+      token,
+      chat: migratedChat ? { id: migratedChat._id, title: migratedChat.title, mode: migratedChat.mode } : null
     }
   });
 }));
@@ -158,7 +169,7 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
  * @access  Private
  */
 router.get('/me', protect, asyncHandler(async (req, res) => {
-  const { canAsk, remaining, resetTime } = req.user.canAskQuestion();
+  const { canAsk, remaining, limit, resetTime, tier } = req.user.canAskQuestion();
 
   res.json({
     success: true,
@@ -169,10 +180,13 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
         name: req.user.name,
         subscription: req.user.subscription.status,
         subscriptionEnd: req.user.subscription.currentPeriodEnd,
+        timezone: req.user.timezone,
         usage: {
-          questionsToday: req.user.usage.questionsToday,
+          tier,
+          questionsToday: limit === null ? req.user.usage.questionsToday : limit - remaining,
           totalQuestions: req.user.usage.totalQuestions,
           canAsk,
+          limit,
           remaining,
           resetTime
         },
@@ -182,6 +196,48 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/auth/usage
+ * @desc    Get AI token usage and estimated cost (daily and monthly, UTC)
+ * @access  Private
+ */
+router.get('/usage', protect, asyncHandler(async (req, res) => {
+  const { usage } = req.user;
+  const today = new Date().toISOString().slice(0, 10);
+  const month = today.slice(0, 7);
+
+  const formatPeriod = (p) => ({
+    period: p.period,
+    requests: p.requests || 0,
+    promptTokens: p.promptTokens || 0,
+    completionTokens: p.completionTokens || 0,
+    totalTokens: (p.promptTokens || 0) + (p.completionTokens || 0),
+    cost: Math.round((p.cost || 0) * 10000) / 10000
+  });
+
+  // Report a zeroed period rather than nothing when there was no usage
+  const findPeriod = (periods, period) => {
+    const found = periods.find(p => p.period === period);
+    return formatPeriod(found || { period });
+  };
+
+  res.json({
+    success: true,
+    data: {
+      subscription: req.user.subscription.status,
+      today: findPeriod(usage.daily, today),
+      thisMonth: findPeriod(usage.monthly, month),
+      daily: usage.daily.slice(-30).map(formatPeriod),
+      monthly: usage.monthly.slice(-12).map(formatPeriod),
+      lifetime: {
+        questions: usage.totalQuestions,
+        totalTokens: usage.totalTokens || 0,
+        cost: Math.round((usage.totalCost || 0) * 10000) / 10000
+      }
+    }
+  });
+}));
+
 /**
  * @route   PUT /api/auth/profile
  * @desc    Update user profile
@@ -192,17 +248,26 @@ router.put('/profile', protect, [
     .optional()
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Name must be between 1 and 100 characters')
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('timezone')
+    .optional({ nullable: true })
+    .custom(isValidTimezone)
+    .withMessage('Please provide a valid timezone')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     throw new ApiError(errors.array()[0].msg, 400);
   }
 
-  const { name } = req.body;
+  const { name, timezone } = req.body;
 
   if (name) {
     req.user.name = name;
+  }
+  if (timezone !== undefined && timezone !== req.user.timezone && !req.user.changeTimezone(timezone)) {
+    throw new ApiError('Your timezone can only move to another date once a day. Please try again tomorrow.', 429);
+  }
+  if (req.user.isModified()) {
     await req.user.save();
   }
 
@@ -213,7 +278,8 @@ router.put('/profile', protect, [
       user: {
         id: req.user._id,
         email: req.user.email,
-        name: req.user.name
+        name: req.user.name,
+        timezone: req.user.timezone
       }
     }
   });
@@ -0,0 +1,219 @@
+/**
+ * Bookmark Routes
+ * The user's scripture library: saved passages and their highlight colors
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Bookmark = require('../models/Bookmark');
+const Chat = require('../models/Chat');
+const { protect } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { parsePassage } = require('../utils/scriptureReference');
+
+const { HIGHLIGHT_COLORS } = Bookmark;
+
+// ===========================================
+// Helpers
+// ===========================================
+
+/**
+ * Shape a bookmark for API responses
+ * @param {object} bookmark - Bookmark document
+ * @returns {object} - Client-facing bookmark
+ */
+const formatBookmark = (bookmark) => ({
+  id: bookmark._id,
+  reference: bookmark.reference,
+  work: bookmark.work,
+  book: bookmark.book,
+  chapter: bookmark.chapter,
+  color: bookmark.color,
+  source: bookmark.source,
+  chatId: bookmark.chat,
+  createdAt: bookmark.createdAt,
+  updatedAt: bookmark.updatedAt
+});
+
+// ===========================================
+// Validation Rules
+// ===========================================
+const bookmarkIdValidation = [
+  param('bookmarkId')
+    .isMongoId()
+    .withMessage('Invalid bookmark ID')
+];
+
+const colorValidation = () => body('color')
+  .optional({ values: 'null' })
+  .isIn(HIGHLIGHT_COLORS)
+  .withMessage(`Color must be one of: ${HIGHLIGHT_COLORS.join(', ')}`);
+
+// ===========================================
+// ROUTES
+// ===========================================
+
+/**
+ * @route   GET /api/bookmarks
+ * @desc    Get the user's library in scripture order (?color= for one highlight color,
+ *          ?reference= to look up the bookmark on a passage)
+ * @access  Private
+ */
+router.get('/',
+  protect,
+  [
+    query('color')
+      .optional()
+      .isIn(HIGHLIGHT_COLORS)
+      .withMessage(`Color must be one of: ${HIGHLIGHT_COLORS.join(', ')}`),
+    query('reference')
+      .optional()
+      .custom(value => parsePassage(value) !== null)
+      .withMessage('Please enter one scripture passage, like "Alma 32:21".')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    let bookmarks;
+    if (req.query.reference) {
+      const bookmark = await Bookmark.findOne({
+        user: req.user._id,
+        reference: parsePassage(req.query.reference).reference
+      }).lean();
+      bookmarks = bookmark ? [bookmark] : [];
+    } else {
+      bookmarks = await Bookmark.getLibrary(req.user._id, { color: req.query.color });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookmarks: bookmarks.map(formatBookmark),
+        colors: HIGHLIGHT_COLORS
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/bookmarks
+ * @desc    Save a passage to the library (body: reference, optional color, source and chatId).
+ *          Saving a passage already in the library updates its color instead of adding it again.
+ * @access  Private
+ */
+router.post('/',
+  protect,
+  [
+    body('reference')
+      .isString()
+      .withMessage('Please enter one scripture passage, like "Alma 32:21".')
+      .bail()
+      .isLength({ max: 100 })
+      .custom(value => parsePassage(value) !== null)
+      .withMessage('Please enter one scripture passage, like "Alma 32:21".'),
+    colorValidation(),
+    body('source')
+      .optional()
+      .isIn(['chat', 'verse-of-day', 'library'])
+      .withMessage('Invalid source'),
+    body('chatId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid chat ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { reference, color, source, chatId } = req.body;
+
+    if (chatId) {
+      const chat = await Chat.getChatById(chatId, req.user._id);
+      if (!chat) {
+        throw new ApiError('Chat not found.', 404);
+      }
+    }
+
+    const { bookmark, created } = await Bookmark.saveReference(req.user._id, parsePassage(reference), {
+      color,
+      source: source || (chatId ? 'chat' : 'library'),
+      chatId: chatId || null
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: {
+        bookmark: formatBookmark(bookmark),
+        created
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/bookmarks/:bookmarkId
+ * @desc    Change a bookmark's highlight color (null removes the highlight)
+ * @access  Private
+ */
+router.put('/:bookmarkId',
+  protect,
+  bookmarkIdValidation,
+  [
+    body('color')
+      .exists()
+      .withMessage('Please choose a color.'),
+    colorValidation()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { _id: req.params.bookmarkId, user: req.user._id },
+      { $set: { color: req.body.color } },
+      { new: true, runValidators: true }
+    );
+
+    if (!bookmark) {
+      throw new ApiError('Bookmark not found.', 404);
+    }
+
+    res.json({
+      success: true,
+      data: { bookmark: formatBookmark(bookmark) }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/bookmarks/:bookmarkId
+ * @desc    Remove a passage from the library
+ * @access  Private
+ */
+router.delete('/:bookmarkId', protect, bookmarkIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const result = await Bookmark.deleteOne({ _id: req.params.bookmarkId, user: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw new ApiError('Bookmark not found.', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Bookmark removed.'
+  });
+}));
+
+module.exports = router;
@@ -1,42 +1,52 @@
 /**
  * Chat Routes
- * Handles conversations and OpenAI integration
+ * Handles conversations and AI integration
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult, param } = require('express-validator');
-const OpenAI = require('openai');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const { body, validationResult, param, query } = require('express-validator');
 const Chat = require('../models/Chat');
-const { protect, checkQuestionLimit } = require('../middleware/auth');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const VerseOfDay = require('../models/VerseOfDay');
+const { protect, checkQuestionLimit, optionalAuth } = require('../middleware/auth');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
-const { chatLimiter } = require('../middleware/rateLimiter');
+const { chatLimiter, exportLimiter } = require('../middleware/rateLimiter');
+const llm = require('../services/llm');
+const { verifyCitations } = require('../services/citations');
+const { searchPassages, buildContextPrompt } = require('../services/retrieval');
+const { getConversationContext, refreshSummary, fitToBudget } = require('../services/memory');
+const { measureUsage, recordUsage } = require('../services/usage');
+const { assessMessage, getSafeResponse } = require('../services/safety');
+const { signTurn, sanitizeHistory, checkQuestion, getGuardResponse } = require('../services/guard');
+const {
+  SESSION_HEADER,
+  findSession,
+  resolveSession,
+  reserveMessage,
+  releaseMessage,
+  saveExchange,
+  getQuota,
+  claimSession
+} = require('../services/anonymous');
+const { parseReference } = require('../utils/scriptureReference');
+const { getDayKey, isValidTimezone, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { MODE_IDS, listStudyModes } = require('../config/studyModes');
+const { resolvePrompt } = require('../services/prompts');
+const { searchChats, MAX_RESULTS } = require('../services/chatSearch');
+const { EXPORT_FORMATS, buildExport, renderExport, getExportFileName } = require('../services/chatExport');
+const { getVerseForDay, formatVerse } = require('../services/verseOfDay');
+const { FALLBACK_VERSES, ARCHIVE_PAGE_SIZE, MAX_ARCHIVE_PAGE } = require('../config/verseOfDay');
 
 // ===========================================
-// OpenAI Configuration
+// AI Configuration
 // ===========================================
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'sk-placeholder-key'
-});
-
-// System prompt for Latter-day Saint scripture focus
-const SYSTEM_PROMPT = `You are a wise and compassionate Latter-day Saint gospel scholar named "Faith Guide." Your role is to help people understand and apply the teachings of The Church of Jesus Christ of Latter-day Saints to their lives.
-
-IMPORTANT GUIDELINES:
-1. Answer ONLY questions related to Latter-day Saint theology, scripture, faith, gospel principles, and Christian living within an LDS context.
-2. If someone asks a question unrelated to the gospel or Latter-day Saint teachings, politely redirect them: "I'm here to help with questions about the restored gospel and Latter-day Saint scripture. Would you like to explore what the scriptures or latter-day prophets have taught about a particular topic?"
-3. Draw from ALL four standard works: the Bible (KJV preferred), the Book of Mormon, the Doctrine and Covenants, and the Pearl of Great Price. Also reference teachings from General Conference, latter-day prophets, and apostles when relevant.
-4. ALWAYS include relevant scripture references with citations (book, chapter:verse). For example: "For behold, this is my work and my glory—to bring to pass the immortality and eternal life of man" (Moses 1:39).
-5. Keep responses encouraging, non-judgmental, and faithful to the teachings of The Church of Jesus Christ of Latter-day Saints.
-6. Be warm and uplifting in tone — remember you're speaking with people seeking spiritual guidance and a stronger testimony.
-7. When discussing gospel topics, present teachings consistent with official Church positions and the words of living prophets.
-8. Encourage personal revelation, prayer, temple worship, scripture study, and following the counsel of Church leaders.
-9. When appropriate, reference the Plan of Salvation, the Atonement of Jesus Christ, the Restoration, priesthood authority, and other core Latter-day Saint doctrines.
-10. Keep responses clear and accessible — avoid overly academic language. Use the language of the gospel that members would be familiar with.
-11. When citing the Bible, prefer the King James Version (KJV). When citing the Book of Mormon, D&C, or Pearl of Great Price, use the standard LDS editions.
-12. Bear testimony when appropriate and invite others to seek confirmation through the Holy Ghost.
-
-Remember: You are a servant of the Lord, helping people grow in their testimony and understanding of the restored gospel of Jesus Christ.`;
+// Provider, model and generation defaults come from the environment (see services/llm);
+// prompts and per-mode settings come from config/studyModes
 
 // ===========================================
 // Validation Rules
@@ -50,81 +60,565 @@ const messageValidation = [
     .withMessage('Message is too long. Please keep it under 2000 characters.')
 ];
 
+const modeValidation = [
+  body('mode')
+    .optional()
+    .isIn(MODE_IDS)
+    .withMessage('Unknown study mode')
+];
+
 const chatIdValidation = [
   param('chatId')
     .isMongoId()
     .withMessage('Invalid chat ID')
 ];
 
+const messageIdValidation = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID')
+];
+
+const folderIdValidation = [
+  param('folderId')
+    .isMongoId()
+    .withMessage('Invalid folder ID')
+];
+
+const folderNameValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Folder name is required')
+    .isLength({ max: 50 })
+    .withMessage('Folder name cannot exceed 50 characters')
+];
+
+const exportFormatValidation = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+];
+
+const timezoneValidation = [
+  query('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Invalid timezone')
+];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The timezone a public request's "today" is in: the user's, else ?timezone=, else the default
+ * @param {object} req - Express request (after optionalAuth and timezoneValidation)
+ * @returns {string} - IANA timezone
+ */
+const getRequestTimezone = (req) => req.user?.timezone || req.query.timezone || DEFAULT_TIMEZONE;
+
 // ===========================================
-// PUBLIC ROUTES (no auth required) - MUST BE FIRST
+// Pagination
 // ===========================================
 
+// Default and largest page sizes for chat history and conversation messages
+const HISTORY_PAGE_SIZE = 50;
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
 /**
- * @route   GET /api/chat/verse-of-day
- * @desc    Get Bible verse of the day (public endpoint)
- * @access  Public
+ * Read a chat history cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {object|null} - { pinned, lastActivity: Date, id: ObjectId }, or null if invalid
+ */
+const readHistoryCursor = (cursor) => {
+  const values = decodeCursor(cursor);
+  if (!values || !mongoose.isValidObjectId(values.id)) return null;
+
+  const lastActivity = new Date(values.lastActivity);
+  if (Number.isNaN(lastActivity.getTime())) return null;
+
+  return { pinned: values.pinned === true, lastActivity, id: new mongoose.Types.ObjectId(values.id) };
+};
+
+/**
+ * Read a verse of the day archive cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {string|null} - Last day listed ("YYYY-MM-DD"), or null if invalid
+ */
+const readArchiveCursor = (cursor) => {
+  const values = decodeCursor(cursor);
+  return values && typeof values.day === 'string' && DAY_PATTERN.test(values.day) ? values.day : null;
+};
+
+// ===========================================
+// Organization Helpers
+// ===========================================
+
+// Most tags on one chat, and longest tag
+const MAX_TAGS_PER_CHAT = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize a tag so "Faith ", "faith" and "FAITH" are the same tag
+ * @param {string} tag - Tag as entered
+ * @returns {string} - Lowercase tag with single spaces
+ */
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Shape a chat's organization fields for API responses
+ * @param {object} chat - Chat document or plain object
+ * @returns {object} - { folderId, tags, pinned, archived }
+ */
+const formatOrganization = (chat) => ({
+  folderId: chat.folder || null,
+  tags: chat.tags || [],
+  pinned: chat.pinned || false,
+  archived: chat.archived || false
+});
+
+// ===========================================
+// Message Helpers
+// ===========================================
+
+/**
+ * Shape a stored message for API responses
+ * @param {object} msg - Message subdocument
+ * @param {object} chat - Chat document the message belongs to (for branch position)
+ * @returns {object} - Client-facing message
  */
-router.get('/verse-of-day', asyncHandler(async (req, res) => {
+const formatMessage = (msg, chat) => {
+  const siblings = chat.getSiblings(msg);
+
+  return {
+    id: msg._id,
+    parentId: msg.parent,
+    siblingIds: siblings.map(m => m._id),
+    siblingIndex: siblings.findIndex(m => m._id.equals(msg._id)),
+    siblingCount: siblings.length,
+    role: msg.role,
+    content: msg.content,
+    timestamp: msg.timestamp,
+    feedback: msg.feedback,
+    isStreaming: msg.isStreaming,
+    citations: msg.citations || [],
+    sources: msg.sources || [],
+    safeResponse: msg.safeResponse || false,
+    cannedResponse: msg.cannedResponse || false
+  };
+};
+
+/**
+ * Shape the current branch of a chat for API responses
+ * @param {object} chat - Chat document
+ * @returns {array} - Client-facing messages in conversation order
+ */
+const formatThread = (chat) => chat.getActivePath().map(msg => formatMessage(msg, chat));
+
+/**
+ * Find corpus passages to ground a reply. A failed search never blocks the answer.
+ * @param {string} question - User's latest message
+ * @returns {array} - Passages (empty if retrieval failed or is disabled)
+ */
+const findSources = async (question) => {
   try {
-    const verses = [
-      { reference: '1 Nephi 3:7', text: 'I will go and do the things which the Lord hath commanded, for I know that the Lord giveth no commandments unto the children of men, save he shall prepare a way for them that they may accomplish the thing which he commandeth them.' },
-      { reference: '2 Nephi 2:25', text: 'Adam fell that men might be; and men are, that they might have joy.' },
-      { reference: '2 Nephi 31:20', text: 'Wherefore, ye must press forward with a steadfastness in Christ, having a perfect brightness of hope, and a love of God and of all men.' },
-      { reference: 'Alma 32:21', text: 'Faith is not to have a perfect knowledge of things; therefore if ye have faith ye hope for things which are not seen, which are true.' },
-      { reference: 'Moroni 10:4-5', text: 'And when ye shall receive these things, I would exhort you that ye would ask God, the Eternal Father, in the name of Christ, if these things are not true; and if ye shall ask with a sincere heart, with real intent, having faith in Christ, he will manifest the truth of it unto you, by the power of the Holy Ghost.' },
-      { reference: 'Mosiah 2:17', text: 'When ye are in the service of your fellow beings ye are only in the service of your God.' },
-      { reference: 'Ether 12:27', text: 'And if men come unto me I will show unto them their weakness. I give unto men weakness that they may be humble; and my grace is sufficient for all men that humble themselves before me.' },
-      { reference: 'D&C 6:36', text: 'Look unto me in every thought; doubt not, fear not.' },
-      { reference: 'D&C 58:42', text: 'Behold, he who has repented of his sins, the same is forgiven, and I, the Lord, remember them no more.' },
-      { reference: 'D&C 121:7-8', text: 'My son, peace be unto thy soul; thine adversity and thine afflictions shall be but a small moment; And then, if thou endure it well, God shall exalt thee on high.' },
-      { reference: 'Moses 1:39', text: 'For behold, this is my work and my glory—to bring to pass the immortality and eternal life of man.' },
-      { reference: 'Mosiah 4:9', text: 'Believe in God; believe that he is, and that he created all things, both in heaven and in earth; believe that he has all wisdom, and all power, both in heaven and in earth.' },
-      { reference: 'Alma 37:37', text: 'Counsel with the Lord in all thy doings, and he will direct thee for good.' },
-      { reference: 'D&C 82:10', text: 'I, the Lord, am bound when ye do what I say; but when ye do not what I say, ye have no promise.' },
-      { reference: '3 Nephi 11:29', text: 'For verily, verily I say unto you, he that hath the spirit of contention is not of me, but is of the devil.' },
-      { reference: 'John 3:16', text: 'For God so loved the world, that he gave his only begotten Son, that whosoever believeth in him should not perish, but have everlasting life.' },
-      { reference: 'Proverbs 3:5-6', text: 'Trust in the Lord with all thine heart; and lean not unto thine own understanding. In all thy ways acknowledge him, and he shall direct thy paths.' },
-      { reference: 'Philippians 4:13', text: 'I can do all things through Christ which strengtheneth me.' }
-    ];
-
-    const dayOfYear = Math.floor((Date.now() - new Date(new Date().getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24));
-    const verse = verses[dayOfYear % verses.length];
+    return await searchPassages(question);
+  } catch (error) {
+    console.error('Scripture retrieval error:', error);
+    return [];
+  }
+};
 
-    res.json({
-      success: true,
-      data: {
-        verse: {
-          reference: verse.reference,
-          text: verse.text,
-          version: 'KJV'
-        }
+/**
+ * Update the chat's rolling summary in the background once the reply is saved
+ * (the summarization request counts toward the user's usage)
+ * @param {object} chat - Chat document
+ */
+const scheduleSummary = (chat) => {
+  refreshSummary(chat)
+    .then(result => result && recordUsage(chat.user, result.usage))
+    .catch(error => console.error('Summary update error:', error));
+};
+
+/**
+ * Build the messages sent to the model: mode prompt, retrieved passages, conversation
+ * @param {object} mode - Study mode from resolvePrompt
+ * @param {array} conversationHistory - Recent {role, content} messages ending with the question
+ * @param {array} sources - Passages from findSources
+ * @returns {array} - Prompt messages
+ */
+const buildPrompt = (mode, conversationHistory, sources) => {
+  const context = buildContextPrompt(sources);
+
+  return [
+    { role: 'system', content: mode.prompt },
+    ...(context ? [{ role: 'system', content: context }] : []),
+    ...conversationHistory
+  ];
+};
+
+/**
+ * Screen the user's question before the model call. Self-harm, abuse and acute distress get
+ * the fixed safe response; jailbreak attempts and off-topic questions get a canned reply.
+ * The result is recorded on the question. Model safety scoring (if enabled) counts toward
+ * the user's token usage; callers give back the question quota for screened questions.
+ * @param {object} chat - Chat document
+ * @param {object} question - The user message being answered
+ * @returns {object|null} - The reply message, or null to answer with the model
+ */
+const answerWithoutModel = async (chat, question) => {
+  const { detection, usage } = await assessMessage(question.content);
+  if (usage) await recordUsage(chat.user, usage);
+
+  if (detection) {
+    question.set({ safety: detection });
+    return chat.addMessage('assistant', getSafeResponse(detection), { safeResponse: true });
+  }
+
+  const guard = checkQuestion(question.content);
+  if (guard) {
+    question.set({ guard });
+    return chat.addMessage('assistant', getGuardResponse(guard), { cannedResponse: true });
+  }
+
+  return null;
+};
+
+/**
+ * Check the scripture citations in a reply. A failed check never blocks the answer.
+ * @param {string} content - Assistant reply
+ * @returns {array} - Citation results (empty if the check failed)
+ */
+const checkCitations = async (content) => {
+  try {
+    return await verifyCitations(content);
+  } catch (error) {
+    console.error('Citation check error:', error);
+    return [];
+  }
+};
+
+// ===========================================
+// Streaming Helpers (Server-Sent Events)
+// ===========================================
+
+// How often a partially streamed reply is written back to the database
+const PARTIAL_SAVE_INTERVAL_MS = 1000;
+
+/**
+ * Set headers for Server-Sent Events and flush them to the client
+ * @param {object} res - Express response
+ */
+const startEventStream = (res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+};
+
+/**
+ * Get a signal that aborts when the client disconnects before the reply is finished,
+ * so the provider stops generating (and billing) tokens no one will read
+ * @param {object} res - Express response
+ * @returns {AbortSignal} - Signal to pass to llm.stream()
+ */
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
+/**
+ * Write a single SSE data event
+ * @param {object} res - Express response
+ * @param {object} data - Payload to send
+ */
+const sendEvent = (res, data) => {
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Map a provider error to a user-facing message for streamed responses
+ * @param {Error} error - Error thrown by the AI provider
+ * @returns {string} - Friendly error message
+ */
+const getStreamErrorMessage = (error) => {
+  if (error.code === 'insufficient_quota') {
+    return 'Service temporarily unavailable. Please try again later.';
+  }
+  if (error.code === 'rate_limit_exceeded') {
+    return 'Too many requests. Please wait a moment and try again.';
+  }
+  return 'Sorry, I encountered an issue. Please try rephrasing your gospel question.';
+};
+
+/**
+ * Stream an assistant reply for a saved chat over SSE.
+ * The partial reply is persisted as it arrives and finalized when the stream ends,
+ * so a dropped connection never loses what was already generated.
+ * Questions screened out by answerWithoutModel get their reply in a single chunk instead.
+ * @param {object} req - Express request (req.user must be set)
+ * @param {object} res - Express response (headers not yet sent)
+ * @param {object} chat - Chat document whose last message is the user's question
+ */
+const streamAssistantReply = async (req, res, chat) => {
+  startEventStream(res);
+  const signal = abortOnDisconnect(res);
+
+  let assistantMessage = null;
+  let fullResponse = '';
+  let pendingSave = null;
+  let lastSaveAt = 0;
+  let prompt = [];
+  let reportedUsage = null;
+  let model = llm.getDefaultSettings().model;
+
+  // Save the partial reply without overlapping saves on the same document
+  const savePartial = () => {
+    if (pendingSave || signal.aborted) return;
+    lastSaveAt = Date.now();
+    pendingSave = chat.updateMessage(assistantMessage._id, { content: fullResponse, isStreaming: true })
+      .catch(error => console.error('Partial message save error:', error))
+      .finally(() => { pendingSave = null; });
+  };
+
+  // Final event with the saved reply
+  const sendDone = (message) => {
+    sendEvent(res, {
+      content: '',
+      done: true,
+      fullResponse: message.content,
+      timestamp: message.timestamp,
+      message: formatMessage(message, chat),
+      chat: {
+        id: chat._id,
+        title: chat.title,
+        mode: chat.mode
+      },
+      usage: {
+        questionsRemaining: req.questionsRemaining,
+        resetTime: req.resetTime,
+        isPremium: req.user.subscription.status === 'premium'
       }
     });
+    res.end();
+  };
+
+  try {
+    const path = chat.getActivePath();
+    const screenedReply = await answerWithoutModel(chat, path[path.length - 1]);
+    if (screenedReply) {
+      await req.releaseQuestion();
+      sendEvent(res, { content: screenedReply.content, done: false });
+      sendDone(screenedReply);
+      return;
+    }
+
+    const mode = await resolvePrompt(chat.mode);
+    const conversationHistory = getConversationContext(chat);
+    const sources = await findSources(conversationHistory[conversationHistory.length - 1].content);
+    prompt = buildPrompt(mode, conversationHistory, sources);
+
+    const stream = llm.stream({
+      ...mode.settings,
+      messages: prompt,
+      signal
+    });
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        reportedUsage = chunk.usage;
+        model = chunk.model || model;
+      }
+
+      const content = chunk.content || '';
+      if (!content) continue;
+
+      fullResponse += content;
+      sendEvent(res, { content, done: false });
+
+      if (!assistantMessage) {
+        assistantMessage = await chat.addMessage('assistant', fullResponse, {
+          isStreaming: true,
+          sources,
+          promptVersion: mode.version
+        });
+        lastSaveAt = Date.now();
+      } else if (Date.now() - lastSaveAt >= PARTIAL_SAVE_INTERVAL_MS) {
+        savePartial();
+      }
+    }
+
+    // Providers that stop quietly on abort (the mock) end the loop without an error
+    if (signal.aborted) {
+      throw new Error('Client disconnected');
+    }
+
+    if (!fullResponse) {
+      fullResponse = 'I apologize, but I was unable to generate a response. Please try rephrasing your gospel question.';
+    }
+
+    const citations = await checkCitations(fullResponse);
+    const usage = measureUsage({ prompt, content: fullResponse, reported: reportedUsage, model });
+
+    await pendingSave;
+    if (assistantMessage) {
+      await chat.updateMessage(assistantMessage._id, { content: fullResponse, isStreaming: false, citations, usage });
+    } else {
+      assistantMessage = await chat.addMessage('assistant', fullResponse, {
+        citations,
+        sources,
+        usage,
+        promptVersion: mode.version
+      });
+    }
+    await recordUsage(req.user._id, usage);
+
+    sendDone(assistantMessage);
+
+    scheduleSummary(chat);
 
   } catch (error) {
-    console.error('Verse of day error:', error);
+    // A client disconnecting is not an error
+    if (!signal.aborted) {
+      console.error('AI Provider Error (stream):', error);
+    }
+
+    // Keep whatever was generated, but stop marking it as in progress.
+    // Tokens already generated were still billed, so they are counted too;
+    // a question with no answer at all is given back.
+    await pendingSave;
+    if (!assistantMessage) {
+      await req.releaseQuestion();
+    } else {
+      const usage = measureUsage({ prompt, content: fullResponse, reported: reportedUsage, model });
+      await chat.updateMessage(assistantMessage._id, { content: fullResponse, isStreaming: false, usage })
+        .catch(saveError => console.error('Partial message save error:', saveError));
+      await recordUsage(req.user._id, usage);
+    }
+
+    if (!signal.aborted) {
+      sendEvent(res, { error: getStreamErrorMessage(error), done: true });
+    }
+    res.end();
+  }
+};
+
+// ===========================================
+// PUBLIC ROUTES (no auth required) - MUST BE FIRST
+// ===========================================
+
+/**
+ * @route   GET /api/chat/verse-of-day
+ * @desc    Get the verse of the day (public endpoint). Today in the user's timezone (signed in)
+ *          or ?timezone=; ?date=YYYY-MM-DD for an earlier day
+ * @access  Public
+ */
+router.get('/verse-of-day',
+  optionalAuth,
+  timezoneValidation,
+  [
+    query('date')
+      .optional()
+      .matches(DAY_PATTERN)
+      .withMessage('Date must be a day like 2026-01-01')
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage('Date must be a day like 2026-01-01')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const today = getDayKey(new Date(), getRequestTimezone(req));
+    const day = req.query.date || today;
+
+    if (day > today) {
+      throw new ApiError('The verse for that day has not been shown yet.', 400);
+    }
+
+    try {
+      // Today's rotation verse is saved so the archive keeps it
+      const verse = await getVerseForDay(day, { record: day === today });
+
+      res.json({
+        success: true,
+        data: { verse }
+      });
+
+    } catch (error) {
+      console.error('Verse of day error:', error);
+      res.json({
+        success: true,
+        data: {
+          verse: formatVerse(day, { ...FALLBACK_VERSES[0], source: 'rotation' })
+        }
+      });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/chat/verse-of-day/archive
+ * @desc    Get past verses of the day, newest first (?limit=&cursor=; today is in the
+ *          user's timezone or ?timezone=)
+ * @access  Public
+ */
+router.get('/verse-of-day/archive',
+  optionalAuth,
+  timezoneValidation,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_ARCHIVE_PAGE })
+      .withMessage(`Limit must be between 1 and ${MAX_ARCHIVE_PAGE}`)
+      .toInt(),
+    query('cursor')
+      .optional()
+      .custom(value => readArchiveCursor(value) !== null)
+      .withMessage('Invalid cursor')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const limit = req.query.limit || ARCHIVE_PAGE_SIZE;
+    const before = req.query.cursor
+      ? readArchiveCursor(req.query.cursor)
+      : getDayKey(new Date(), getRequestTimezone(req));
+
+    // One extra entry tells us whether there is another page
+    const entries = await VerseOfDay.getArchive(before, limit + 1);
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
     res.json({
       success: true,
       data: {
-        verse: {
-          reference: '1 Nephi 3:7',
-          text: 'I will go and do the things which the Lord hath commanded, for I know that the Lord giveth no commandments unto the children of men, save he shall prepare a way for them.',
-          version: 'KJV'
-        }
+        verses: page.map(entry => formatVerse(entry.day, entry)),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ day: page[page.length - 1].day }) : null
       }
     });
-  }
-}));
+  })
+);
 
 /**
  * @route   POST /api/chat/anonymous
- * @desc    Anonymous chat for users without accounts (limited to 5 messages) - STREAMING
+ * @desc    Anonymous chat for users without accounts (server-side quota and transcript) - STREAMING
  * @access  Public
  */
 router.post('/anonymous',
   chatLimiter,
   messageValidation,
+  modeValidation,
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -132,130 +626,744 @@ router.post('/anonymous',
     }
 
     const { message, history = [] } = req.body;
+    const mode = await resolvePrompt(req.body.mode);
+    const session = await resolveSession(req, res);
+
+    // Questions that need no model call are always answered, even with no quota left.
+    // With no account, only the detection itself is logged for review.
+    const { detection } = await assessMessage(message);
+    const guard = detection ? null : checkQuestion(message);
+
+    if (!detection && !guard) {
+      const quota = await reserveMessage(session);
+      if (!quota.allowed) {
+        throw new ApiError('You\'ve used all your free questions. Create a free account to keep asking.', 403);
+      }
+    }
 
     // Set headers for Server-Sent Events (streaming)
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
+    startEventStream(res);
+    const signal = abortOnDisconnect(res);
+
+    // Replies are signed so they can be sent back as history (see services/guard.js)
+    const sendReply = (content, fields = {}) => {
+      sendEvent(res, {
+        content: '',
+        done: true,
+        fullResponse: content,
+        citations: [],
+        sources: [],
+        ...fields,
+        signature: signTurn(content),
+        anonymous: getQuota(session),
+        timestamp: new Date().toISOString()
+      });
+      res.end();
+    };
+
+    if (detection || guard) {
+      console.warn('Screened anonymous question:', detection || guard);
+
+      const content = detection ? getSafeResponse(detection) : getGuardResponse(guard);
+      const flag = detection ? { safeResponse: true } : { cannedResponse: true };
+      await saveExchange(session, message, { content, ...flag }, mode.id);
+
+      sendEvent(res, { content, done: false });
+      sendReply(content, flag);
+      return;
+    }
 
     try {
-      // Build conversation history from client-provided history
-      const conversationHistory = history
-        .filter(msg => msg.role && msg.content)
-        .slice(-10)
-        .map(msg => ({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
-        }));
-
-      conversationHistory.push({ role: 'user', content: message });
-
-      // Call OpenAI API with streaming
-      const stream = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          ...conversationHistory
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-        stream: true
+      // The stored transcript is the history. A new session can carry on a conversation
+      // kept in the browser, but only with genuine (signed) assistant turns.
+      let previousTurns = session.messages.map(msg => ({ role: msg.role, content: msg.content }));
+      if (previousTurns.length === 0) {
+        const sanitized = sanitizeHistory(Array.isArray(history) ? history.slice(-10) : []);
+        if (sanitized.dropped > 0) {
+          console.warn(`Dropped ${sanitized.dropped} unverified turn(s) from anonymous history`);
+        }
+        previousTurns = sanitized.messages;
+      }
+
+      const conversationHistory = fitToBudget([
+        ...previousTurns,
+        { role: 'user', content: message }
+      ]);
+
+      const sources = await findSources(message);
+
+      // Call the AI provider with streaming
+      const stream = llm.stream({
+        ...mode.settings,
+        messages: buildPrompt(mode, conversationHistory, sources),
+        signal
       });
 
       let fullResponse = '';
 
       // Stream each chunk to the client
       for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content || '';
+        const content = chunk.content || '';
         if (content) {
           fullResponse += content;
           // Send chunk as SSE
-          res.write(`data: ${JSON.stringify({ content, done: false })}\n\n`);
+          sendEvent(res, { content, done: false });
         }
       }
 
-      // Send final message with done flag
-      res.write(`data: ${JSON.stringify({ content: '', done: true, fullResponse, timestamp: new Date().toISOString() })}\n\n`);
-      res.end();
+      if (signal.aborted) {
+        throw new Error('Client disconnected');
+      }
+
+      const citations = await checkCitations(fullResponse);
+      await saveExchange(session, message, { content: fullResponse }, mode.id);
+
+      // Send final message with done flag
+      sendReply(fullResponse, { citations, sources });
+
+    } catch (error) {
+      // A client disconnecting is not an error
+      if (!signal.aborted) {
+        console.error('AI Provider Error (anonymous):', error);
+      }
+
+      // A failed answer does not use up the visitor's quota
+      await releaseMessage(session);
+
+      if (!signal.aborted) {
+        sendEvent(res, { error: getStreamErrorMessage(error), done: true });
+      }
+      res.end();
+    }
+  })
+);
+
+/**
+ * @route   GET /api/chat/anonymous/session
+ * @desc    Anonymous visitor's quota and transcript (a session starts with the first question)
+ * @access  Public
+ */
+router.get('/anonymous/session', asyncHandler(async (req, res) => {
+  const session = await findSession(req);
+
+  res.json({
+    success: true,
+    data: {
+      anonymous: getQuota(session),
+      messages: (session ? session.messages : []).map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        safeResponse: msg.safeResponse || false,
+        cannedResponse: msg.cannedResponse || false
+      }))
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/chat/anonymous/claim
+ * @desc    Move the anonymous conversation in X-Anonymous-Session into the user's chats
+ * @access  Private
+ */
+router.post('/anonymous/claim', protect, asyncHandler(async (req, res) => {
+  const chat = await claimSession(req.get(SESSION_HEADER), req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      chat: chat ? { id: chat._id, title: chat.title, mode: chat.mode } : null
+    }
+  });
+}));
+
+// ===========================================
+// PROTECTED ROUTES (auth required)
+// ===========================================
+
+/**
+ * @route   GET /api/chat/modes
+ * @desc    List the available study modes
+ * @access  Public
+ */
+router.get('/modes', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      modes: listStudyModes()
+    }
+  });
+});
+
+/**
+ * @route   GET /api/chat/history
+ * @desc    Get a page of the user's chat history (sidebar), pinned then newest first
+ *          (?limit=&cursor=; filters: folder=<id|none>, tag, archived=true)
+ * @access  Private
+ */
+router.get('/history',
+  protect,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+      .toInt(),
+    query('cursor')
+      .optional()
+      .custom(value => readHistoryCursor(value) !== null)
+      .withMessage('Invalid cursor'),
+    query('folder')
+      .optional()
+      .custom(value => value === 'none' || mongoose.isValidObjectId(value))
+      .withMessage('Invalid folder ID'),
+    query('tag')
+      .optional()
+      .isString()
+      .isLength({ max: MAX_TAG_LENGTH })
+      .withMessage('Invalid tag'),
+    query('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('archived must be true or false')
+      .toBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const limit = req.query.limit || HISTORY_PAGE_SIZE;
+    const after = req.query.cursor ? readHistoryCursor(req.query.cursor) : null;
+    const { folder, archived } = req.query;
+    const tag = req.query.tag ? normalizeTag(req.query.tag) : undefined;
+
+    // One extra chat tells us whether there is another page
+    const chats = await Chat.getUserChats(req.user._id, { limit: limit + 1, after, folder, tag, archived });
+    const hasMore = chats.length > limit;
+    const page = chats.slice(0, limit);
+    const last = page[page.length - 1];
+
+    const formattedChats = page.map(chat => ({
+      id: chat._id,
+      title: chat.title,
+      mode: chat.mode,
+      lastActivity: chat.lastActivity,
+      ...formatOrganization(chat),
+      messageCount: chat.messageCount,
+      preview: chat.messageCount > 0 
+        ? chat.preview + '...'
+        : 'Empty conversation'
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        chats: formattedChats,
+        count: formattedChats.length,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor({ pinned: last.pinned === true, lastActivity: last.lastActivity, id: last._id })
+          : null
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/chat/search
+ * @desc    Search the user's conversations (?q=&from=&to=&reference=&limit=)
+ * @access  Private
+ */
+router.get('/search',
+  protect,
+  [
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search is too long. Please keep it under 200 characters.'),
+    query('from').optional().isISO8601().withMessage('Invalid start date'),
+    query('to').optional().isISO8601().withMessage('Invalid end date'),
+    query('reference')
+      .optional()
+      .trim()
+      .custom(value => parseReference(value).length > 0)
+      .withMessage('Please provide a scripture reference like "Alma 32:21".'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_RESULTS })
+      .withMessage(`Limit must be between 1 and ${MAX_RESULTS}`)
+      .toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { q, from, to, reference, limit } = req.query;
+
+    if (!q && !reference) {
+      throw new ApiError('Please enter something to search for.', 400);
+    }
+
+    const results = await searchChats(req.user._id, { q, from, to, reference, limit });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        count: results.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/chat/new
+ * @desc    Create a new chat conversation
+ * @access  Private
+ */
+router.post('/new', protect, modeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const chat = await Chat.createChat(req.user._id, null, req.body.mode);
+
+  res.status(201).json({
+    success: true,
+    message: 'New conversation started.',
+    data: {
+      chat: {
+        id: chat._id,
+        title: chat.title,
+        mode: chat.mode,
+        messages: [],
+        createdAt: chat.createdAt
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/chat/quick
+ * @desc    Quick message without existing chat (creates new chat)
+ * @access  Private
+ */
+router.post('/quick',
+  protect,
+  chatLimiter,
+  checkQuestionLimit,
+  messageValidation,
+  modeValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { message } = req.body;
+    const chat = await Chat.createChat(req.user._id, message, req.body.mode);
+    const mode = await resolvePrompt(chat.mode);
+
+    try {
+      const screenedReply = await answerWithoutModel(chat, chat.messages[0]);
+      if (screenedReply) {
+        await req.releaseQuestion();
+        return res.status(201).json({
+          success: true,
+          data: {
+            chat: {
+              id: chat._id,
+              title: chat.title,
+              mode: chat.mode,
+              messages: formatThread(chat)
+            },
+            usage: {
+              questionsRemaining: req.questionsRemaining,
+              resetTime: req.resetTime,
+              isPremium: req.user.subscription.status === 'premium'
+            }
+          }
+        });
+      }
+
+      const sources = await findSources(message);
+
+      const prompt = buildPrompt(mode, [{ role: 'user', content: message }], sources);
+      const completion = await llm.complete({ ...mode.settings, messages: prompt });
+
+      const aiResponse = completion.content || 
+        'I apologize, but I was unable to generate a response. Please try rephrasing your gospel question.';
+
+      const citations = await checkCitations(aiResponse);
+      const usage = measureUsage({ prompt, content: aiResponse, reported: completion.usage, model: completion.model });
+      await chat.addMessage('assistant', aiResponse, {
+        citations,
+        sources,
+        usage,
+        promptVersion: mode.version
+      });
+      await recordUsage(req.user._id, usage);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          chat: {
+            id: chat._id,
+            title: chat.title,
+            mode: chat.mode,
+            messages: formatThread(chat)
+          },
+          usage: {
+            questionsRemaining: req.questionsRemaining,
+            resetTime: req.resetTime,
+            isPremium: req.user.subscription.status === 'premium'
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('AI Provider Error:', error);
+      throw new ApiError(
+        'Sorry, I encountered an issue. Please try rephrasing your gospel question.',
+        500
+      );
+    }
+  })
+);
+
+/**
+ * @route   POST /api/chat/quick/stream
+ * @desc    Quick message without existing chat (creates new chat) - STREAMING
+ * @access  Private
+ */
+router.post('/quick/stream',
+  protect,
+  chatLimiter,
+  checkQuestionLimit,
+  messageValidation,
+  modeValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const chat = await Chat.createChat(req.user._id, req.body.message, req.body.mode);
+
+    await streamAssistantReply(req, res, chat);
+  })
+);
+
+// ===========================================
+// FOLDERS AND TAGS
+// ===========================================
+
+/**
+ * @route   GET /api/chat/folders
+ * @desc    List the user's folders with how many chats each holds
+ * @access  Private
+ */
+router.get('/folders', protect, asyncHandler(async (req, res) => {
+  const [folders, counts] = await Promise.all([
+    Folder.getUserFolders(req.user._id),
+    Chat.countByFolder(req.user._id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      folders: folders.map(folder => ({
+        id: folder._id,
+        name: folder.name,
+        chatCount: counts.get(folder._id.toString()) || 0
+      }))
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/chat/folders
+ * @desc    Create a folder
+ * @access  Private
+ */
+router.post('/folders', protect, folderNameValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  if (await Folder.findByName(req.user._id, req.body.name)) {
+    throw new ApiError('You already have a folder with that name.', 400);
+  }
+
+  const folder = await Folder.create({ user: req.user._id, name: req.body.name });
+
+  res.status(201).json({
+    success: true,
+    message: 'Folder created.',
+    data: {
+      folder: { id: folder._id, name: folder.name, chatCount: 0 }
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/chat/folders/:folderId
+ * @desc    Rename a folder
+ * @access  Private
+ */
+router.put('/folders/:folderId',
+  protect,
+  folderIdValidation,
+  folderNameValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const folder = await Folder.getFolderById(req.params.folderId, req.user._id);
+
+    if (!folder) {
+      throw new ApiError('Folder not found.', 404);
+    }
+
+    const existing = await Folder.findByName(req.user._id, req.body.name);
+    if (existing && !existing._id.equals(folder._id)) {
+      throw new ApiError('You already have a folder with that name.', 400);
+    }
+
+    folder.name = req.body.name;
+    await folder.save();
+
+    res.json({
+      success: true,
+      message: 'Folder renamed.',
+      data: {
+        folder: { id: folder._id, name: folder.name }
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/chat/folders/:folderId
+ * @desc    Delete a folder (its chats are kept and move to no folder)
+ * @access  Private
+ */
+router.delete('/folders/:folderId', protect, folderIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const folder = await Folder.getFolderById(req.params.folderId, req.user._id);
+
+  if (!folder) {
+    throw new ApiError('Folder not found.', 404);
+  }
+
+  await Chat.updateMany({ user: req.user._id, folder: folder._id }, { $set: { folder: null } });
+  await folder.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Folder deleted. Its conversations were kept.'
+  });
+}));
+
+/**
+ * @route   GET /api/chat/tags
+ * @desc    List the tags the user has used, with chat counts
+ * @access  Private
+ */
+router.get('/tags', protect, asyncHandler(async (req, res) => {
+  const tags = await Chat.getUserTags(req.user._id);
+
+  res.json({
+    success: true,
+    data: { tags }
+  });
+}));
+
+// ===========================================
+// EXPORT
+// ===========================================
+
+/**
+ * @route   GET /api/chat/export
+ * @desc    Download every chat as a zip archive, one file per chat (?format=md|pdf|json|txt, default md)
+ * @access  Private
+ */
+router.get('/export', protect, exportLimiter, exportFormatValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const format = req.query.format || 'md';
+  const options = { timezone: req.user.timezone };
+
+  // One chat in memory at a time; archived chats are included
+  const chats = Chat.find({ user: req.user._id, isActive: true, 'messages.0': { $exists: true } })
+    .sort({ lastActivity: -1 })
+    .cursor();
+
+  const archive = archiver('zip');
+  const day = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="faith-ai-chats-${day}.zip"`
+  });
+  archive.pipe(res);
+
+  try {
+    for await (const chat of chats) {
+      const contents = await renderExport(await buildExport(chat), format, options);
+      archive.append(contents, { name: getExportFileName(chat, format), date: chat.lastActivity });
+    }
+    await archive.finalize();
+  } catch (error) {
+    // The download has started, so the error can only be signalled by cutting it short
+    console.error('Chat export failed:', error);
+    archive.abort();
+    res.destroy(error);
+  }
+}));
+
+// ===========================================
+// PARAMETERIZED ROUTES (must come last)
+// ===========================================
+
+/**
+ * @route   GET /api/chat/:chatId
+ * @desc    Get a chat with a page of its current branch, newest messages first loaded
+ *          (?limit=&cursor= for older pages; &include=messageId extends the page back to a message)
+ * @access  Private
+ */
+router.get('/:chatId',
+  protect,
+  chatIdValidation,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+      .toInt(),
+    query('cursor')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid cursor'),
+    query('include')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const chat = await Chat.getChatById(req.params.chatId, req.user._id);
+
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
 
-    } catch (error) {
-      console.error('OpenAI API Error (anonymous):', error);
+    const path = chat.getActivePath();
+    const indexOf = (messageId) => path.findIndex(msg => msg._id.equals(messageId));
 
-      const errorMessage = error.code === 'insufficient_quota' 
-        ? 'Service temporarily unavailable. Please try again later.'
-        : error.code === 'rate_limit_exceeded'
-        ? 'Too many requests. Please wait a moment and try again.'
-        : 'Sorry, I encountered an issue. Please try rephrasing your gospel question.';
+    // The cursor is the oldest message already loaded; this page ends just before it
+    let end = path.length;
+    if (req.query.cursor) {
+      end = indexOf(req.query.cursor);
+      if (end === -1) {
+        throw new ApiError('This conversation has changed. Please reload it.', 409);
+      }
+    }
 
-      res.write(`data: ${JSON.stringify({ error: errorMessage, done: true })}\n\n`);
-      res.end();
+    let start = Math.max(0, end - (req.query.limit || MESSAGE_PAGE_SIZE));
+    if (req.query.include) {
+      const included = indexOf(req.query.include);
+      if (included !== -1 && included < start) start = included;
     }
+
+    const page = path.slice(start, end);
+    const hasMore = start > 0;
+    const noteCounts = await Note.countByMessage(chat._id, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        chat: {
+          id: chat._id,
+          title: chat.title,
+          mode: chat.mode,
+          messages: page.map(msg => ({
+            ...formatMessage(msg, chat),
+            noteCount: noteCounts.get(String(msg._id)) || 0
+          })),
+          messageCount: path.length,
+          ...formatOrganization(chat),
+          createdAt: chat.createdAt,
+          lastActivity: chat.lastActivity
+        },
+        hasMore,
+        nextCursor: hasMore && page.length > 0 ? page[0]._id : null
+      }
+    });
   })
 );
 
-// ===========================================
-// PROTECTED ROUTES (auth required)
-// ===========================================
-
 /**
- * @route   GET /api/chat/history
- * @desc    Get user's chat history (sidebar)
+ * @route   GET /api/chat/:chatId/export
+ * @desc    Download a chat's current branch (?format=md|pdf|json|txt, default md)
  * @access  Private
  */
-router.get('/history', protect, asyncHandler(async (req, res) => {
-  const chats = await Chat.getUserChats(req.user._id, 50);
+router.get('/:chatId/export',
+  protect,
+  chatIdValidation,
+  exportFormatValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
 
-  const formattedChats = chats.map(chat => ({
-    id: chat._id,
-    title: chat.title,
-    lastActivity: chat.lastActivity,
-    messageCount: chat.messages.length,
-    preview: chat.messages.length > 0 
-      ? chat.messages[0].content.substring(0, 50) + '...'
-      : 'Empty conversation'
-  }));
+    const chat = await Chat.getChatById(req.params.chatId, req.user._id);
 
-  res.json({
-    success: true,
-    data: {
-      chats: formattedChats,
-      count: formattedChats.length
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
     }
-  });
-}));
 
-/**
- * @route   POST /api/chat/new
- * @desc    Create a new chat conversation
- * @access  Private
- */
-router.post('/new', protect, asyncHandler(async (req, res) => {
-  const chat = await Chat.createChat(req.user._id);
+    const format = req.query.format || 'md';
+    const contents = await renderExport(await buildExport(chat), format, { timezone: req.user.timezone });
 
-  res.status(201).json({
-    success: true,
-    message: 'New conversation started.',
-    data: {
-      chat: {
-        id: chat._id,
-        title: chat.title,
-        messages: [],
-        createdAt: chat.createdAt
-      }
-    }
-  });
-}));
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${getExportFileName(chat, format)}"`
+    });
+    res.send(contents);
+  })
+);
 
 /**
- * @route   POST /api/chat/quick
- * @desc    Quick message without existing chat (creates new chat)
+ * @route   POST /api/chat/:chatId/message
+ * @desc    Send a message and get AI response
  * @access  Private
  */
-router.post('/quick',
-  protect,
+router.post('/:chatId/message', 
+  protect, 
   chatLimiter,
   checkQuestionLimit,
+  chatIdValidation,
   messageValidation,
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -264,38 +1372,56 @@ router.post('/quick',
     }
 
     const { message } = req.body;
-    const chat = await Chat.createChat(req.user._id, message);
+    const chat = await Chat.getChatById(req.params.chatId, req.user._id);
+
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
+
+    const question = await chat.addMessage('user', message);
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: message }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7
-      });
+      const screenedReply = await answerWithoutModel(chat, question);
+      if (screenedReply) {
+        await req.releaseQuestion();
+        return res.json({
+          success: true,
+          data: {
+            message: formatMessage(screenedReply, chat),
+            usage: {
+              questionsRemaining: req.questionsRemaining,
+              resetTime: req.resetTime,
+              isPremium: req.user.subscription.status === 'premium'
+            }
+          }
+        });
+      }
 
-      const aiResponse = completion.choices[0]?.message?.content || 
+      const mode = await resolvePrompt(chat.mode);
+      const conversationHistory = getConversationContext(chat);
+      const sources = await findSources(message);
+
+      const prompt = buildPrompt(mode, conversationHistory, sources);
+      const completion = await llm.complete({ ...mode.settings, messages: prompt });
+
+      const aiResponse = completion.content || 
         'I apologize, but I was unable to generate a response. Please try rephrasing your gospel question.';
 
-      await chat.addMessage('assistant', aiResponse);
-      await req.user.incrementQuestionCount();
+      const citations = await checkCitations(aiResponse);
+      const usage = measureUsage({ prompt, content: aiResponse, reported: completion.usage, model: completion.model });
+      const assistantMessage = await chat.addMessage('assistant', aiResponse, {
+        citations,
+        sources,
+        usage,
+        promptVersion: mode.version
+      });
+      await recordUsage(req.user._id, usage);
+      scheduleSummary(chat);
 
-      res.status(201).json({
+      res.json({
         success: true,
         data: {
-          chat: {
-            id: chat._id,
-            title: chat.title,
-            messages: chat.messages.map(msg => ({
-              id: msg._id,
-              role: msg.role,
-              content: msg.content,
-              timestamp: msg.timestamp
-            }))
-          },
+          message: formatMessage(assistantMessage, chat),
           usage: {
             questionsRemaining: req.questionsRemaining,
             resetTime: req.resetTime,
@@ -305,66 +1431,107 @@ router.post('/quick',
       });
 
     } catch (error) {
-      console.error('OpenAI API Error:', error);
+      console.error('AI Provider Error:', error);
+
+      if (error.code === 'insufficient_quota') {
+        throw new ApiError('Service temporarily unavailable. Please try again later.', 503);
+      }
+
+      if (error.code === 'rate_limit_exceeded') {
+        throw new ApiError('Too many requests. Please wait a moment and try again.', 429);
+      }
+
       throw new ApiError(
-        'Sorry, I encountered an issue. Please try rephrasing your gospel question.',
+        'Sorry, I encountered an issue while thinking about your question. Please try rephrasing your gospel question.',
         500
       );
     }
   })
 );
 
-// ===========================================
-// PARAMETERIZED ROUTES (must come last)
-// ===========================================
+/**
+ * @route   POST /api/chat/:chatId/message/stream
+ * @desc    Send a message and stream the AI response
+ * @access  Private
+ */
+router.post('/:chatId/message/stream',
+  protect,
+  chatLimiter,
+  checkQuestionLimit,
+  chatIdValidation,
+  messageValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const chat = await Chat.getChatById(req.params.chatId, req.user._id);
+
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
+
+    await chat.addMessage('user', req.body.message);
+
+    await streamAssistantReply(req, res, chat);
+  })
+);
 
 /**
- * @route   GET /api/chat/:chatId
- * @desc    Get a specific chat with all messages
+ * @route   POST /api/chat/:chatId/messages/:messageId/regenerate
+ * @desc    Generate another answer to the same question as a new branch - STREAMING
  * @access  Private
  */
-router.get('/:chatId', protect, chatIdValidation, asyncHandler(async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    throw new ApiError(errors.array()[0].msg, 400);
-  }
+router.post('/:chatId/messages/:messageId/regenerate',
+  protect,
+  chatLimiter,
+  checkQuestionLimit,
+  chatIdValidation,
+  messageIdValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
 
-  const chat = await Chat.getChatById(req.params.chatId, req.user._id);
+    const chat = await Chat.getChatById(req.params.chatId, req.user._id);
 
-  if (!chat) {
-    throw new ApiError('Chat not found.', 404);
-  }
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
 
-  res.json({
-    success: true,
-    data: {
-      chat: {
-        id: chat._id,
-        title: chat.title,
-        messages: chat.messages.map(msg => ({
-          id: msg._id,
-          role: msg.role,
-          content: msg.content,
-          timestamp: msg.timestamp,
-          feedback: msg.feedback
-        })),
-        createdAt: chat.createdAt,
-        lastActivity: chat.lastActivity
-      }
+    // Messages saved before branching have no parent until linked
+    chat.linkLegacyMessages();
+
+    const message = chat.messages.id(req.params.messageId);
+
+    if (!message || message.role !== 'assistant' || !message.parent) {
+      throw new ApiError('Message not found or cannot be regenerated.', 400);
     }
-  });
-}));
+
+    if (message.isStreaming) {
+      throw new ApiError('This answer is still being written. Please wait for it to finish.', 409);
+    }
+
+    // Reply to the same question; the old answer stays as a sibling branch
+    chat.currentLeaf = message.parent;
+
+    await streamAssistantReply(req, res, chat);
+  })
+);
 
 /**
- * @route   POST /api/chat/:chatId/message
- * @desc    Send a message and get AI response
+ * @route   POST /api/chat/:chatId/messages/:messageId/edit
+ * @desc    Ask an edited version of a question as a new branch and answer it - STREAMING
  * @access  Private
  */
-router.post('/:chatId/message', 
-  protect, 
+router.post('/:chatId/messages/:messageId/edit',
+  protect,
   chatLimiter,
   checkQuestionLimit,
   chatIdValidation,
+  messageIdValidation,
   messageValidation,
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -372,69 +1539,68 @@ router.post('/:chatId/message',
       throw new ApiError(errors.array()[0].msg, 400);
     }
 
-    const { message } = req.body;
     const chat = await Chat.getChatById(req.params.chatId, req.user._id);
 
     if (!chat) {
       throw new ApiError('Chat not found.', 404);
     }
 
-    await chat.addMessage('user', message);
+    // Messages saved before branching have no parent until linked
+    chat.linkLegacyMessages();
 
-    try {
-      const conversationHistory = chat.getMessagesForAPI(10);
-
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          ...conversationHistory
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
+    const original = chat.messages.id(req.params.messageId);
 
-      const aiResponse = completion.choices[0]?.message?.content || 
-        'I apologize, but I was unable to generate a response. Please try rephrasing your gospel question.';
+    if (!original || original.role !== 'user') {
+      throw new ApiError('Message not found or cannot be edited.', 400);
+    }
 
-      const assistantMessage = await chat.addMessage('assistant', aiResponse);
-      await req.user.incrementQuestionCount();
+    // The edited question becomes a sibling of the original; the original branch is kept
+    await chat.addMessage('user', req.body.message, { parent: original.parent });
 
-      res.json({
-        success: true,
-        data: {
-          message: {
-            id: assistantMessage._id,
-            role: 'assistant',
-            content: aiResponse,
-            timestamp: assistantMessage.timestamp
-          },
-          usage: {
-            questionsRemaining: req.questionsRemaining,
-            resetTime: req.resetTime,
-            isPremium: req.user.subscription.status === 'premium'
-          }
-        }
-      });
+    await streamAssistantReply(req, res, chat);
+  })
+);
 
-    } catch (error) {
-      console.error('OpenAI API Error:', error);
+/**
+ * @route   PUT /api/chat/:chatId/branch
+ * @desc    Switch the conversation to the branch containing a message
+ * @access  Private
+ */
+router.put('/:chatId/branch',
+  protect,
+  chatIdValidation,
+  [
+    body('messageId')
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
 
-      if (error.code === 'insufficient_quota') {
-        throw new ApiError('Service temporarily unavailable. Please try again later.', 503);
-      }
+    const chat = await Chat.getChatById(req.params.chatId, req.user._id);
 
-      if (error.code === 'rate_limit_exceeded') {
-        throw new ApiError('Too many requests. Please wait a moment and try again.', 429);
-      }
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
 
-      throw new ApiError(
-        'Sorry, I encountered an issue while thinking about your question. Please try rephrasing your gospel question.',
-        500
-      );
+    const found = await chat.selectBranch(req.body.messageId);
+
+    if (!found) {
+      throw new ApiError('Message not found.', 404);
     }
+
+    res.json({
+      success: true,
+      data: {
+        chat: {
+          id: chat._id,
+          messages: formatThread(chat)
+        }
+      }
+    });
   })
 );
 
@@ -447,7 +1613,7 @@ router.post('/:chatId/feedback/:messageId',
   protect,
   [
     ...chatIdValidation,
-    param('messageId').isMongoId().withMessage('Invalid message ID'),
+    ...messageIdValidation,
     body('feedback')
       .isIn(['helpful', 'not_helpful'])
       .withMessage('Feedback must be "helpful" or "not_helpful"')
@@ -516,6 +1682,86 @@ router.put('/:chatId/title',
   })
 );
 
+/**
+ * @route   PUT /api/chat/:chatId/organize
+ * @desc    Move a chat to a folder, set its tags, pin or archive it (send any of
+ *          folderId (null for no folder), tags, pinned, archived)
+ * @access  Private
+ */
+router.put('/:chatId/organize',
+  protect,
+  chatIdValidation,
+  [
+    body('folderId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid folder ID'),
+    body('tags')
+      .optional()
+      .isArray({ max: MAX_TAGS_PER_CHAT })
+      .withMessage(`A conversation can have up to ${MAX_TAGS_PER_CHAT} tags`),
+    body('tags.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: MAX_TAG_LENGTH })
+      .withMessage(`Tags must be between 1 and ${MAX_TAG_LENGTH} characters`),
+    body('pinned')
+      .optional()
+      .isBoolean()
+      .withMessage('pinned must be true or false'),
+    body('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('archived must be true or false')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { folderId, tags, pinned, archived } = req.body;
+    const fields = {};
+
+    if (folderId !== undefined) {
+      if (folderId !== null && !(await Folder.getFolderById(folderId, req.user._id))) {
+        throw new ApiError('Folder not found.', 404);
+      }
+      fields.folder = folderId;
+    }
+    if (tags !== undefined) {
+      fields.tags = Array.from(new Set(tags.map(normalizeTag)));
+    }
+    if (pinned !== undefined) {
+      fields.pinned = pinned;
+    }
+    if (archived !== undefined) {
+      fields.archived = archived;
+    }
+
+    if (Object.keys(fields).length === 0) {
+      throw new ApiError('Nothing to update.', 400);
+    }
+
+    const chat = await Chat.organize(req.params.chatId, req.user._id, fields);
+
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
+
+    res.json({
+      success: true,
+      message: 'Conversation updated.',
+      data: {
+        chat: {
+          id: chat._id,
+          ...formatOrganization(chat)
+        }
+      }
+    });
+  })
+);
+
 /**
  * @route   DELETE /api/chat/:chatId
  * @desc    Delete a chat
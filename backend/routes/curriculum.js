@@ -0,0 +1,123 @@
+/**
+ * Curriculum Routes
+ * The Come, Follow Me calendar: this week's scripture block and any week by number
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const CurriculumWeek = require('../models/CurriculumWeek');
+const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { getDayKey, isValidTimezone, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// Study mode a week's discussion questions start a chat in
+const CURRICULUM_MODE = 'come-follow-me';
+
+// ===========================================
+// Helpers
+// ===========================================
+
+/**
+ * Discussion questions for weeks the calendar file gives none for
+ * @param {string} reference - The week's scripture block
+ * @returns {array} - Question strings
+ */
+const getDiscussionQuestions = (reference) => [
+  `What stood out to you in ${reference}, and why?`,
+  `What does ${reference} teach us about Jesus Christ?`,
+  `What questions could we discuss as a family or class about ${reference}?`,
+  `How can we live what we learn in ${reference} this week?`
+];
+
+/**
+ * Shape a curriculum week for API responses
+ * @param {object} week - Week document
+ * @returns {object} - Client-facing week
+ */
+const formatWeek = (week) => ({
+  year: week.year,
+  week: week.week,
+  course: week.course,
+  startDay: week.startDay,
+  endDay: week.endDay,
+  title: week.title,
+  reference: week.reference,
+  questions: week.questions.length > 0 ? week.questions : getDiscussionQuestions(week.reference),
+  mode: CURRICULUM_MODE
+});
+
+// ===========================================
+// ROUTES
+// ===========================================
+
+/**
+ * @route   GET /api/curriculum/current
+ * @desc    Get this week's scripture block (the signed-in user's timezone, else ?timezone=)
+ * @access  Public
+ */
+router.get('/current',
+  optionalAuth,
+  [
+    query('timezone')
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage('Invalid timezone')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const timezone = req.user?.timezone || req.query.timezone || DEFAULT_TIMEZONE;
+    const day = getDayKey(new Date(), timezone);
+    const week = await CurriculumWeek.getWeekForDay(day);
+
+    // An empty or finished calendar is not an error; there is just nothing to show
+    res.json({
+      success: true,
+      data: {
+        day,
+        week: week ? formatWeek(week) : null
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/curriculum/:year/:week
+ * @desc    Get a week of the calendar by curriculum year and week number
+ * @access  Public
+ */
+router.get('/:year/:week',
+  [
+    param('year')
+      .isInt({ min: 1900, max: 2999 })
+      .withMessage('Invalid year')
+      .toInt(),
+    param('week')
+      .isInt({ min: 1, max: 53 })
+      .withMessage('Invalid week')
+      .toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const week = await CurriculumWeek.getWeek(req.params.year, req.params.week);
+
+    if (!week) {
+      throw new ApiError('That week is not in the curriculum calendar.', 404);
+    }
+
+    res.json({
+      success: true,
+      data: { week: formatWeek(week) }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,333 @@
+/**
+ * Note Routes
+ * Personal study journal: notes on chat messages and scripture passages
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Note = require('../models/Note');
+const Chat = require('../models/Chat');
+const { protect } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { parsePassage } = require('../utils/scriptureReference');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Default and largest page sizes for the journal
+const NOTE_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// ===========================================
+// Helpers
+// ===========================================
+
+/**
+ * Fields to store for a note's reference (clears it for an empty value)
+ * @param {string|null} text - Reference as entered
+ * @returns {object} - Reference fields for $set or create
+ */
+const toReferenceFields = (text) => {
+  const passage = text && text.trim() ? parsePassage(text) : null;
+  if (!passage) {
+    return { reference: null, work: undefined, book: undefined, chapter: undefined, verses: undefined };
+  }
+  return passage;
+};
+
+/**
+ * Read a journal cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {object|null} - { createdAt, id }, or null if malformed
+ */
+const readNoteCursor = (cursor) => {
+  const values = decodeCursor(cursor);
+  if (!values || !mongoose.isValidObjectId(values.id)) return null;
+
+  const createdAt = new Date(values.createdAt);
+  if (Number.isNaN(createdAt.getTime())) return null;
+
+  return { createdAt, id: new mongoose.Types.ObjectId(values.id) };
+};
+
+/**
+ * Shape a note for API responses
+ * @param {object} note - Note document
+ * @returns {object} - Client-facing note
+ */
+const formatNote = (note) => ({
+  id: note._id,
+  title: note.title,
+  body: note.body,
+  chatId: note.chat,
+  messageId: note.message,
+  reference: note.reference,
+  work: note.work || null,
+  book: note.book || null,
+  chapter: note.chapter || null,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+// ===========================================
+// Validation Rules
+// ===========================================
+const noteIdValidation = [
+  param('noteId')
+    .isMongoId()
+    .withMessage('Invalid note ID')
+];
+
+const titleValidation = () => body('title')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 120 })
+  .withMessage('Title cannot exceed 120 characters');
+
+const bodyValidation = () => body('body')
+  .isString()
+  .withMessage('Note text is required')
+  .bail()
+  .custom(value => value.trim().length > 0)
+  .withMessage('Note text is required')
+  .isLength({ max: 20000 })
+  .withMessage('Note cannot exceed 20000 characters');
+
+const referenceValidation = () => body('reference')
+  .optional({ values: 'null' })
+  .isString()
+  .isLength({ max: 100 })
+  .custom(value => value.trim() === '' || parsePassage(value) !== null)
+  .withMessage('Please enter one scripture passage, like "Alma 32:21".');
+
+// ===========================================
+// ROUTES
+// ===========================================
+
+/**
+ * @route   GET /api/notes
+ * @desc    Get the user's notes, newest first
+ *          (?limit=&cursor= to page; filter with chatId, messageId or reference)
+ * @access  Private
+ */
+router.get('/',
+  protect,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+      .toInt(),
+    query('cursor')
+      .optional()
+      .custom(value => readNoteCursor(value) !== null)
+      .withMessage('Invalid cursor'),
+    query('chatId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid chat ID'),
+    query('messageId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid message ID'),
+    query('reference')
+      .optional()
+      .custom(value => parsePassage(value) !== null)
+      .withMessage('Please enter one scripture passage, like "Alma 32:21".')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const limit = req.query.limit || NOTE_PAGE_SIZE;
+
+    // Fetch one extra note to learn whether another page follows
+    const notes = await Note.getUserNotes(req.user._id, {
+      limit: limit + 1,
+      after: req.query.cursor ? readNoteCursor(req.query.cursor) : null,
+      chatId: req.query.chatId,
+      messageId: req.query.messageId,
+      passage: req.query.reference ? parsePassage(req.query.reference) : null
+    });
+
+    const hasMore = notes.length > limit;
+    const page = notes.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        notes: page.map(formatNote),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ createdAt: last.createdAt, id: last._id }) : null
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/notes/references
+ * @desc    List the chapters the user has notes on, in scripture order, with note counts
+ * @access  Private
+ */
+router.get('/references', protect, asyncHandler(async (req, res) => {
+  const chapters = await Note.getReferenceIndex(req.user._id);
+
+  res.json({
+    success: true,
+    data: { chapters }
+  });
+}));
+
+/**
+ * @route   GET /api/notes/:noteId
+ * @desc    Get a note
+ * @access  Private
+ */
+router.get('/:noteId', protect, noteIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const note = await Note.getNoteById(req.params.noteId, req.user._id);
+
+  if (!note) {
+    throw new ApiError('Note not found.', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { note: formatNote(note) }
+  });
+}));
+
+/**
+ * @route   POST /api/notes
+ * @desc    Create a note (body: body, optional title, reference, and chatId with messageId)
+ * @access  Private
+ */
+router.post('/',
+  protect,
+  [
+    bodyValidation(),
+    titleValidation(),
+    referenceValidation(),
+    body('chatId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid chat ID'),
+    body('messageId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid message ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { title, body: text, reference, chatId, messageId } = req.body;
+
+    if (messageId && !chatId) {
+      throw new ApiError('A chat ID is required with a message ID.', 400);
+    }
+
+    if (chatId) {
+      const chat = await Chat.getChatById(chatId, req.user._id);
+      if (!chat) {
+        throw new ApiError('Chat not found.', 404);
+      }
+      if (messageId && !chat.messages.id(messageId)) {
+        throw new ApiError('Message not found.', 404);
+      }
+    }
+
+    const note = await Note.create({
+      user: req.user._id,
+      title,
+      body: text,
+      chat: chatId || null,
+      message: messageId || null,
+      ...toReferenceFields(reference)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { note: formatNote(note) }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/notes/:noteId
+ * @desc    Update a note's title, body or reference (null clears the reference)
+ * @access  Private
+ */
+router.put('/:noteId',
+  protect,
+  noteIdValidation,
+  [
+    bodyValidation().optional(),
+    titleValidation(),
+    referenceValidation()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const note = await Note.getNoteById(req.params.noteId, req.user._id);
+
+    if (!note) {
+      throw new ApiError('Note not found.', 404);
+    }
+
+    const { title, body: text, reference } = req.body;
+
+    if (title === undefined && text === undefined && reference === undefined) {
+      throw new ApiError('Nothing to update.', 400);
+    }
+
+    if (title !== undefined) note.title = title;
+    if (text !== undefined) note.body = text;
+    if (reference !== undefined) note.set(toReferenceFields(reference));
+
+    await note.save();
+
+    res.json({
+      success: true,
+      data: { note: formatNote(note) }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/notes/:noteId
+ * @desc    Delete a note
+ * @access  Private
+ */
+router.delete('/:noteId', protect, noteIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const result = await Note.deleteOne({ _id: req.params.noteId, user: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw new ApiError('Note not found.', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Note deleted.'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,337 @@
+/**
+ * Reading Plan Routes
+ * Built-in and custom reading plans, enrollment, daily progress and today's reading
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const ReadingPlan = require('../models/ReadingPlan');
+const PlanEnrollment = require('../models/PlanEnrollment');
+const { protect } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { getBook } = require('../utils/scriptureReference');
+const { getDayKey, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { MAX_PLAN_DAYS, MAX_CUSTOM_PLANS } = require('../config/readingPlans');
+const { formatReading, summarizeEnrollment } = require('../services/readingPlans');
+
+// ===========================================
+// Helpers
+// ===========================================
+
+/**
+ * Shape a plan for API responses
+ * @param {object} plan - Plan document
+ * @param {object} options - { includeDays: list each day's reading }
+ * @returns {object} - Client-facing plan
+ */
+const formatPlan = (plan, { includeDays = false } = {}) => ({
+  id: plan._id,
+  key: plan.key || null,
+  name: plan.name,
+  description: plan.description,
+  books: plan.books,
+  totalDays: plan.days.length,
+  custom: Boolean(plan.owner),
+  ...(includeDays && {
+    days: plan.days.map((day, index) => ({ day: index + 1, reference: formatReading(day.chapters) }))
+  })
+});
+
+/**
+ * The user's timezone, for working out which plan day is today
+ * @param {object} user - User document
+ * @returns {string} - IANA timezone
+ */
+const getUserTimezone = (user) => user.timezone || DEFAULT_TIMEZONE;
+
+// ===========================================
+// Validation Rules
+// ===========================================
+const planIdValidation = [
+  param('planId')
+    .isMongoId()
+    .withMessage('Invalid plan ID')
+];
+
+const enrollmentIdValidation = [
+  param('enrollmentId')
+    .isMongoId()
+    .withMessage('Invalid enrollment ID')
+];
+
+// ===========================================
+// ROUTES
+// ===========================================
+
+/**
+ * @route   GET /api/plans
+ * @desc    List the plans the user can follow (built-in plans, then their own)
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const plans = await ReadingPlan.getAvailablePlans(req.user._id);
+
+  res.json({
+    success: true,
+    data: { plans: plans.map(plan => formatPlan(plan)) }
+  });
+}));
+
+/**
+ * @route   GET /api/plans/today
+ * @desc    Get today's reading in each plan the user is following (finished plans are left out)
+ * @access  Private
+ */
+router.get('/today', protect, asyncHandler(async (req, res) => {
+  const enrollments = await PlanEnrollment.getUserEnrollments(req.user._id);
+  const timezone = getUserTimezone(req.user);
+
+  const readings = enrollments
+    .map(enrollment => summarizeEnrollment(enrollment, timezone))
+    .filter(summary => summary.today);
+
+  res.json({
+    success: true,
+    data: {
+      day: getDayKey(new Date(), timezone),
+      readings
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/plans/enrollments
+ * @desc    List the plans the user is following, with progress
+ * @access  Private
+ */
+router.get('/enrollments', protect, asyncHandler(async (req, res) => {
+  const enrollments = await PlanEnrollment.getUserEnrollments(req.user._id);
+  const timezone = getUserTimezone(req.user);
+
+  res.json({
+    success: true,
+    data: { enrollments: enrollments.map(enrollment => summarizeEnrollment(enrollment, timezone)) }
+  });
+}));
+
+/**
+ * @route   PUT /api/plans/enrollments/:enrollmentId/days/:day
+ * @desc    Mark a day of a plan as read or unread (body: completed)
+ * @access  Private
+ */
+router.put('/enrollments/:enrollmentId/days/:day',
+  protect,
+  enrollmentIdValidation,
+  [
+    param('day')
+      .isInt({ min: 1 })
+      .withMessage('Invalid day')
+      .toInt(),
+    body('completed')
+      .isBoolean({ strict: true })
+      .withMessage('Completed must be true or false')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const enrollment = await PlanEnrollment.findOne({ _id: req.params.enrollmentId, user: req.user._id })
+      .populate('plan');
+
+    if (!enrollment || !enrollment.plan) {
+      throw new ApiError('Reading plan not found.', 404);
+    }
+
+    const totalDays = enrollment.plan.days.length;
+    if (req.params.day > totalDays) {
+      throw new ApiError(`This plan has ${totalDays} days.`, 400);
+    }
+
+    const updated = await enrollment.markDay(req.params.day, req.body.completed, totalDays);
+    updated.plan = enrollment.plan;
+
+    res.json({
+      success: true,
+      data: { enrollment: summarizeEnrollment(updated, getUserTimezone(req.user)) }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/plans/enrollments/:enrollmentId
+ * @desc    Stop following a plan (its progress is discarded)
+ * @access  Private
+ */
+router.delete('/enrollments/:enrollmentId', protect, enrollmentIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const result = await PlanEnrollment.deleteOne({ _id: req.params.enrollmentId, user: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw new ApiError('Reading plan not found.', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'You have left the reading plan.'
+  });
+}));
+
+/**
+ * @route   POST /api/plans
+ * @desc    Build a custom plan (body: name, books in reading order, days, optional description)
+ * @access  Private
+ */
+router.post('/',
+  protect,
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage('Plan name must be between 1 and 80 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description cannot exceed 300 characters'),
+    body('books')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Please choose at least one book.'),
+    body('books.*')
+      .isString()
+      .custom(value => getBook(value) !== null)
+      .withMessage((value) => `"${value}" is not a book of scripture.`),
+    body('days')
+      .isInt({ min: 1, max: MAX_PLAN_DAYS })
+      .withMessage(`Days must be between 1 and ${MAX_PLAN_DAYS}`)
+      .toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const { name, description, days } = req.body;
+    const books = [...new Set(req.body.books.map(value => getBook(value).name))];
+
+    const chapters = ReadingPlan.countChapters(books);
+    if (days > chapters) {
+      throw new ApiError(`Those books have ${chapters} chapters, so the plan can last at most ${chapters} days.`, 400);
+    }
+
+    const customPlans = await ReadingPlan.countDocuments({ owner: req.user._id });
+    if (customPlans >= MAX_CUSTOM_PLANS) {
+      throw new ApiError(`You can keep up to ${MAX_CUSTOM_PLANS} custom plans. Please delete one first.`, 400);
+    }
+
+    const plan = await ReadingPlan.createCustomPlan(req.user._id, { name, description, books, days });
+
+    res.status(201).json({
+      success: true,
+      data: { plan: formatPlan(plan, { includeDays: true }) }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/plans/:planId
+ * @desc    Get a plan with each day's reading
+ * @access  Private
+ */
+router.get('/:planId', protect, planIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const plan = await ReadingPlan.getPlanById(req.params.planId, req.user._id);
+
+  if (!plan) {
+    throw new ApiError('Reading plan not found.', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { plan: formatPlan(plan, { includeDays: true }) }
+  });
+}));
+
+/**
+ * @route   POST /api/plans/:planId/enroll
+ * @desc    Start a plan, or restart it from day 1 (body: optional startDay "YYYY-MM-DD", default today)
+ * @access  Private
+ */
+router.post('/:planId/enroll',
+  protect,
+  planIdValidation,
+  [
+    body('startDay')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Start day must be a date like 2026-01-01')
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage('Start day must be a date like 2026-01-01')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const plan = await ReadingPlan.getPlanById(req.params.planId, req.user._id);
+
+    if (!plan) {
+      throw new ApiError('Reading plan not found.', 404);
+    }
+
+    const timezone = getUserTimezone(req.user);
+    const enrollment = await PlanEnrollment.enroll(
+      req.user._id,
+      plan._id,
+      req.body.startDay || getDayKey(new Date(), timezone)
+    );
+    enrollment.plan = plan;
+
+    res.status(201).json({
+      success: true,
+      data: { enrollment: summarizeEnrollment(enrollment, timezone) }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/plans/:planId
+ * @desc    Delete a custom plan (anyone following it stops)
+ * @access  Private
+ */
+router.delete('/:planId', protect, planIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 400);
+  }
+
+  const result = await ReadingPlan.deleteOne({ _id: req.params.planId, owner: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw new ApiError('Reading plan not found.', 404);
+  }
+
+  await PlanEnrollment.deleteMany({ plan: req.params.planId });
+
+  res.json({
+    success: true,
+    message: 'Reading plan deleted.'
+  });
+}));
+
+module.exports = router;
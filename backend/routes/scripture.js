@@ -0,0 +1,78 @@
+/**
+ * Scripture Routes
+ * Verse lookups against the local scripture corpus
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const Verse = require('../models/Verse');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { parseReference, formatReference, normalizeReference } = require('../utils/scriptureReference');
+
+// Most chapters a single lookup may span (e.g. "Alma 32-34")
+const MAX_CHAPTERS_PER_LOOKUP = 10;
+
+/**
+ * @route   GET /api/scripture/:reference
+ * @desc    Get the exact text of a verse or passage (e.g. "Alma 32:21", "Moroni 10:4-5", "D&C 121:7-8")
+ * @access  Public
+ */
+router.get('/:reference',
+  [
+    param('reference')
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Please provide a scripture reference like "Alma 32:21".')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const refs = parseReference(req.params.reference);
+
+    if (refs.length === 0) {
+      throw new ApiError('Please provide a scripture reference like "Alma 32:21".', 400);
+    }
+
+    if (refs.length > MAX_CHAPTERS_PER_LOOKUP) {
+      throw new ApiError(`Please request no more than ${MAX_CHAPTERS_PER_LOOKUP} chapters at a time.`, 400);
+    }
+
+    const passages = [];
+    for (const ref of refs) {
+      const verses = await Verse.getPassage(ref.book, ref.chapter, ref.verses);
+      if (verses.length > 0) {
+        passages.push({
+          reference: formatReference(ref),
+          work: ref.work,
+          book: ref.book,
+          chapter: ref.chapter,
+          verses: verses.map(v => ({
+            verse: v.verse,
+            text: v.text
+          }))
+        });
+      }
+    }
+
+    const reference = normalizeReference(req.params.reference);
+
+    if (passages.length === 0) {
+      throw new ApiError(`We couldn't find ${reference} in our scripture library.`, 404);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reference,
+        passages,
+        text: passages.flatMap(p => p.verses.map(v => v.text)).join(' ')
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,334 @@
+/**
+ * Share Routes
+ * Public read-only links to conversations, and their management by the chat's owner
+ *
+ * Shared pages are rendered by the frontend at /share/:token. The link handed out points at
+ * this API's preview route instead: it carries the Open Graph tags that link previews need
+ * (crawlers do not run the frontend's scripts) and redirects people on to the page.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Chat = require('../models/Chat');
+const ShareLink = require('../models/ShareLink');
+const { protect } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { getStudyMode } = require('../config/studyModes');
+const { stripMarkdown } = require('../services/chatExport');
+
+// Longest a share link can be set to last
+const MAX_EXPIRY_DAYS = 365;
+
+// Length of the description in link previews
+const PREVIEW_DESCRIPTION_LENGTH = 200;
+
+// ===========================================
+// Validation Rules
+// ===========================================
+const tokenValidation = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{22}$/)
+    .withMessage('Share link not found.')
+];
+
+// ===========================================
+// Helpers
+// ===========================================
+
+/**
+ * URL of the frontend page showing a shared conversation
+ * @param {string} token - Link token
+ * @returns {string} - Page URL
+ */
+const getPageUrl = (token) => `${process.env.FRONTEND_URL}/share/${token}`;
+
+/**
+ * URL to hand out for a share link (the preview route, which redirects to the page)
+ * @param {object} req - Express request (for the host when API_URL is not set)
+ * @param {string} token - Link token
+ * @returns {string} - Link URL
+ */
+const getLinkUrl = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/share/${token}/preview`;
+};
+
+/**
+ * Shape a share link for its owner
+ * @param {object} req - Express request
+ * @param {object} link - Share link
+ * @returns {object} - Client-facing link
+ */
+const formatLink = (req, link) => ({
+  token: link.token,
+  url: getLinkUrl(req, link.token),
+  pageUrl: getPageUrl(link.token),
+  chatId: link.chat,
+  snapshot: Boolean(link.snapshot),
+  expiresAt: link.expiresAt,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  createdAt: link.createdAt
+});
+
+/**
+ * Load what a share link shows: its snapshot, or the chat's current branch.
+ * Links to deleted chats show nothing, snapshots included.
+ * @param {object} link - Active share link
+ * @returns {object} - { title, mode, messages } or null
+ */
+const loadSharedConversation = async (link) => {
+  const chat = await Chat.findOne({ _id: link.chat, isActive: true });
+  if (!chat) return null;
+
+  if (link.snapshot) {
+    return {
+      title: link.snapshot.title,
+      mode: link.snapshot.mode,
+      messages: link.snapshot.messages.map(msg => ({
+        id: msg._id,
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        citations: msg.citations || [],
+        sources: msg.sources || []
+      }))
+    };
+  }
+
+  return {
+    title: chat.title,
+    mode: chat.mode,
+    messages: chat.getActivePath()
+      .filter(msg => !msg.isStreaming)
+      .map(msg => ({
+        id: msg._id,
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        citations: msg.citations || [],
+        sources: msg.sources || []
+      }))
+  };
+};
+
+/**
+ * Escape text for an HTML attribute or element
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Build the preview description: the start of the first answer
+ * @param {object} conversation - From loadSharedConversation
+ * @returns {string} - Plain-text description
+ */
+const describeConversation = (conversation) => {
+  const answer = conversation.messages.find(msg => msg.role === 'assistant');
+  if (!answer) return 'A conversation shared from Faith AI.';
+
+  const text = stripMarkdown(answer.content).replace(/\s+/g, ' ').trim();
+  if (text.length <= PREVIEW_DESCRIPTION_LENGTH) return text;
+
+  const cut = text.lastIndexOf(' ', PREVIEW_DESCRIPTION_LENGTH);
+  return `${text.slice(0, cut > 0 ? cut : PREVIEW_DESCRIPTION_LENGTH)}…`;
+};
+
+// ===========================================
+// OWNER ROUTES
+// ===========================================
+
+/**
+ * @route   POST /api/share
+ * @desc    Create a share link for a chat
+ *          (body: chatId, expiresInDays (optional), snapshot (true to share the chat as it is now))
+ * @access  Private
+ */
+router.post('/',
+  protect,
+  [
+    body('chatId')
+      .isMongoId()
+      .withMessage('Invalid chat ID'),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+      .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+      .toInt(),
+    body('snapshot')
+      .optional()
+      .isBoolean()
+      .withMessage('Snapshot must be true or false')
+      .toBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const chat = await Chat.getChatById(req.body.chatId, req.user._id);
+
+    if (!chat) {
+      throw new ApiError('Chat not found.', 404);
+    }
+
+    if (chat.messages.length === 0) {
+      throw new ApiError('There is nothing to share in this chat yet.', 400);
+    }
+
+    const { expiresInDays, snapshot = false } = req.body;
+    const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+    const link = await ShareLink.createForChat(chat, req.user._id, { expiresAt, snapshot });
+
+    res.status(201).json({
+      success: true,
+      data: { link: formatLink(req, link) }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/share?chatId=
+ * @desc    List a chat's share links that can still be viewed
+ * @access  Private
+ */
+router.get('/',
+  protect,
+  [
+    query('chatId')
+      .isMongoId()
+      .withMessage('Invalid chat ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ApiError(errors.array()[0].msg, 400);
+    }
+
+    const links = await ShareLink.getChatLinks(req.query.chatId, req.user._id);
+
+    res.json({
+      success: true,
+      data: { links: links.map(link => formatLink(req, link)) }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/share/:token
+ * @desc    Revoke a share link
+ * @access  Private
+ */
+router.delete('/:token', protect, tokenValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 404);
+  }
+
+  const link = await ShareLink.revoke(req.params.token, req.user._id);
+
+  if (!link) {
+    throw new ApiError('Share link not found.', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Share link revoked.'
+  });
+}));
+
+// ===========================================
+// PUBLIC ROUTES
+// ===========================================
+
+/**
+ * @route   GET /api/share/:token
+ * @desc    Get a shared conversation (read-only)
+ * @access  Public
+ */
+router.get('/:token', tokenValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ApiError(errors.array()[0].msg, 404);
+  }
+
+  const link = await ShareLink.findActive(req.params.token);
+  const conversation = link && await loadSharedConversation(link);
+
+  if (!conversation) {
+    throw new ApiError('This share link has expired or is no longer available.', 404);
+  }
+
+  await ShareLink.recordView(link._id);
+
+  res.json({
+    success: true,
+    data: {
+      share: {
+        snapshot: Boolean(link.snapshot),
+        sharedAt: link.createdAt,
+        expiresAt: link.expiresAt
+      },
+      chat: {
+        title: conversation.title,
+        mode: conversation.mode,
+        modeName: getStudyMode(conversation.mode).name,
+        messages: conversation.messages
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/share/:token/preview
+ * @desc    HTML with Open Graph tags for link previews; redirects to the shared page
+ * @access  Public
+ */
+router.get('/:token/preview', tokenValidation, asyncHandler(async (req, res) => {
+  const token = validationResult(req).isEmpty() ? req.params.token : null;
+  const link = token && await ShareLink.findActive(token);
+  const conversation = link && await loadSharedConversation(link);
+
+  // Unavailable links still redirect; the page explains that the link has expired
+  const pageUrl = token ? getPageUrl(token) : process.env.FRONTEND_URL;
+  const title = conversation ? conversation.title : 'Faith AI';
+  const description = conversation
+    ? describeConversation(conversation)
+    : 'This shared conversation is no longer available.';
+
+  res.set('Cache-Control', 'no-cache');
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(conversation ? `${title} · Faith AI` : title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta name="robots" content="noindex">
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="Faith AI">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  <meta name="twitter:card" content="summary">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(pageUrl)}">
+</head>
+<body>
+  <p><a href="${escapeHtml(pageUrl)}">Open this conversation on Faith AI</a></p>
+</body>
+</html>
+`);
+}));
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Scripture Embedding Script
+ * Computes embedding vectors for the scripture corpus so retrieval can use semantic search
+ *
+ * Usage: node scripts/embedScripture.js [--all]
+ * Only verses without an embedding from the current model are embedded, unless --all is given.
+ * Set RETRIEVAL_EMBEDDINGS=true on the server to use the vectors.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Verse = require('../models/Verse');
+const llm = require('../services/llm');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/faithai';
+
+// Verses sent to the embedding model per request
+const BATCH_SIZE = 100;
+
+const run = async () => {
+  const model = process.env.LLM_EMBEDDING_MODEL || 'text-embedding-3-small';
+  const reembedAll = process.argv.includes('--all');
+
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const filter = reembedAll ? {} : { embeddingModel: { $ne: model } };
+  const total = await Verse.countDocuments(filter);
+  console.log(`🧮 Embedding ${total} verses with ${model}`);
+
+  let done = 0;
+  let lastId = null;
+
+  // Page by _id so verses updated along the way are not skipped or repeated
+  while (done < total) {
+    const verses = await Verse.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .select('reference text')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (verses.length === 0) break;
+
+    const { embeddings } = await llm.embed(
+      verses.map(v => `${v.reference} ${v.text}`),
+      { model }
+    );
+
+    await Verse.bulkWrite(verses.map((v, i) => ({
+      updateOne: {
+        filter: { _id: v._id },
+        update: { $set: { embedding: embeddings[i], embeddingModel: model } }
+      }
+    })));
+
+    done += verses.length;
+    lastId = verses[verses.length - 1]._id;
+    console.log(`   ${done}/${total}`);
+  }
+
+  console.log(`✅ Embedded ${done} verses`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Scripture embedding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
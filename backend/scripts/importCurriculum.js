@@ -0,0 +1,123 @@
+/**
+ * Curriculum Import Script
+ * Loads Come, Follow Me calendar files (see data/curriculum/README.md) into MongoDB
+ *
+ * Usage: node scripts/importCurriculum.js [file.json ...]
+ * With no arguments, every .json file in data/curriculum is imported.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const CurriculumWeek = require('../models/CurriculumWeek');
+const { findReferences } = require('../utils/scriptureReference');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'curriculum');
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/faithai';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is a real calendar day
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @returns {boolean} - True if valid
+ */
+const isValidDay = (day) => {
+  if (typeof day !== 'string' || !DAY_PATTERN.test(day)) return false;
+  const date = new Date(`${day}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(day);
+};
+
+/**
+ * Turn a calendar file into week records
+ * @param {object} calendar - Parsed calendar file
+ * @param {string} file - File name (for error messages)
+ * @returns {array} - Array of { year, week, course, startDay, endDay, title, reference, questions }
+ */
+const readCalendar = (calendar, file) => {
+  if (!Number.isInteger(calendar.year)) {
+    throw new Error(`${file}: "year" must be a number`);
+  }
+  if (!Array.isArray(calendar.weeks)) {
+    throw new Error(`${file}: "weeks" must be an array`);
+  }
+
+  return calendar.weeks.map((entry) => {
+    const label = `${file}: week ${entry.week}`;
+
+    if (!Number.isInteger(entry.week) || entry.week < 1) {
+      throw new Error(`${file}: every week needs a "week" number from 1`);
+    }
+    if (!isValidDay(entry.startDay) || !isValidDay(entry.endDay) || entry.endDay < entry.startDay) {
+      throw new Error(`${label}: "startDay" and "endDay" must be dates like 2026-01-05, in order`);
+    }
+    if (!entry.title || !entry.reference) {
+      throw new Error(`${label}: "title" and "reference" are required`);
+    }
+    if (findReferences(entry.reference).length === 0) {
+      throw new Error(`${label}: "${entry.reference}" is not a scripture reference`);
+    }
+
+    return {
+      year: calendar.year,
+      week: entry.week,
+      course: calendar.course || '',
+      startDay: entry.startDay,
+      endDay: entry.endDay,
+      title: entry.title.trim(),
+      reference: entry.reference.trim(),
+      questions: (entry.questions || []).map(question => String(question).trim()).filter(Boolean)
+    };
+  });
+};
+
+/**
+ * Resolve the list of files to import from CLI arguments
+ * @returns {array} - Absolute file paths
+ */
+const resolveFiles = () => {
+  const args = process.argv.slice(2);
+  if (args.length > 0) {
+    return args.map(file => path.resolve(file));
+  }
+
+  return fs.readdirSync(DEFAULT_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(DEFAULT_DIR, file));
+};
+
+const run = async () => {
+  const files = resolveFiles();
+
+  if (files.length === 0) {
+    console.log(`No calendar files in ${DEFAULT_DIR}. See data/curriculum/README.md.`);
+    return;
+  }
+
+  // Check every file before writing anything
+  const calendars = files.map((file) => {
+    const calendar = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { file: path.basename(file), weeks: readCalendar(calendar, path.basename(file)) };
+  });
+
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  let total = 0;
+
+  for (const { file, weeks } of calendars) {
+    await CurriculumWeek.upsertMany(weeks);
+    total += weeks.length;
+    console.log(`📅 ${file}: ${weeks.length} weeks`);
+  }
+
+  console.log(`✅ Imported ${total} weeks from ${files.length} file(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Curriculum import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,120 @@
+/**
+ * Scripture Import Script
+ * Loads scripture corpus files (see data/scripture/README.md) into MongoDB
+ *
+ * Usage: node scripts/importScripture.js [file.json ...]
+ * With no arguments, every .json file in data/scripture is imported.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Verse = require('../models/Verse');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'scripture');
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/faithai';
+
+// Verses are written in batches to keep memory use flat for full corpora
+const BATCH_SIZE = 1000;
+
+/**
+ * Flatten a corpus file into verse records
+ * @param {object} corpus - Parsed corpus file
+ * @param {string} file - File name (for error messages)
+ * @returns {array} - Array of { work, book, chapter, verse, text, endsChapter }
+ */
+const flattenCorpus = (corpus, file) => {
+  if (!Verse.WORKS.includes(corpus.work)) {
+    throw new Error(`${file}: "work" must be one of ${Verse.WORKS.join(', ')}`);
+  }
+  if (!Array.isArray(corpus.books)) {
+    throw new Error(`${file}: "books" must be an array`);
+  }
+
+  const verses = [];
+
+  for (const book of corpus.books) {
+    if (!book.name || !Array.isArray(book.chapters)) {
+      throw new Error(`${file}: every book needs a "name" and a "chapters" array`);
+    }
+
+    for (const chapter of book.chapters) {
+      const entries = chapter.verses || [];
+      // A chapter given as plain strings, or marked "complete", holds every verse
+      const complete = chapter.complete === true ||
+        (entries.length > 0 && entries.every(entry => typeof entry === 'string'));
+      const lastVerse = Math.max(...entries.map((entry, index) =>
+        (typeof entry === 'string' ? index + 1 : entry.verse)));
+
+      entries.forEach((entry, index) => {
+        // Plain strings are numbered by position; objects carry their own verse number
+        const verse = typeof entry === 'string' ? index + 1 : entry.verse;
+        const text = typeof entry === 'string' ? entry : entry.text;
+
+        if (!Number.isInteger(chapter.chapter) || !Number.isInteger(verse) || !text) {
+          throw new Error(`${file}: invalid verse in ${book.name} ${chapter.chapter}`);
+        }
+
+        verses.push({
+          work: corpus.work,
+          book: book.name,
+          chapter: chapter.chapter,
+          verse,
+          text: text.trim(),
+          endsChapter: complete && verse === lastVerse
+        });
+      });
+    }
+  }
+
+  return verses;
+};
+
+/**
+ * Resolve the list of files to import from CLI arguments
+ * @returns {array} - Absolute file paths
+ */
+const resolveFiles = () => {
+  const args = process.argv.slice(2);
+  if (args.length > 0) {
+    return args.map(file => path.resolve(file));
+  }
+
+  return fs.readdirSync(DEFAULT_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(DEFAULT_DIR, file));
+};
+
+const run = async () => {
+  const files = resolveFiles();
+
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  let total = 0;
+
+  for (const file of files) {
+    const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const verses = flattenCorpus(corpus, path.basename(file));
+
+    for (let i = 0; i < verses.length; i += BATCH_SIZE) {
+      await Verse.upsertMany(verses.slice(i, i + BATCH_SIZE));
+    }
+
+    total += verses.length;
+    console.log(`📖 ${path.basename(file)}: ${verses.length} verses`);
+  }
+
+  console.log(`✅ Imported ${total} verses from ${files.length} file(s)`);
+
+  const numbered = await Verse.numberPositions(BATCH_SIZE);
+  console.log(`🔢 Numbered ${numbered} verses for the verse of the day`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Scripture import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,42 @@
+/**
+ * Set User Role Script
+ * Grants or removes admin access
+ *
+ * Usage: node scripts/setRole.js <email> <user|admin>
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/faithai';
+const ROLES = ['user', 'admin'];
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    throw new Error('Usage: node scripts/setRole.js <email> <user|admin>');
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new Error(`No user found with email ${email}`);
+  }
+
+  console.log(`✅ ${user.email} is now "${user.role}"`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Could not set role:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -34,6 +34,13 @@ if (process.env.SENTRY_DSN) {
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const stripeRoutes = require('./routes/stripe');
+const scriptureRoutes = require('./routes/scripture');
+const adminRoutes = require('./routes/admin');
+const shareRoutes = require('./routes/share');
+const noteRoutes = require('./routes/notes');
+const bookmarkRoutes = require('./routes/bookmarks');
+const planRoutes = require('./routes/plans');
+const curriculumRoutes = require('./routes/curriculum');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -71,7 +78,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Anonymous-Session'],
+  exposedHeaders: ['X-Anonymous-Session', 'X-Quota-Tier', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After', 'Content-Disposition']
 }));
 
 // Handle preflight requests
@@ -102,6 +110,13 @@ app.use('/api/', rateLimiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/stripe', stripeRoutes);
+app.use('/api/scripture', scriptureRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/notes', noteRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/curriculum', curriculumRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
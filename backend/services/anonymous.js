@@ -0,0 +1,188 @@
+/**
+ * Anonymous Sessions
+ * Identifies visitors without an account, enforces their free quota on the server and
+ * moves their conversation into a real chat when they sign up
+ *
+ * The session token is "<sessionId>.<signature>" and travels in the X-Anonymous-Session
+ * header both ways: the server sends a new token when it starts a session (on the visitor's
+ * first question), and the client sends it back on every anonymous request. Clearing browser storage starts a new
+ * session, so a daily cap per IP (hashed, never stored as-is) bounds the total.
+ *
+ * Environment:
+ *   ANONYMOUS_MESSAGE_LIMIT    - AI answers per anonymous session (default 25)
+ *   ANONYMOUS_IP_DAILY_LIMIT   - AI answers per IP per 24 hours across sessions (default 100)
+ */
+
+const mongoose = require('mongoose');
+const AnonymousSession = require('../models/AnonymousSession');
+const Chat = require('../models/Chat');
+const { sign, verify } = require('../utils/signing');
+
+const SESSION_HEADER = 'X-Anonymous-Session';
+const TOKEN_PURPOSE = 'anonymous-session';
+
+/**
+ * Get the anonymous quotas from the environment
+ * @returns {object} - { messageLimit, ipDailyLimit }
+ */
+const getLimits = () => ({
+  messageLimit: parseInt(process.env.ANONYMOUS_MESSAGE_LIMIT) || 25,
+  ipDailyLimit: parseInt(process.env.ANONYMOUS_IP_DAILY_LIMIT) || 100
+});
+
+/**
+ * Hash a client IP so sessions can be grouped without storing the address
+ * @param {string} ip - Client IP
+ * @returns {string} - Hex hash
+ */
+const hashIp = (ip) => sign('ip', ip || 'unknown');
+
+/**
+ * Build the token for a session
+ * @param {ObjectId} sessionId - Session ID
+ * @returns {string} - Signed token
+ */
+const issueToken = (sessionId) => `${sessionId}.${sign(TOKEN_PURPOSE, String(sessionId))}`;
+
+/**
+ * Read the session ID from a signed token
+ * @param {string} token - Token from the X-Anonymous-Session header
+ * @returns {string|null} - Session ID, or null if the token is missing or forged
+ */
+const readToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, signature] = token.split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !verify(TOKEN_PURPOSE, sessionId, signature)) {
+    return null;
+  }
+
+  return sessionId;
+};
+
+/**
+ * Load the visitor's session without starting one. Claimed sessions are never reused.
+ * @param {object} req - Express request
+ * @returns {object|null} - AnonymousSession document, or null if the visitor has none
+ */
+const findSession = async (req) => {
+  const sessionId = readToken(req.get(SESSION_HEADER));
+  if (!sessionId) return null;
+
+  return AnonymousSession.findOne({ _id: sessionId, claimedBy: null });
+};
+
+/**
+ * Load the visitor's session, or start a new one and send its token in the response header
+ * @param {object} req - Express request
+ * @param {object} res - Express response (headers not yet sent)
+ * @returns {object} - AnonymousSession document
+ */
+const resolveSession = async (req, res) => {
+  const existing = await findSession(req);
+  if (existing) return existing;
+
+  const session = await AnonymousSession.create({ ipHash: hashIp(req.ip) });
+  res.setHeader(SESSION_HEADER, issueToken(session._id));
+  return session;
+};
+
+/**
+ * Use one AI answer from the session's quota
+ * @param {object} session - AnonymousSession document
+ * @returns {object} - { allowed, remaining }
+ */
+const reserveMessage = async (session) => {
+  const { messageLimit, ipDailyLimit } = getLimits();
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const usedByIp = await AnonymousSession.countMessagesByIp(session.ipHash, since);
+  if (usedByIp >= ipDailyLimit) {
+    return { allowed: false, remaining: 0 };
+  }
+
+  const updated = await AnonymousSession.reserveMessage(session._id, messageLimit);
+  if (!updated) {
+    return { allowed: false, remaining: 0 };
+  }
+
+  session.messageCount = updated.messageCount;
+  return { allowed: true, remaining: Math.max(0, messageLimit - updated.messageCount) };
+};
+
+/**
+ * Return a reserved answer to the quota (the answer failed)
+ * @param {object} session - AnonymousSession document
+ */
+const releaseMessage = async (session) => {
+  try {
+    await AnonymousSession.releaseMessage(session._id);
+    session.messageCount = Math.max(0, session.messageCount - 1);
+  } catch (error) {
+    console.error('Anonymous quota release error:', error);
+  }
+};
+
+/**
+ * Add a question and its answer to the session transcript.
+ * A failed save never blocks the reply.
+ * @param {object} session - AnonymousSession document
+ * @param {string} question - User's message
+ * @param {object} answer - { content, safeResponse?, cannedResponse? }
+ * @param {string} mode - Study mode used
+ */
+const saveExchange = async (session, question, answer, mode) => {
+  const exchange = [
+    { role: 'user', content: question, timestamp: new Date() },
+    { role: 'assistant', ...answer, timestamp: new Date() }
+  ];
+
+  try {
+    await AnonymousSession.appendMessages(session._id, exchange, mode);
+    session.messages.push(...exchange);
+  } catch (error) {
+    console.error('Anonymous transcript save error:', error);
+  }
+};
+
+/**
+ * Describe the session's quota for clients
+ * @param {object|null} session - AnonymousSession document (null before the first question)
+ * @returns {object} - { messagesUsed, messageLimit, remaining }
+ */
+const getQuota = (session) => {
+  const { messageLimit } = getLimits();
+  const messagesUsed = session ? session.messageCount : 0;
+  return {
+    messagesUsed,
+    messageLimit,
+    remaining: Math.max(0, messageLimit - messagesUsed)
+  };
+};
+
+/**
+ * Move an anonymous conversation into a new chat for a user
+ * @param {string} token - Token from the X-Anonymous-Session header
+ * @param {ObjectId} userId - Account that now owns the conversation
+ * @returns {object|null} - The new chat, or null if there was nothing to move
+ */
+const claimSession = async (token, userId) => {
+  const sessionId = readToken(token);
+  if (!sessionId) return null;
+
+  const session = await AnonymousSession.claim(sessionId, userId);
+  if (!session || session.messages.length === 0) return null;
+
+  return Chat.createFromTranscript(userId, session.messages, session.mode);
+};
+
+module.exports = {
+  SESSION_HEADER,
+  findSession,
+  resolveSession,
+  reserveMessage,
+  releaseMessage,
+  saveExchange,
+  getQuota,
+  claimSession
+};
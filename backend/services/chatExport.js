@@ -0,0 +1,331 @@
+/**
+ * Chat Export
+ * Renders a conversation as Markdown, plain text, JSON or PDF for use outside the app
+ *
+ * Exports follow the branch currently shown. Scripture cited in an answer is added after it
+ * as block quotes with the verse text from the local corpus, so it can be quoted directly.
+ * PDFs are drawn with pdfkit's built-in fonts; no external service is involved.
+ */
+
+const PDFDocument = require('pdfkit');
+const Verse = require('../models/Verse');
+const { getStudyMode } = require('../config/studyModes');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// Supported formats and how they are sent
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Longest passage quoted in full under an answer; longer ones are listed by reference only
+const MAX_QUOTED_VERSES = 10;
+
+const SPEAKERS = { user: 'You', assistant: 'Faith AI' };
+
+// PDF colors (match the app's Tailwind theme)
+const NAVY = '#1e3a5f';
+const GOLD = '#D4A574';
+const GRAY = '#6b7280';
+const TEXT = '#111827';
+
+// ===========================================
+// Building the Export
+// ===========================================
+
+/**
+ * Look up the text of every passage cited in a set of messages
+ * @param {array} messages - Message subdocuments
+ * @returns {Map} - Reference -> passage text (only passages found in the corpus)
+ */
+const loadCitedText = async (messages) => {
+  const citations = new Map();
+  for (const msg of messages) {
+    for (const citation of msg.citations || []) {
+      if (citation.status === 'nonexistent' || !citation.book) continue;
+      if (!citation.verses || citation.verses.length === 0) continue;
+      if (citation.verses.length > MAX_QUOTED_VERSES) continue;
+      citations.set(citation.reference, citation);
+    }
+  }
+
+  const texts = new Map();
+  for (const [reference, citation] of citations) {
+    const verses = await Verse.getPassage(citation.book, citation.chapter, citation.verses);
+    if (verses.length > 0) {
+      texts.set(reference, verses.map(v => v.text).join(' '));
+    }
+  }
+  return texts;
+};
+
+/**
+ * Collect what an export contains: the chat's details and its current branch, with the
+ * scripture each answer cites
+ * @param {object} chat - Chat document
+ * @returns {object} - {
+ *   id, title, mode, modeName, tags, createdAt, lastActivity, exportedAt,
+ *   messages: [{ id, role, content, timestamp, scriptures: [{ reference, status, text }] }]
+ * }
+ */
+const buildExport = async (chat) => {
+  const path = chat.getActivePath();
+  const citedText = await loadCitedText(path);
+
+  return {
+    id: chat._id,
+    title: chat.title,
+    mode: chat.mode,
+    modeName: getStudyMode(chat.mode).name,
+    tags: chat.tags || [],
+    createdAt: chat.createdAt,
+    lastActivity: chat.lastActivity,
+    exportedAt: new Date(),
+    messages: path.map(msg => {
+      // One quote per reference, in the order cited; references that do not exist are left out
+      const seen = new Set();
+      const scriptures = (msg.citations || [])
+        .filter(c => c.status !== 'nonexistent' && !seen.has(c.reference) && seen.add(c.reference))
+        .map(c => ({
+          reference: c.reference,
+          status: c.status,
+          text: citedText.get(c.reference) || null
+        }));
+
+      return {
+        id: msg._id,
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        scriptures
+      };
+    })
+  };
+};
+
+// ===========================================
+// Formatting Helpers
+// ===========================================
+
+/**
+ * Format a date for display in an export
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA time zone
+ * @returns {string} - e.g. "Jan 5, 2025, 3:04 PM"
+ */
+const formatDate = (date, timezone) => new Intl.DateTimeFormat('en-US', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: timezone
+}).format(new Date(date));
+
+/**
+ * Line under the title: study mode, start date and tags
+ * @param {object} data - Export from buildExport
+ * @param {string} timezone - IANA time zone
+ * @returns {string} - Subtitle
+ */
+const describeChat = (data, timezone) => [
+  data.modeName,
+  `Started ${formatDate(data.createdAt, timezone)}`,
+  ...(data.tags.length > 0 ? [data.tags.map(tag => `#${tag}`).join(' ')] : [])
+].join(' · ');
+
+/**
+ * Reduce Markdown to readable plain text (emphasis, headings, code and link syntax removed)
+ * @param {string} text - Markdown
+ * @returns {string} - Plain text
+ */
+const stripMarkdown = (text) => text
+  .replace(/^#{1,6}\s+/gm, '')
+  .replace(/```[^\n]*\n?/g, '')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, '$1$2')
+  .replace(/(^|[^\w*])\*([^*\n]+)\*(?!\w)/g, '$1$2')
+  .replace(/(^|[^\w_])_([^_\n]+)_(?!\w)/g, '$1$2')
+  .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)');
+
+/**
+ * Prepare text for pdfkit's built-in fonts, which have no emoji or symbol glyphs
+ * @param {string} text - Text to draw
+ * @returns {string} - Text without characters the fonts cannot show
+ */
+const toPdfText = (text) => text
+  .replace(/[\u{1F000}-\u{1FFFF}\u{2600}-\u{27BF}\u{FE0F}\u{200D}]/gu, '')
+  .replace(/ {2,}/g, ' ')
+  .trim();
+
+// ===========================================
+// Renderers
+// ===========================================
+
+/**
+ * Render an export as Markdown. Cited scripture becomes block quotes under each answer.
+ * @param {object} data - Export from buildExport
+ * @param {object} options - { timezone }
+ * @returns {string} - Markdown document
+ */
+const toMarkdown = (data, { timezone = DEFAULT_TIMEZONE } = {}) => {
+  const lines = [`# ${data.title}`, '', `*${describeChat(data, timezone)}*`, ''];
+
+  for (const msg of data.messages) {
+    lines.push('---', '', `**${SPEAKERS[msg.role]}** · ${formatDate(msg.timestamp, timezone)}`, '', msg.content.trim(), '');
+
+    for (const scripture of msg.scriptures) {
+      lines.push(`> **${scripture.reference}**`);
+      if (scripture.text) lines.push('>', `> ${scripture.text}`);
+      lines.push('');
+    }
+  }
+
+  lines.push('---', '', `*Exported from Faith AI on ${formatDate(data.exportedAt, timezone)}*`, '');
+  return lines.join('\n');
+};
+
+/**
+ * Render an export as plain text. Cited scripture is indented under each answer.
+ * @param {object} data - Export from buildExport
+ * @param {object} options - { timezone }
+ * @returns {string} - Text document
+ */
+const toText = (data, { timezone = DEFAULT_TIMEZONE } = {}) => {
+  const lines = [data.title, '='.repeat(Math.min(data.title.length, 80)), describeChat(data, timezone), ''];
+
+  for (const msg of data.messages) {
+    lines.push(`${SPEAKERS[msg.role]} - ${formatDate(msg.timestamp, timezone)}`, '', stripMarkdown(msg.content.trim()), '');
+
+    for (const scripture of msg.scriptures) {
+      lines.push(`    ${scripture.reference}`);
+      if (scripture.text) lines.push(`    "${scripture.text}"`);
+      lines.push('');
+    }
+  }
+
+  lines.push(`Exported from Faith AI on ${formatDate(data.exportedAt, timezone)}`, '');
+  return lines.join('\n');
+};
+
+/**
+ * Render an export as JSON
+ * @param {object} data - Export from buildExport
+ * @returns {string} - JSON document
+ */
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Draw a scripture block quote: a gold bar beside the reference and the verse text
+ * @param {PDFDocument} doc - Document being drawn
+ * @param {object} scripture - { reference, text }
+ */
+const drawQuote = (doc, scripture) => {
+  const indent = 18;
+  const x = doc.page.margins.left + indent;
+  const width = doc.page.width - doc.page.margins.right - x;
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(NAVY).text(toPdfText(scripture.reference), x, top, { width });
+  if (scripture.text) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor(TEXT).text(toPdfText(scripture.text), x, doc.y, { width, lineGap: 2 });
+  }
+
+  // Skip the bar if the quote broke across pages
+  if (doc.y > top) {
+    doc.save()
+      .moveTo(doc.page.margins.left + 6, top)
+      .lineTo(doc.page.margins.left + 6, doc.y)
+      .lineWidth(2)
+      .strokeColor(GOLD)
+      .stroke()
+      .restore();
+  }
+
+  doc.x = doc.page.margins.left;
+  doc.moveDown(0.5);
+};
+
+/**
+ * Render an export as a PDF
+ * @param {object} data - Export from buildExport
+ * @param {object} options - { timezone }
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const toPdf = (data, { timezone = DEFAULT_TIMEZONE } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 72,
+    info: { Title: data.title, Author: 'Faith AI', CreationDate: data.exportedAt }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(NAVY).text(toPdfText(data.title));
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10).fillColor(GRAY).text(toPdfText(describeChat(data, timezone)));
+  doc.moveDown(1.5);
+
+  for (const msg of data.messages) {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(NAVY).text(SPEAKERS[msg.role], { continued: true });
+    doc.font('Helvetica').fontSize(9).fillColor(GRAY).text(`   ${formatDate(msg.timestamp, timezone)}`);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT).text(toPdfText(stripMarkdown(msg.content)), { lineGap: 2 });
+    doc.moveDown(0.5);
+
+    for (const scripture of msg.scriptures) {
+      drawQuote(doc, scripture);
+    }
+    doc.moveDown();
+  }
+
+  doc.font('Helvetica').fontSize(9).fillColor(GRAY)
+    .text(`Exported from Faith AI on ${formatDate(data.exportedAt, timezone)}`);
+  doc.end();
+});
+
+/**
+ * Render an export in one of the supported formats
+ * @param {object} data - Export from buildExport
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} options - { timezone }
+ * @returns {Promise<string|Buffer>} - File contents
+ */
+const renderExport = async (data, format, options = {}) => {
+  switch (format) {
+    case 'md': return toMarkdown(data, options);
+    case 'txt': return toText(data, options);
+    case 'json': return toJson(data);
+    case 'pdf': return toPdf(data, options);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/**
+ * File name for an exported chat, e.g. "faith-in-hard-times-65a1f0c2.md"
+ * @param {object} chat - Chat document or export
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} - ASCII file name
+ */
+const getExportFileName = (chat, format) => {
+  const slug = chat.title
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, 60)
+    .replace(/-$/, '') || 'chat';
+
+  return `${slug}-${String(chat._id || chat.id).slice(-8)}.${EXPORT_FORMATS[format].extension}`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildExport,
+  renderExport,
+  getExportFileName,
+  stripMarkdown
+};
@@ -0,0 +1,275 @@
+/**
+ * Chat Search
+ * Full-text search across a user's conversations, returning highlighted snippets and the
+ * IDs of the matching messages so the client can jump straight to them
+ *
+ * The MongoDB text index on Chat (titles and message content) finds and ranks the chats.
+ * Snippets are then cut from the matching messages here. The index stems words and drops
+ * stop words; highlighting approximates that with a prefix match on a crude stem, so a
+ * chat the index matched may have nothing highlighted. It is still returned, with its first
+ * message as the snippet.
+ */
+
+const Chat = require('../models/Chat');
+const { parseReference } = require('../utils/scriptureReference');
+
+// Most chats returned by one search
+const MAX_RESULTS = 50;
+
+// Most snippets returned per chat (matchCount has the total)
+const MAX_SNIPPETS_PER_CHAT = 3;
+
+// Snippet length, and how much text to keep before the first highlight
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+const SUFFIXES = ['ing', 'ed', 'es', 's', 'ly'];
+
+/**
+ * Reduce a word to a rough stem ("praying" -> "pray") for highlighting
+ * @param {string} word - Lowercase search word
+ * @returns {string} - Stem
+ */
+const stem = (word) => {
+  const suffix = SUFFIXES.find(s => word.endsWith(s) && word.length - s.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the highlight pattern for a search query. Quoted phrases match as written;
+ * other words match any word starting with their stem. Negated words ("-word") are skipped.
+ * @param {string} q - Search query
+ * @returns {RegExp|null} - Global, case-insensitive pattern, or null if nothing to highlight
+ */
+const buildHighlightPattern = (q) => {
+  const phrases = Array.from(q.matchAll(/"([^"]+)"/g), m => m[1].trim()).filter(Boolean);
+  const words = q.replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, ''))
+    .filter(word => word.length >= 2);
+
+  const alternatives = [
+    ...phrases.map(escapeRegExp),
+    ...words.map(word => `${escapeRegExp(stem(word))}[\\p{L}\\p{N}']*`)
+  ];
+  if (alternatives.length === 0) return null;
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+};
+
+/**
+ * Find the ranges of text matching a highlight pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Pattern from buildHighlightPattern
+ * @returns {array} - [{ start, end }] character offsets, in order
+ */
+const findHighlights = (text, pattern) => {
+  if (!pattern || !text) return [];
+  return Array.from(text.matchAll(pattern), m => ({ start: m.index, end: m.index + m[0].length }));
+};
+
+/**
+ * Cut a snippet around the first highlight, with highlight ranges relative to the snippet
+ * @param {string} content - Full message content
+ * @param {array} ranges - Highlights in the full content
+ * @returns {object} - { snippet, highlights }
+ */
+const makeSnippet = (content, ranges) => {
+  let start = ranges.length > 0 ? Math.max(0, ranges[0].start - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    // Start on a word boundary
+    const space = content.indexOf(' ', start);
+    start = space !== -1 && space < ranges[0].start ? space + 1 : start;
+  }
+
+  let end = Math.min(content.length, start + SNIPPET_LENGTH);
+  if (end < content.length) {
+    const space = content.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+
+  // Line breaks become spaces so the offsets still line up
+  const snippet = prefix + content.slice(start, end).replace(/\s/g, ' ') + suffix;
+  const highlights = ranges
+    .filter(r => r.start >= start && r.end <= end)
+    .map(r => ({ start: r.start - start + prefix.length, end: r.end - start + prefix.length }));
+
+  return { snippet, highlights };
+};
+
+/**
+ * Check whether a citation refers to any of the searched references.
+ * A chapter-only search ("Alma 32") matches any verse in the chapter, and a
+ * whole-chapter citation matches any verse searched for in that chapter.
+ * @param {object} citation - Citation stored on a message
+ * @param {array} refs - Structured references from parseReference
+ * @returns {boolean} - True on a match
+ */
+const citesReference = (citation, refs) => refs.some(ref =>
+  citation.book === ref.book &&
+  citation.chapter === ref.chapter &&
+  (ref.verses.length === 0 ||
+    !citation.verses || citation.verses.length === 0 ||
+    citation.verses.some(verse => ref.verses.includes(verse)))
+);
+
+/**
+ * Read a date range. A date without a time ("2025-01-31") as the end includes that whole day.
+ * @param {string} from - ISO 8601 start (optional)
+ * @param {string} to - ISO 8601 end (optional)
+ * @returns {object} - { from, to } as Dates (or null)
+ */
+const toDateRange = (from, to) => {
+  let end = to ? new Date(to) : null;
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end = new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return { from: from ? new Date(from) : null, to: end };
+};
+
+/**
+ * Search a user's conversations
+ * @param {ObjectId} userId - User's ID
+ * @param {object} options - {
+ *   q: text to search for (quoted phrases and -negated words work as in MongoDB),
+ *   from, to: ISO 8601 dates bounding the matching messages,
+ *   reference: only chats citing this scripture reference (e.g. "Alma 32:21"),
+ *   limit: most chats to return
+ * } - at least one of q and reference is needed
+ * @returns {array} - Results, best first: {
+ *   chat: { id, title, mode, lastActivity }, score, titleHighlights,
+ *   matches: [{ messageId, role, timestamp, snippet, highlights }], matchCount
+ * }
+ */
+const searchChats = async (userId, { q, from, to, reference, limit = 20 } = {}) => {
+  const range = toDateRange(from, to);
+  const refs = reference ? parseReference(reference) : [];
+
+  const filter = { user: userId, isActive: true };
+  if (q) filter.$text = { $search: q };
+  if (range.from) filter.lastActivity = { $gte: range.from };
+  if (range.to) filter.createdAt = { $lte: range.to };
+  if (refs.length > 0) {
+    filter['messages.citations'] = {
+      $elemMatch: { $or: refs.map(({ book, chapter }) => ({ book, chapter })) }
+    };
+  }
+
+  const projection = {
+    title: 1,
+    mode: 1,
+    lastActivity: 1,
+    'messages._id': 1,
+    'messages.role': 1,
+    'messages.content': 1,
+    'messages.timestamp': 1,
+    'messages.citations': 1
+  };
+  if (q) projection.score = { $meta: 'textScore' };
+
+  const pattern = q ? buildHighlightPattern(q) : null;
+  const inRange = (msg) =>
+    (!range.from || msg.timestamp >= range.from) && (!range.to || msg.timestamp <= range.to);
+
+  /**
+   * Build a chat's search result, or null if the chat only matched the coarse database
+   * filters (activity dates, cited chapter)
+   */
+  const toResult = (chat) => {
+    const matches = [];
+
+    for (const msg of chat.messages) {
+      if (!inRange(msg)) continue;
+
+      let ranges;
+      if (q) {
+        ranges = findHighlights(msg.content, pattern);
+        if (ranges.length === 0) continue;
+      } else {
+        // Searching by reference only: highlight the citations as written
+        const cited = (msg.citations || []).filter(c => c.text && citesReference(c, refs));
+        if (cited.length === 0) continue;
+
+        ranges = cited
+          .map(c => ({ start: msg.content.indexOf(c.text), end: msg.content.indexOf(c.text) + c.text.length }))
+          .filter(r => r.start !== -1)
+          .sort((a, b) => a.start - b.start);
+      }
+
+      matches.push({
+        messageId: msg._id,
+        role: msg.role,
+        timestamp: msg.timestamp,
+        ...makeSnippet(msg.content, ranges)
+      });
+    }
+
+    const citesAnyRef = refs.length === 0 ||
+      chat.messages.some(msg => (msg.citations || []).some(c => citesReference(c, refs)));
+    if (!citesAnyRef) return null;
+
+    if (q && matches.length === 0) {
+      // The text index matched words the highlight stem misses ("families" and "family"):
+      // show the first message in the date range without highlights
+      const first = chat.messages.find(inRange);
+      if (first) {
+        matches.push({
+          messageId: first._id,
+          role: first.role,
+          timestamp: first.timestamp,
+          ...makeSnippet(first.content, [])
+        });
+      } else if (range.from || range.to) {
+        return null;
+      }
+    } else if (matches.length === 0) {
+      return null;
+    }
+
+    return {
+      chat: {
+        id: chat._id,
+        title: chat.title,
+        mode: chat.mode,
+        lastActivity: chat.lastActivity
+      },
+      score: chat.score,
+      titleHighlights: findHighlights(chat.title, pattern),
+      matches: matches.slice(0, MAX_SNIPPETS_PER_CHAT),
+      matchCount: matches.length
+    };
+  };
+
+  // Read candidates in batches until the page is full, since some are dropped above
+  const maxResults = Math.min(limit, MAX_RESULTS);
+  const cursor = Chat.find(filter, projection)
+    .sort(q ? { score: { $meta: 'textScore' } } : { lastActivity: -1 })
+    .lean()
+    .cursor({ batchSize: maxResults });
+
+  const results = [];
+
+  try {
+    for await (const chat of cursor) {
+      const result = toResult(chat);
+      if (result) results.push(result);
+      if (results.length >= maxResults) break;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return results;
+};
+
+module.exports = {
+  MAX_RESULTS,
+  searchChats
+};
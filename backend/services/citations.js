@@ -0,0 +1,172 @@
+/**
+ * Citation Verification
+ * Checks the scripture references and quotations in an AI response against the local corpus
+ *
+ * Each citation is classified as:
+ *   verified    - the verses exist and any attributed quotation matches their text
+ *   misquoted   - the verses exist but the attributed quotation does not match
+ *   nonexistent - the chapter or verse does not exist
+ *   unverified  - the verses are not in the local corpus yet, so nothing could be checked
+ */
+
+const Verse = require('../models/Verse');
+const { findReferences, formatReference } = require('../utils/scriptureReference');
+
+// A quotation directly before a citation: "..." (Ref), "..." - Ref
+const QUOTE_BEFORE_PATTERN = /[“"]([^“”"]+)[”"]\s*(?:[-–—]\s*|\()?$/;
+
+// A quotation directly after a citation: Ref: "...", Ref says, "..."
+const QUOTE_AFTER_PATTERN = /^\)?\s*(?:[,:]\s*)?(?:(?:says|teaches|reads|states|declares)\s*[,:]?\s*)?[“"]([^“”"]+)[”"]/;
+
+// Share of quoted words that must appear, in order, in the verse text
+const QUOTE_MATCH_THRESHOLD = 0.85;
+
+/**
+ * Reduce text to comparable words (case, punctuation and dash style ignored)
+ * @param {string} text - Text to normalize
+ * @returns {array} - Words
+ */
+const toWords = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+};
+
+/**
+ * Length of the longest common subsequence of two word lists
+ * @param {array} a - Quoted words
+ * @param {array} b - Verse words
+ * @returns {number} - LCS length
+ */
+const commonSubsequenceLength = (a, b) => {
+  let previous = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Check whether a quotation faithfully reproduces (part of) a passage.
+ * Ellipses split the quotation into fragments that are each checked on their own.
+ * @param {string} quote - Quoted text from the response
+ * @param {string} passageText - Verse text from the corpus
+ * @returns {boolean} - True if the quotation matches
+ */
+const quoteMatches = (quote, passageText) => {
+  const passageWords = toWords(passageText);
+  const fragments = quote.split(/\.{3}|…/).map(toWords).filter(words => words.length > 0);
+
+  if (fragments.length === 0) return true;
+
+  return fragments.every((words) => {
+    const matched = commonSubsequenceLength(words, passageWords);
+    return matched / words.length >= QUOTE_MATCH_THRESHOLD;
+  });
+};
+
+/**
+ * Find the quotation attributed to a citation, if any
+ * @param {string} text - Full response text
+ * @param {object} match - Reference match from findReferences
+ * @returns {string|null} - Quoted text
+ */
+const findAttributedQuote = (text, match) => {
+  const before = text.slice(Math.max(0, match.index - 1500), match.index);
+  const beforeMatch = before.match(QUOTE_BEFORE_PATTERN);
+  if (beforeMatch) return beforeMatch[1].trim();
+
+  const after = text.slice(match.index + match.text.length, match.index + match.text.length + 1500);
+  const afterMatch = after.match(QUOTE_AFTER_PATTERN);
+  if (afterMatch) return afterMatch[1].trim();
+
+  return null;
+};
+
+/**
+ * Verify a single structured reference against the corpus
+ * @param {object} ref - { book, chapter, verses }
+ * @returns {object} - { status, text } where text is the passage text when found
+ */
+const verifyReference = async (ref) => {
+  const verses = await Verse.getPassage(ref.book, ref.chapter, ref.verses);
+  const wanted = ref.verses.length;
+
+  if (verses.length > 0 && (wanted === 0 || verses.length === wanted)) {
+    return { status: 'verified', text: verses.map(v => v.text).join(' ') };
+  }
+
+  // Only a complete chapter in the corpus can prove that a verse does not exist
+  const stats = await Verse.getChapterStats(ref.book, ref.chapter);
+  if (stats.isComplete && ref.verses.some(v => v > stats.maxVerse)) {
+    return { status: 'nonexistent', text: null };
+  }
+
+  return { status: 'unverified', text: null };
+};
+
+/**
+ * Extract and verify every citation in an AI response
+ * @param {string} text - Response text
+ * @returns {array} - Citations { reference, text, work, book, chapter, verses, quote, status }
+ */
+const verifyCitations = async (text) => {
+  const citations = [];
+
+  for (const match of findReferences(text, { includeInvalid: true })) {
+    const quote = findAttributedQuote(text, match);
+
+    if (match.invalid) {
+      citations.push({
+        reference: match.text,
+        text: match.text,
+        book: match.book,
+        quote,
+        status: 'nonexistent'
+      });
+      continue;
+    }
+
+    // A quotation spanning several references is checked against all of them together
+    const results = await Promise.all(match.refs.map(verifyReference));
+    const passageText = results.map(r => r.text).filter(Boolean).join(' ');
+    const quoteOk = !quote || !passageText || quoteMatches(quote, passageText);
+
+    match.refs.forEach((ref, index) => {
+      let status = results[index].status;
+      if (status === 'verified' && !quoteOk) {
+        status = 'misquoted';
+      }
+
+      citations.push({
+        reference: formatReference(ref),
+        text: match.text,
+        work: ref.work,
+        book: ref.book,
+        chapter: ref.chapter,
+        verses: ref.verses,
+        quote,
+        status
+      });
+    });
+  }
+
+  return citations;
+};
+
+module.exports = {
+  verifyCitations,
+  quoteMatches
+};
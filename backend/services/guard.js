@@ -0,0 +1,133 @@
+/**
+ * Prompt Guard
+ * Screens input before the model call: forged conversation turns, jailbreak attempts
+ * and clearly off-topic questions
+ *
+ * Assistant turns the server sends to anonymous users are signed (HMAC-SHA256), so
+ * client-supplied history can only contain assistant turns the server actually wrote.
+ * Jailbreak attempts and off-topic questions are answered with a canned reply without
+ * calling the model. Topic checks are deliberately conservative: anything that might be
+ * a gospel question (or a follow-up) goes to the model, whose prompt handles the rest.
+ */
+
+const { sign, verify } = require('../utils/signing');
+const { findReferences } = require('../utils/scriptureReference');
+const { OFF_TOPIC_REDIRECT } = require('../config/studyModes');
+
+// Longest user turn accepted from client history; the chat routes cap questions at the
+// same length, so a longer one was never asked here
+const MAX_USER_TURN_LENGTH = 2000;
+
+const JAILBREAK_RESPONSE = "I can't change how I work or set aside my guidelines, but I'd be glad to help with questions about the restored gospel and Latter-day Saint scripture. What would you like to explore?";
+
+const JAILBREAK_RULES = [
+  { id: 'jailbreak.ignore_instructions', pattern: /\b(ignore|disregard|forget|override|bypass)\b.{0,30}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions|rules|guidelines|prompts?|directions|restrictions)\b/i },
+  { id: 'jailbreak.reveal_prompt', pattern: /\b(reveal|show|print|repeat|output|tell me|what (is|are))\b.{0,20}\b(your (system prompt|initial prompt|instructions|guidelines|rules)|the (system|initial|hidden) prompt)\b/i },
+  { id: 'jailbreak.persona', pattern: /\b(you are now|from now on,? you|act as|pretend (to be|you are|you're)|role-?play as)\b.{0,60}\b(unfiltered|uncensored|jailbroken|without (any )?(rules|restrictions|filters|limits|guidelines)|no (rules|restrictions|filters|limits|guidelines))\b/i },
+  { id: 'jailbreak.known_prompt', pattern: /\b(DAN mode|do anything now|developer mode|jailbreak(ed)?|AIM mode)\b/i },
+  { id: 'jailbreak.role_markers', pattern: /(^|\n)\s*(system|assistant)\s*:|<\|im_(start|end)\|>|\[\/?INST\]|<<\/?SYS>>|###\s*(system|instructions?)\b/i }
+];
+
+// Any of these means the question may be about the gospel, so it goes to the model
+const GOSPEL_TERMS = /\b(god|gods|jesus|christ|christs|lord|heavenly|father|savior|saviour|holy ghost|spirit|spiritual|spiritually|scriptures?|bible|book of mormon|doctrine|covenants?|pearl of great price|gospel|church|faith|pray|prayers?|praying|testimony|temple|prophets?|apostles?|bishop|ward|stake|mission|missionary|baptism|baptized|sacrament|atonement|repent|repentance|sin|sins|grace|salvation|exaltation|eternal|heaven|resurrection|restoration|priesthood|revelation|conference|relief society|primary|seminary|institute|come,? follow me|joseph smith|nephi|alma|moroni|mormon|moses|abraham|israel|zion|angel|miracle|blessings?|commandments?|sabbath|tithing|word of wisdom|fasting|charity|hope|forgive|forgiveness|worship|latter-day|lds|talk|lesson)\b/i;
+
+// Requests that are clearly outside the app's purpose when no gospel term is present
+const OFF_TOPIC_RULES = [
+  { id: 'off_topic.code', pattern: /\b(write|debug|fix|refactor|explain)\b.{0,30}\b(code|program|script|function|class|sql|query|regex|api|bug)\b|\b(python|javascript|typescript|java|c\+\+|c#|html|css|react|node\.?js)\b/i },
+  { id: 'off_topic.math', pattern: /^\s*(what is|what's|calculate|compute|solve|simplify)?\s*[\d\s.+\-*/^()=x%]{3,}\??\s*$|\b(solve|integrate|derivative of|equation|algebra|calculus)\b/i },
+  { id: 'off_topic.recipe', pattern: /\b(recipe|how (do i|to) (cook|bake|make) (a |an |some )?(cake|cookies|bread|pasta|chicken|dinner|soup))\b/i },
+  { id: 'off_topic.finance', pattern: /\b(stock|stocks|bitcoin|crypto|ethereum|forex|etf|invest(ing|ment)? (in|advice))\b/i },
+  { id: 'off_topic.weather', pattern: /\b(weather|forecast|temperature) (in|for|today|tomorrow)\b/i },
+  { id: 'off_topic.sports', pattern: /\b(nba|nfl|mlb|nhl|fifa|super bowl|world cup|premier league|score of the|who won the (game|match))\b/i },
+  { id: 'off_topic.writing', pattern: /\b(write|draft)\b.{0,20}\b(cover letter|resume|résumé|business plan|marketing|ad copy|product description|college essay)\b/i },
+  { id: 'off_topic.trivia', pattern: /\b(capital of|population of|who (is|was) the president of|how tall is|how far is)\b/i }
+];
+
+/**
+ * Sign an assistant turn so it can be sent back in anonymous history
+ * @param {string} content - Assistant message text
+ * @returns {string} - Hex signature
+ */
+const signTurn = (content) => sign('assistant-turn', content);
+
+/**
+ * Check an assistant turn's signature
+ * @param {string} content - Assistant message text
+ * @param {string} signature - Signature from signTurn
+ * @returns {boolean} - True if the server wrote this turn
+ */
+const verifyTurn = (content, signature) => verify('assistant-turn', content, signature);
+
+/**
+ * Check a message for known jailbreak patterns
+ * @param {string} text - Message text
+ * @returns {object|null} - { reason: 'jailbreak', rule } or null
+ */
+const detectJailbreak = (text) => {
+  const rule = JAILBREAK_RULES.find(r => r.pattern.test(text));
+  return rule ? { reason: 'jailbreak', rule: rule.id } : null;
+};
+
+/**
+ * Classify a question as clearly off-topic. Anything mentioning the gospel or a
+ * scripture reference, and anything that does not match a known off-topic request, is on-topic.
+ * @param {string} text - Message text
+ * @returns {object|null} - { reason: 'off_topic', rule } or null
+ */
+const classifyTopic = (text) => {
+  if (GOSPEL_TERMS.test(text) || findReferences(text).length > 0) return null;
+
+  const rule = OFF_TOPIC_RULES.find(r => r.pattern.test(text));
+  return rule ? { reason: 'off_topic', rule: rule.id } : null;
+};
+
+/**
+ * Screen a user's question before the model call
+ * @param {string} text - Message text
+ * @returns {object|null} - { reason, rule } when it should get a canned reply, or null
+ */
+const checkQuestion = (text) => {
+  return detectJailbreak(text) || classifyTopic(text);
+};
+
+/**
+ * Get the canned reply for a guard result
+ * @param {object} result - Result from checkQuestion
+ * @returns {string} - Reply text
+ */
+const getGuardResponse = (result) => {
+  return result.reason === 'jailbreak' ? JAILBREAK_RESPONSE : OFF_TOPIC_REDIRECT;
+};
+
+/**
+ * Clean client-supplied history (anonymous chats): keep user turns that are not jailbreak
+ * attempts or longer than a question can be, and assistant turns with a valid signature.
+ * Everything else is dropped, including any other role.
+ * @param {array} history - [{ role, content, signature }] from the client
+ * @returns {object} - { messages: [{ role, content }], dropped }
+ */
+const sanitizeHistory = (history) => {
+  const turns = Array.isArray(history) ? history : [];
+  const messages = [];
+
+  for (const turn of turns) {
+    if (!turn || typeof turn.content !== 'string' || !turn.content) continue;
+
+    if (turn.role === 'user') {
+      if (turn.content.length <= MAX_USER_TURN_LENGTH && !detectJailbreak(turn.content)) {
+        messages.push({ role: 'user', content: turn.content });
+      }
+    } else if (turn.role === 'assistant' && verifyTurn(turn.content, turn.signature)) {
+      messages.push({ role: 'assistant', content: turn.content });
+    }
+  }
+
+  return { messages, dropped: turns.length - messages.length };
+};
+
+module.exports = {
+  signTurn,
+  sanitizeHistory,
+  checkQuestion,
+  getGuardResponse
+};
@@ -0,0 +1,112 @@
+/**
+ * LLM Provider Layer
+ * Single interface for chat completions, configured per environment
+ *
+ * Environment:
+ *   LLM_PROVIDER     - 'openai' (default) or 'mock'
+ *   LLM_MODEL        - Model name (default 'gpt-4')
+ *   LLM_BASE_URL     - OpenAI-compatible base URL for self-hosted models
+ *   LLM_API_KEY      - API key (falls back to OPENAI_API_KEY)
+ *   LLM_MAX_TOKENS   - Max completion tokens (default 1000)
+ *   LLM_TEMPERATURE  - Sampling temperature (default 0.7)
+ *   LLM_EMBEDDING_MODEL - Embedding model (default 'text-embedding-3-small'); point LLM_BASE_URL
+ *                         at a local OpenAI-compatible server to keep embeddings on your own hardware
+ */
+
+const createOpenAIProvider = require('./openai');
+const createMockProvider = require('./mock');
+
+let provider = null;
+
+/**
+ * Create the provider named in the environment
+ * @returns {object} - Provider with complete(), stream() and embed()
+ */
+const createProvider = () => {
+  const name = process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'openai');
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+        baseURL: process.env.LLM_BASE_URL
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use "openai" or "mock".`);
+  }
+};
+
+/**
+ * Get the configured provider (created once per process)
+ * @returns {object} - Provider instance
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+/**
+ * Default generation settings from the environment
+ * @returns {object} - { model, maxTokens, temperature }
+ */
+const getDefaultSettings = () => ({
+  model: process.env.LLM_MODEL || 'gpt-4',
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 1000,
+  temperature: process.env.LLM_TEMPERATURE !== undefined
+    ? parseFloat(process.env.LLM_TEMPERATURE)
+    : 0.7
+});
+
+/**
+ * Merge request options over the defaults, ignoring options left undefined
+ * @param {object} options - Request options
+ * @returns {object} - Complete request options
+ */
+const withDefaults = (options) => {
+  const defined = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+  return { ...getDefaultSettings(), ...defined };
+};
+
+/**
+ * Get a full completion
+ * @param {object} options - { messages, model?, maxTokens?, temperature?, presencePenalty?, frequencyPenalty? }
+ * @returns {object} - { content, model, usage }
+ */
+const complete = (options) => {
+  return getProvider().complete(withDefaults(options));
+};
+
+/**
+ * Stream a completion
+ * @param {object} options - Same as complete(), plus signal? (an AbortSignal that stops generation)
+ * @returns {AsyncIterable} - Yields { content } chunks and a final { usage, model } chunk
+ */
+const stream = (options) => {
+  return getProvider().stream(withDefaults(options));
+};
+
+/**
+ * Embed texts as vectors
+ * @param {array} texts - Strings to embed
+ * @param {object} options - { model? }
+ * @returns {object} - { embeddings: array of number arrays (same order as texts), model }
+ */
+const embed = (texts, options = {}) => {
+  return getProvider().embed(texts, {
+    model: options.model || process.env.LLM_EMBEDDING_MODEL || 'text-embedding-3-small'
+  });
+};
+
+module.exports = {
+  complete,
+  stream,
+  embed,
+  getProvider,
+  getDefaultSettings
+};
@@ -0,0 +1,119 @@
+/**
+ * Mock Provider
+ * Deterministic offline replies for local development and tests - no network calls
+ */
+
+const crypto = require('crypto');
+
+// Canned replies, each with a real scripture citation so downstream features have something to work with
+const MOCK_REPLIES = [
+  'That is a wonderful question. Alma taught that "faith is not to have a perfect knowledge of things; therefore if ye have faith ye hope for things which are not seen, which are true" (Alma 32:21). Faith grows as we act on it, like a seed that is nourished day by day.',
+  'King Benjamin reminded his people that "when ye are in the service of your fellow beings ye are only in the service of your God" (Mosiah 2:17). Serving others is one of the surest ways to draw closer to the Savior.',
+  'The Lord has promised, "Look unto me in every thought; doubt not, fear not" (D&C 6:36). When we turn to Him in prayer and scripture study, He helps us replace fear with faith.',
+  'Moroni invites each of us to "ask God, the Eternal Father, in the name of Christ, if these things are not true" (Moroni 10:4). The Holy Ghost will manifest the truth to those who ask with a sincere heart and real intent.',
+  'The Lord declared, "For behold, this is my work and my glory—to bring to pass the immortality and eternal life of man" (Moses 1:39). Every part of the Plan of Salvation points to that purpose.'
+];
+
+// Rough characters-per-token ratio used for the mock usage block
+const CHARS_PER_TOKEN = 4;
+
+// Size of the hashed bag-of-words vectors returned by embed()
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Pick a reply deterministically from the last user message
+ * @param {array} messages - Chat messages
+ * @returns {string} - Mock reply
+ */
+const pickReply = (messages) => {
+  const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+  const seed = crypto
+    .createHash('sha256')
+    .update(lastUserMessage ? lastUserMessage.content : '')
+    .digest();
+
+  return MOCK_REPLIES[seed.readUInt32BE(0) % MOCK_REPLIES.length];
+};
+
+/**
+ * Estimate usage from character counts
+ * @param {array} messages - Prompt messages
+ * @param {string} content - Completion text
+ * @returns {object} - { promptTokens, completionTokens, totalTokens }
+ */
+const estimateUsage = (messages, content) => {
+  const promptChars = messages.reduce((sum, m) => sum + m.content.length, 0);
+  const promptTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+  const completionTokens = Math.ceil(content.length / CHARS_PER_TOKEN);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  };
+};
+
+/**
+ * Embed text as a normalized hashed bag of words, so similar wording gives similar vectors
+ * @param {string} text - Text to embed
+ * @returns {array} - Vector of EMBEDDING_DIMENSIONS numbers
+ */
+const hashEmbedding = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    const hash = crypto.createHash('sha256').update(word).digest();
+    vector[hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS] += 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+};
+
+/**
+ * Create a mock provider
+ * @returns {object} - Provider with complete(), stream() and embed()
+ */
+const createMockProvider = () => ({
+  name: 'mock',
+
+  /**
+   * Get a full completion in one response
+   */
+  async complete(options) {
+    const content = pickReply(options.messages);
+
+    return {
+      content,
+      model: options.model,
+      usage: estimateUsage(options.messages, content)
+    };
+  },
+
+  /**
+   * Stream a completion word by word, then yield the usage block (stops early once
+   * options.signal aborts)
+   */
+  async *stream(options) {
+    const content = pickReply(options.messages);
+
+    for (const word of content.match(/\S+\s*/g)) {
+      if (options.signal?.aborted) return;
+      yield { content: word };
+    }
+
+    yield { usage: estimateUsage(options.messages, content), model: options.model };
+  },
+
+  /**
+   * Embed texts with hashed bag-of-words vectors
+   */
+  async embed(texts, options) {
+    return {
+      embeddings: texts.map(hashEmbedding),
+      model: options.model
+    };
+  }
+});
+
+module.exports = createMockProvider;
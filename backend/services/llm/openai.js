@@ -0,0 +1,103 @@
+/**
+ * OpenAI Provider
+ * Chat completions through the OpenAI API or any OpenAI-compatible server
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Convert an OpenAI usage block to the provider-neutral shape
+ * @param {object} usage - OpenAI usage object
+ * @returns {object|null} - { promptTokens, completionTokens, totalTokens }
+ */
+const normalizeUsage = (usage) => {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+};
+
+/**
+ * Build the request body shared by completion and streaming calls
+ * @param {object} options - Provider-neutral completion options
+ * @returns {object} - OpenAI request body
+ */
+const buildRequest = (options) => ({
+  model: options.model,
+  messages: options.messages,
+  max_tokens: options.maxTokens,
+  temperature: options.temperature,
+  ...(options.presencePenalty !== undefined && { presence_penalty: options.presencePenalty }),
+  ...(options.frequencyPenalty !== undefined && { frequency_penalty: options.frequencyPenalty })
+});
+
+/**
+ * Create an OpenAI provider
+ * @param {object} config - { apiKey, baseURL }
+ * @returns {object} - Provider with complete(), stream() and embed()
+ */
+const createOpenAIProvider = ({ apiKey, baseURL } = {}) => {
+  const client = new OpenAI({
+    apiKey: apiKey || 'sk-placeholder-key',
+    ...(baseURL && { baseURL })
+  });
+
+  return {
+    name: 'openai',
+
+    /**
+     * Get a full completion in one response
+     */
+    async complete(options) {
+      const completion = await client.chat.completions.create(buildRequest(options));
+
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model || options.model,
+        usage: normalizeUsage(completion.usage)
+      };
+    },
+
+    /**
+     * Stream a completion, yielding { content } chunks and a final { usage } chunk
+     */
+    async *stream(options) {
+      const stream = await client.chat.completions.create({
+        ...buildRequest(options),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: options.signal });
+
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content || '';
+        if (content) {
+          yield { content };
+        }
+        if (chunk.usage) {
+          yield { usage: normalizeUsage(chunk.usage), model: chunk.model || options.model };
+        }
+      }
+    },
+
+    /**
+     * Embed a batch of texts
+     */
+    async embed(texts, options) {
+      const response = await client.embeddings.create({
+        model: options.model,
+        input: texts
+      });
+
+      return {
+        embeddings: response.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        model: response.model || options.model
+      };
+    }
+  };
+};
+
+module.exports = createOpenAIProvider;
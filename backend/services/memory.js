@@ -0,0 +1,175 @@
+/**
+ * Conversation Memory
+ * Keeps long conversations within a token budget using a rolling summary
+ *
+ * The recent turns of the current branch are sent verbatim. When the turns not yet covered
+ * by the summary outgrow the budget, the oldest of them are folded into the summary stored
+ * on the chat, and the summary is sent ahead of the recent window.
+ *
+ * Environment:
+ *   CONTEXT_TOKEN_BUDGET  - Max tokens of conversation history per request (default 3000)
+ *   SUMMARY_MAX_TOKENS    - Max tokens for the rolling summary (default 400)
+ */
+
+const Chat = require('../models/Chat');
+const llm = require('./llm');
+const { measureUsage } = require('./usage');
+const { countTokens, countMessageTokens } = require('../utils/tokens');
+
+// After summarizing, keep this share of the budget as verbatim recent turns
+const RECENT_SHARE_AFTER_SUMMARY = 0.5;
+
+// Most history (in context budgets) folded into the summary in one summarization call
+const MAX_FOLD_BUDGETS = 2;
+
+const SUMMARY_PROMPT = `You maintain a running summary of a gospel study conversation between a user and "Faith Guide," a Latter-day Saint scripture assistant.
+Update the summary with the new turns below. Keep what later questions may depend on: the topics and questions raised, scripture references discussed, conclusions reached, and anything the user shared about their situation or goals.
+Write in the third person, in plain prose, under 250 words. Do not add anything that was not said.`;
+
+/**
+ * Get the context budget from the environment
+ * @returns {object} - { contextTokens, summaryTokens }
+ */
+const getBudget = () => ({
+  contextTokens: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 3000,
+  summaryTokens: parseInt(process.env.SUMMARY_MAX_TOKENS) || 400
+});
+
+/**
+ * Take the most recent messages that fit in a token budget (the last message is always kept)
+ * @param {array} messages - Array of {role, content}, oldest first
+ * @param {number} budget - Token budget (defaults to CONTEXT_TOKEN_BUDGET)
+ * @returns {array} - The recent messages that fit
+ */
+const fitToBudget = (messages, budget = getBudget().contextTokens) => {
+  let used = 0;
+  let start = messages.length;
+
+  while (start > 0) {
+    const cost = countMessageTokens([messages[start - 1]]);
+    if (used + cost > budget && start < messages.length) break;
+    used += cost;
+    start -= 1;
+  }
+
+  return messages.slice(start);
+};
+
+/**
+ * Split the current branch into the part covered by the summary and the part after it.
+ * A summary written on another branch does not apply and is ignored.
+ * @param {object} chat - Chat document
+ * @returns {object} - { summary (or null), unsummarized messages }
+ */
+const splitAtSummary = (chat) => {
+  const path = chat.getActivePath();
+  const summary = chat.summary && chat.summary.content ? chat.summary : null;
+
+  if (summary && summary.throughMessage) {
+    const index = path.findIndex(msg => msg._id.equals(summary.throughMessage));
+    if (index !== -1) {
+      return { summary, unsummarized: path.slice(index + 1) };
+    }
+  }
+
+  return { summary: null, unsummarized: path };
+};
+
+/**
+ * Build the conversation history for a request: the summary (if any) plus recent turns
+ * @param {object} chat - Chat document whose current branch ends with the user's question
+ * @returns {array} - Array of {role, content}
+ */
+const getConversationContext = (chat) => {
+  const { contextTokens } = getBudget();
+  const { summary, unsummarized } = splitAtSummary(chat);
+
+  const summaryMessage = summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` }]
+    : [];
+
+  const recent = fitToBudget(
+    unsummarized.map(msg => ({ role: msg.role, content: msg.content })),
+    contextTokens - (summary ? summary.tokenCount || countTokens(summary.content) : 0)
+  );
+
+  return [...summaryMessage, ...recent];
+};
+
+/**
+ * Fold older turns into the rolling summary once the unsummarized turns outgrow the budget.
+ * Call after a reply is saved; it never changes the messages themselves.
+ * @param {object} chat - Chat document
+ * @returns {object|null} - { summary, usage } for the new summary, or null if none was needed
+ */
+const refreshSummary = async (chat) => {
+  const { contextTokens, summaryTokens } = getBudget();
+  const { summary, unsummarized } = splitAtSummary(chat);
+
+  const turns = unsummarized
+    .filter(msg => !msg.isStreaming)
+    .map(msg => ({ id: msg._id, role: msg.role, content: msg.content }));
+
+  const available = contextTokens - (summary ? summary.tokenCount || 0 : 0);
+  if (countMessageTokens(turns) <= available) return null;
+
+  // Keep a recent window verbatim and fold what comes before it, oldest first.
+  // Very long backlogs (e.g. chats from before summaries existed) are folded over several replies.
+  const keep = fitToBudget(turns, Math.floor(contextTokens * RECENT_SHARE_AFTER_SUMMARY));
+  const fold = [];
+  let foldTokens = 0;
+  for (const msg of turns.slice(0, turns.length - keep.length)) {
+    const cost = countMessageTokens([msg]);
+    if (fold.length > 0 && foldTokens + cost > contextTokens * MAX_FOLD_BUDGETS) break;
+    fold.push(msg);
+    foldTokens += cost;
+  }
+  if (fold.length === 0) return null;
+
+  const transcript = fold
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Faith Guide'}: ${msg.content}`)
+    .join('\n\n');
+
+  const prompt = [
+    { role: 'system', content: SUMMARY_PROMPT },
+    {
+      role: 'user',
+      content: `${summary ? `Current summary:\n${summary.content}\n\n` : ''}New turns:\n${transcript}`
+    }
+  ];
+
+  const completion = await llm.complete({
+    messages: prompt,
+    maxTokens: summaryTokens,
+    temperature: 0.3
+  });
+
+  if (!completion.content) return null;
+
+  const updated = {
+    content: completion.content.trim(),
+    throughMessage: fold[fold.length - 1].id,
+    tokenCount: countTokens(completion.content.trim()),
+    updatedAt: new Date()
+  };
+
+  // Write only the summary so concurrent message saves on the chat are not overwritten
+  await Chat.updateOne({ _id: chat._id }, { $set: { summary: updated } });
+  chat.summary = updated;
+
+  return {
+    summary: updated,
+    usage: measureUsage({
+      prompt,
+      content: completion.content,
+      reported: completion.usage,
+      model: completion.model
+    })
+  };
+};
+
+module.exports = {
+  getConversationContext,
+  refreshSummary,
+  fitToBudget
+};
@@ -0,0 +1,78 @@
+/**
+ * Prompt Resolution
+ * Combines a study mode with its active prompt version from the database
+ */
+
+const PromptTemplate = require('../models/PromptTemplate');
+const { getStudyMode } = require('../config/studyModes');
+
+// Active versions are cached briefly so each chat request does not hit the database.
+// Admin changes clear the cache in this process; other instances pick them up within the TTL.
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Get the active prompt template for a mode, using the cache
+ * @param {string} modeId - Study mode ID
+ * @returns {object|null} - Template or null for the built-in prompt
+ */
+const getActiveTemplate = async (modeId) => {
+  const cached = cache.get(modeId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.template;
+  }
+
+  const template = await PromptTemplate.getActive(modeId);
+  cache.set(modeId, { template, expiresAt: Date.now() + CACHE_TTL_MS });
+  return template;
+};
+
+/**
+ * Resolve the prompt and settings a chat in this mode should use
+ * @param {string} modeId - Study mode ID
+ * @returns {object} - Study mode with { prompt, settings, version } (version 0 = built-in)
+ */
+const resolvePrompt = async (modeId) => {
+  const mode = getStudyMode(modeId);
+
+  let template = null;
+  try {
+    template = await getActiveTemplate(mode.id);
+  } catch (error) {
+    // Never block a reply on the prompt store; the built-in prompt still works
+    console.error('Prompt lookup error:', error);
+  }
+
+  if (!template) {
+    return { ...mode, version: 0 };
+  }
+
+  const overrides = Object.fromEntries(
+    Object.entries(template.settings || {}).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return {
+    ...mode,
+    prompt: template.content,
+    settings: { ...mode.settings, ...overrides },
+    version: template.version
+  };
+};
+
+/**
+ * Forget cached prompt versions (after an admin change)
+ * @param {string} modeId - Mode to clear (all modes if omitted)
+ */
+const clearPromptCache = (modeId) => {
+  if (modeId) {
+    cache.delete(modeId);
+  } else {
+    cache.clear();
+  }
+};
+
+module.exports = {
+  resolvePrompt,
+  clearPromptCache
+};
@@ -0,0 +1,117 @@
+/**
+ * Reading Plan Service
+ * Where a reader is in a plan, labels for daily readings, and questions to study them with
+ */
+
+const { getDayKey, getDaysBetween, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+/**
+ * Label a day's chapters, e.g. "Alma 32-33" or "Mosiah 29; Alma 1-2"
+ * @param {array} chapters - [{ book, chapter }] in reading order
+ * @returns {string} - Reference for the reading
+ */
+const formatReading = (chapters) => {
+  const runs = [];
+  for (const { book, chapter } of chapters) {
+    const run = runs[runs.length - 1];
+    if (run && run.book === book && run.last === chapter - 1) {
+      run.last = chapter;
+    } else {
+      runs.push({ book, first: chapter, last: chapter });
+    }
+  }
+
+  return runs
+    .map(run => (run.first === run.last ? `${run.book} ${run.first}` : `${run.book} ${run.first}-${run.last}`))
+    .join('; ');
+};
+
+/**
+ * Questions to open a study conversation about a reading
+ * @param {string} reference - Reading label from formatReading
+ * @returns {array} - Question strings
+ */
+const getStudyQuestions = (reference) => [
+  `What are the main events and teachings in ${reference}?`,
+  `What does ${reference} teach me about Jesus Christ?`,
+  `Which verses in ${reference} are worth pondering, and why?`,
+  `How can I apply ${reference} in my life this week?`
+];
+
+/**
+ * Describe one day of a plan
+ * @param {object} plan - Plan document
+ * @param {number} day - Plan day (from 1)
+ * @param {Set} completedDays - Days marked as read
+ * @returns {object} - { day, reference, chapters, completed }
+ */
+const describeDay = (plan, day, completedDays) => {
+  const chapters = plan.days[day - 1].chapters.map(({ book, chapter }) => ({ book, chapter }));
+  return {
+    day,
+    reference: formatReading(chapters),
+    chapters,
+    completed: completedDays.has(day)
+  };
+};
+
+/**
+ * Summarize a reader's progress through a plan as of today in their timezone
+ * @param {object} enrollment - Enrollment document with its plan populated
+ * @param {string} timezone - User's IANA timezone
+ * @param {Date} now - Current time
+ * @returns {object} - {
+ *   id, plan: { id, name, totalDays }, startDay, completedDays, completedCount, completedAt,
+ *   dueDay: plan day due today (0 before the start day, capped at the last day),
+ *   behind: earlier due days not yet read,
+ *   today: today's reading with study questions (null before the start day or once finished),
+ *   next: first unread day (null once finished)
+ * }
+ */
+const summarizeEnrollment = (enrollment, timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const { plan } = enrollment;
+  const totalDays = plan.days.length;
+  const completedDays = new Set(enrollment.completedDays);
+
+  const elapsed = getDaysBetween(enrollment.startDay, getDayKey(now, timezone));
+  const dueDay = Math.min(Math.max(elapsed + 1, 0), totalDays);
+
+  let behind = 0;
+  for (let day = 1; day < dueDay; day++) {
+    if (!completedDays.has(day)) behind++;
+  }
+
+  let next = null;
+  for (let day = 1; day <= totalDays; day++) {
+    if (!completedDays.has(day)) {
+      next = describeDay(plan, day, completedDays);
+      break;
+    }
+  }
+
+  let today = null;
+  if (dueDay > 0 && next) {
+    today = describeDay(plan, dueDay, completedDays);
+    today.questions = getStudyQuestions(today.reference);
+  }
+
+  return {
+    id: enrollment._id,
+    plan: { id: plan._id, name: plan.name, totalDays },
+    startDay: enrollment.startDay,
+    completedDays: [...completedDays].sort((a, b) => a - b),
+    completedCount: completedDays.size,
+    completedAt: enrollment.completedAt,
+    dueDay,
+    behind,
+    today,
+    next
+  };
+};
+
+module.exports = {
+  formatReading,
+  getStudyQuestions,
+  describeDay,
+  summarizeEnrollment
+};
@@ -0,0 +1,275 @@
+/**
+ * Scripture Retrieval
+ * Finds corpus passages relevant to a question so answers can be grounded in the actual text
+ *
+ * Keyword search uses BM25 over an in-memory index of the Verse collection. When
+ * RETRIEVAL_EMBEDDINGS=true and verses have been embedded (npm run embed:scripture),
+ * semantic matches are fused with the keyword results.
+ *
+ * Environment:
+ *   RETRIEVAL_TOP_K       - Passages supplied per question (default 5, 0 disables retrieval)
+ *   RETRIEVAL_EMBEDDINGS  - 'true' to add embedding search
+ */
+
+const Verse = require('../models/Verse');
+const llm = require('./llm');
+
+// BM25 tuning (standard values)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reciprocal rank fusion constant for combining keyword and semantic rankings
+const RRF_K = 60;
+
+// Candidates taken from each ranking before fusion
+const CANDIDATES_PER_RANKING = 50;
+
+// Common English and scriptural function words that carry no meaning for search
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+  'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of',
+  'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'those', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your',
+  'behold', 'hath', 'shall', 'thee', 'thou', 'thy', 'thine', 'unto', 'upon', 'ye', 'yea'
+]);
+
+let index = null;
+let building = null;
+
+/**
+ * Light suffix stripping so "believeth", "believes" and "believe" match
+ * @param {string} term - Lowercase word
+ * @returns {string} - Stem
+ */
+const stem = (term) => {
+  if (term.length > 5 && /(eth|est)$/.test(term)) return term.slice(0, -3);
+  if (term.length > 4 && /ing$/.test(term)) return term.slice(0, -3);
+  if (term.length > 3 && /[^s]s$/.test(term)) return term.slice(0, -1);
+  return term;
+};
+
+/**
+ * Split text into lowercase search terms, dropping stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {array} - Stemmed terms
+ */
+const tokenize = (text) => {
+  return (text.toLowerCase().replace(/[’']/g, '').match(/[a-z0-9]+/g) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    .map(stem);
+};
+
+/**
+ * Load the corpus and build the keyword (and optional embedding) index
+ * @returns {object} - Index
+ */
+const buildIndex = async () => {
+  const useEmbeddings = process.env.RETRIEVAL_EMBEDDINGS === 'true';
+
+  const verses = await Verse.find()
+    .select(`work book chapter verse text reference${useEmbeddings ? ' +embedding' : ''}`)
+    .lean();
+
+  const postings = new Map();
+  const lengths = new Array(verses.length);
+  let totalLength = 0;
+
+  verses.forEach((verse, docIndex) => {
+    const terms = tokenize(`${verse.book} ${verse.text}`);
+    lengths[docIndex] = terms.length;
+    totalLength += terms.length;
+
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([docIndex, frequency]);
+    }
+  });
+
+  // Keep embeddings in typed arrays and drop them from the verse objects
+  const embeddings = verses.map((verse) => {
+    const vector = verse.embedding && verse.embedding.length > 0
+      ? Float32Array.from(verse.embedding)
+      : null;
+    delete verse.embedding;
+    return vector;
+  });
+
+  return {
+    verses,
+    postings,
+    lengths,
+    averageLength: verses.length > 0 ? totalLength / verses.length : 0,
+    embeddings: embeddings.some(Boolean) ? embeddings : null,
+    size: verses.length
+  };
+};
+
+/**
+ * Get the index, rebuilding it when the corpus size changes (e.g. after an import)
+ * @returns {object} - Index
+ */
+const getIndex = async () => {
+  const count = await Verse.estimatedDocumentCount();
+
+  if (index && index.size === count) {
+    return index;
+  }
+
+  if (!building) {
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .finally(() => { building = null; });
+  }
+
+  return building;
+};
+
+/**
+ * Rank verses for a query with BM25
+ * @param {object} idx - Index
+ * @param {string} query - Search text
+ * @param {number} limit - Max results
+ * @returns {array} - [{ docIndex, score }] best first
+ */
+const keywordSearch = (idx, query, limit) => {
+  const scores = new Map();
+
+  for (const term of new Set(tokenize(query))) {
+    const posting = idx.postings.get(term);
+    if (!posting) continue;
+
+    const idf = Math.log(1 + (idx.size - posting.length + 0.5) / (posting.length + 0.5));
+
+    for (const [docIndex, frequency] of posting) {
+      const lengthNorm = 1 - BM25_B + BM25_B * (idx.lengths[docIndex] / idx.averageLength);
+      const score = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+    }
+  }
+
+  return [...scores.entries()]
+    .map(([docIndex, score]) => ({ docIndex, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Rank verses for a query by embedding cosine similarity
+ * @param {object} idx - Index (with embeddings)
+ * @param {string} query - Search text
+ * @param {number} limit - Max results
+ * @returns {array} - [{ docIndex, score }] best first
+ */
+const semanticSearch = async (idx, query, limit) => {
+  const { embeddings: [queryVector] } = await llm.embed([query]);
+  const queryNorm = Math.sqrt(queryVector.reduce((sum, v) => sum + v * v, 0)) || 1;
+
+  const results = [];
+  idx.embeddings.forEach((vector, docIndex) => {
+    if (!vector || vector.length !== queryVector.length) return;
+
+    let dot = 0;
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += vector[i] * queryVector[i];
+      norm += vector[i] * vector[i];
+    }
+    results.push({ docIndex, score: dot / (queryNorm * (Math.sqrt(norm) || 1)) });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Combine rankings with reciprocal rank fusion
+ * @param {array} rankings - Arrays of [{ docIndex }] best first
+ * @returns {array} - [{ docIndex, score }] best first
+ */
+const fuseRankings = (rankings) => {
+  const scores = new Map();
+
+  for (const ranking of rankings) {
+    ranking.forEach(({ docIndex }, rank) => {
+      scores.set(docIndex, (scores.get(docIndex) || 0) + 1 / (RRF_K + rank + 1));
+    });
+  }
+
+  return [...scores.entries()]
+    .map(([docIndex, score]) => ({ docIndex, score }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find the passages most relevant to a question
+ * @param {string} question - User's question
+ * @param {object} options - { limit }
+ * @returns {array} - [{ reference, work, book, chapter, verse, text, score }] best first
+ */
+const searchPassages = async (question, options = {}) => {
+  const limit = options.limit !== undefined
+    ? options.limit
+    : parseInt(process.env.RETRIEVAL_TOP_K ?? 5);
+
+  if (!limit || !question) return [];
+
+  const idx = await getIndex();
+  if (idx.size === 0) return [];
+
+  const keyword = keywordSearch(idx, question, CANDIDATES_PER_RANKING);
+
+  let ranked = keyword;
+  if (idx.embeddings) {
+    const semantic = await semanticSearch(idx, question, CANDIDATES_PER_RANKING);
+    ranked = fuseRankings([keyword, semantic]);
+  }
+
+  return ranked.slice(0, limit).map(({ docIndex, score }) => {
+    const verse = idx.verses[docIndex];
+    return {
+      reference: verse.reference,
+      work: verse.work,
+      book: verse.book,
+      chapter: verse.chapter,
+      verse: verse.verse,
+      text: verse.text,
+      score: Math.round(score * 1000) / 1000
+    };
+  });
+};
+
+/**
+ * Format retrieved passages as a system message for the model
+ * @param {array} passages - Passages from searchPassages
+ * @returns {string|null} - Prompt text, or null when there is nothing to add
+ */
+const buildContextPrompt = (passages) => {
+  if (!passages || passages.length === 0) return null;
+
+  const lines = passages.map(p => `${p.reference} — ${p.text}`);
+
+  return `Scripture passages from the library that may relate to the question. When you quote one of these, quote it exactly as written here and cite its reference. Ignore any that are not relevant.\n\n${lines.join('\n')}`;
+};
+
+/**
+ * Drop the cached index (e.g. after re-importing the corpus in the same process)
+ */
+const resetIndex = () => {
+  index = null;
+};
+
+module.exports = {
+  searchPassages,
+  buildContextPrompt,
+  resetIndex
+};
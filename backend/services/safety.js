@@ -0,0 +1,179 @@
+/**
+ * Message Safety
+ * Detects self-harm, abuse and acute-distress messages so they get a fixed safe response
+ * with crisis resources instead of a generated answer
+ *
+ * Rules run offline on every message. When SAFETY_MODEL_SCORING=true, messages the rules
+ * do not flag are also scored by the model. Detections record the category, severity,
+ * source and rule ID only — never an excerpt of the message.
+ *
+ * Environment:
+ *   SAFETY_MODEL_SCORING  - 'true' to add model-based scoring after the rules
+ */
+
+const llm = require('./llm');
+const { measureUsage } = require('./usage');
+
+const CATEGORIES = ['self_harm', 'abuse', 'distress'];
+const SEVERITIES = ['medium', 'high'];
+
+// First-person statements only, so questions about a topic ("What do the scriptures
+// teach about suicide?") are answered normally.
+const RULES = [
+  // Self-harm
+  { id: 'self_harm.kill_self', category: 'self_harm', severity: 'high', pattern: /\b(kill|hang|shoot|drown)(ing)? my ?self\b/i },
+  { id: 'self_harm.end_life', category: 'self_harm', severity: 'high', pattern: /\b(end|ending|take|taking) (my|my own) life\b/i },
+  { id: 'self_harm.want_to_die', category: 'self_harm', severity: 'high', pattern: /\bi (really |just )?(want|wish|would like|am going|'m going|plan) to (die|be dead|not wake up)\b/i },
+  { id: 'self_harm.suicidal', category: 'self_harm', severity: 'high', pattern: /\bi(?:'m| am| feel| have been| 've been| keep)( \w+)? (suicidal|thinking about suicide|having suicidal)/i },
+  { id: 'self_harm.better_off', category: 'self_harm', severity: 'high', pattern: /\b(better off|world would be better) (dead|without me)\b/i },
+  { id: 'self_harm.no_reason', category: 'self_harm', severity: 'high', pattern: /\b(no|not any) (reason|point) (to|in) (live|living|being alive|go on|going on)\b/i },
+  { id: 'self_harm.hurt_self', category: 'self_harm', severity: 'medium', pattern: /\b(hurt|hurting|harm|harming|cut|cutting|burn|burning) my ?self\b/i },
+  { id: 'self_harm.overdose', category: 'self_harm', severity: 'high', pattern: /\b(overdose|took too many pills|take all (my|the) pills)\b/i },
+
+  // Abuse
+  { id: 'abuse.hits_me', category: 'abuse', severity: 'high', pattern: /\b(he|she|they|my \w+) (hits|beats|chokes|hurts|kicks|slaps|punches) me\b/i },
+  { id: 'abuse.abusing_me', category: 'abuse', severity: 'high', pattern: /\b(abus(es|ing|ed) me|i(?:'m| am| was| have been| 've been) (being )?abused)\b/i },
+  { id: 'abuse.touched', category: 'abuse', severity: 'high', pattern: /\b(touch(es|ed|ing) me (inappropriately|where|when i)|molest(s|ed|ing) me|raped me|i was raped|sexually assaulted)\b/i },
+  { id: 'abuse.not_safe', category: 'abuse', severity: 'high', pattern: /\bi(?:'m| am) (not safe|afraid to go) (at )?home\b|\bafraid (he|she|they) (will|'ll|is going to) (hurt|kill) me\b/i },
+  { id: 'abuse.threatens', category: 'abuse', severity: 'medium', pattern: /\b(threatens|threatened) to (hurt|kill|hit) me\b/i },
+
+  // Acute distress
+  { id: 'distress.cant_go_on', category: 'distress', severity: 'medium', pattern: /\bi (can'?t|cannot|can not) (go on|take (it|this) any ?more|do this any ?more|keep going)\b/i },
+  { id: 'distress.hopeless', category: 'distress', severity: 'medium', pattern: /\bi(?:'m| am| feel) (completely |so |totally )?(hopeless|worthless|like giving up on life)\b/i },
+  { id: 'distress.panic', category: 'distress', severity: 'medium', pattern: /\b(having|in the middle of) a panic attack\b/i },
+  { id: 'distress.give_up', category: 'distress', severity: 'medium', pattern: /\b(want|going) to give up on (life|everything|living)\b/i }
+];
+
+const SCORING_PROMPT = `You screen messages sent to a gospel study assistant for safety. Decide whether the writer is describing their own situation involving:
+- self_harm: thoughts of suicide, wanting to die, or hurting themselves
+- abuse: being abused, assaulted, threatened or unsafe at home
+- distress: acute emotional crisis (panic, feeling unable to go on)
+Questions about these topics in general, in scripture or about other people in the past are "none".
+Reply with JSON only: {"category": "self_harm" | "abuse" | "distress" | "none", "severity": "medium" | "high"}`;
+
+const CRISIS_LINES = `- **Call or text 988** (Suicide & Crisis Lifeline, U.S.), or chat at 988lifeline.org
+- **Call 911** (or your local emergency number) if you are in immediate danger
+- Outside the U.S., find a local helpline at findahelpline.com`;
+
+const SAFE_RESPONSES = {
+  self_harm: `I'm really glad you reached out, and I'm so sorry you're carrying this much pain. You matter — to the people around you and to your Heavenly Father. You don't have to face this alone.
+
+Please talk to someone who can help right now:
+${CRISIS_LINES}
+
+If you can, also reach out to someone you trust today — a family member, a friend, or your bishop. Would you be willing to contact one of them now?`,
+
+  abuse: `Thank you for telling me. What you're describing is not your fault, and you deserve to be safe.
+
+Please reach out for help:
+- **Call 911** (or your local emergency number) if you are in danger right now
+- **National Domestic Violence Hotline:** call 1-800-799-7233 or text START to 88788
+- **Childhelp National Child Abuse Hotline:** call or text 1-800-422-4453
+- **RAINN Sexual Assault Hotline:** call 1-800-656-4673
+- Outside the U.S., find a local helpline at findahelpline.com
+
+A trusted adult, a family member, or your bishop can also help you get to safety.`,
+
+  distress: `I'm sorry things feel so heavy right now. What you're feeling is real, and you don't have to carry it alone.
+
+If it would help to talk with someone right away:
+${CRISIS_LINES}
+
+Reaching out to someone you trust — a family member, a friend, or your bishop — can help too. When you're ready, I'm also here to share scriptures of comfort and hope.`
+};
+
+/**
+ * Check a message against the offline rules
+ * @param {string} text - Message text
+ * @returns {object|null} - Strongest detection, or null
+ */
+const applyRules = (text) => {
+  const normalized = text.replace(/[‘’]/g, "'");
+  let match = null;
+
+  for (const rule of RULES) {
+    if (!rule.pattern.test(normalized)) continue;
+    if (!match || SEVERITIES.indexOf(rule.severity) > SEVERITIES.indexOf(match.severity)) {
+      match = { category: rule.category, severity: rule.severity, source: 'rules', rule: rule.id };
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Ask the model to score a message the rules did not flag
+ * @param {string} text - Message text
+ * @returns {object} - { detection (or null), usage }
+ */
+const scoreWithModel = async (text) => {
+  const prompt = [
+    { role: 'system', content: SCORING_PROMPT },
+    { role: 'user', content: text }
+  ];
+
+  const completion = await llm.complete({ messages: prompt, maxTokens: 30, temperature: 0 });
+  const usage = measureUsage({
+    prompt,
+    content: completion.content,
+    reported: completion.usage,
+    model: completion.model
+  });
+
+  let result = null;
+  try {
+    const json = (completion.content || '').match(/\{[\s\S]*\}/);
+    result = json ? JSON.parse(json[0]) : null;
+  } catch (error) {
+    result = null;
+  }
+
+  if (!result || !CATEGORIES.includes(result.category)) {
+    return { detection: null, usage };
+  }
+
+  return {
+    detection: {
+      category: result.category,
+      severity: SEVERITIES.includes(result.severity) ? result.severity : 'medium',
+      source: 'model',
+      rule: null
+    },
+    usage
+  };
+};
+
+/**
+ * Screen a user message for self-harm, abuse and acute distress.
+ * A failed model call never blocks the answer; the rules still apply.
+ * @param {string} text - Message text
+ * @returns {object} - { detection: { category, severity, source, rule } or null, usage (model scoring only) }
+ */
+const assessMessage = async (text) => {
+  const detection = applyRules(text || '');
+  if (detection || process.env.SAFETY_MODEL_SCORING !== 'true') {
+    return { detection, usage: null };
+  }
+
+  try {
+    return await scoreWithModel(text);
+  } catch (error) {
+    console.error('Safety scoring error:', error);
+    return { detection: null, usage: null };
+  }
+};
+
+/**
+ * Get the fixed safe response for a detection
+ * @param {object} detection - Detection from assessMessage
+ * @returns {string} - Response text with crisis resources
+ */
+const getSafeResponse = (detection) => {
+  return SAFE_RESPONSES[detection.category] || SAFE_RESPONSES.distress;
+};
+
+module.exports = {
+  assessMessage,
+  getSafeResponse,
+  CATEGORIES
+};
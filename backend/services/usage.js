@@ -0,0 +1,47 @@
+/**
+ * Usage Accounting
+ * Measures tokens and estimated cost for each AI request and rolls them up per user
+ */
+
+const User = require('../models/User');
+const { estimateCost } = require('../config/pricing');
+const { countTokens, countMessageTokens } = require('../utils/tokens');
+
+/**
+ * Build the usage record for a request. Providers that do not report usage
+ * (some self-hosted servers, or an interrupted stream) are counted locally.
+ * @param {object} params - { prompt, content, reported, model }
+ * @returns {object} - { promptTokens, completionTokens, totalTokens, model, cost, estimated }
+ */
+const measureUsage = ({ prompt, content, reported, model }) => {
+  const promptTokens = reported ? reported.promptTokens : countMessageTokens(prompt);
+  const completionTokens = reported ? reported.completionTokens : countTokens(content);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    model,
+    cost: estimateCost(model, { promptTokens, completionTokens }),
+    estimated: !reported
+  };
+};
+
+/**
+ * Add a request's usage to the user's daily and monthly totals.
+ * Accounting never blocks a reply, so failures are only logged.
+ * @param {ObjectId} userId - User's ID
+ * @param {object} usage - Usage from measureUsage
+ */
+const recordUsage = async (userId, usage) => {
+  try {
+    await User.recordTokenUsage(userId, usage);
+  } catch (error) {
+    console.error('Usage accounting error:', error);
+  }
+};
+
+module.exports = {
+  measureUsage,
+  recordUsage
+};
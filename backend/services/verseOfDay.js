@@ -0,0 +1,142 @@
+/**
+ * Verse of the Day Service
+ * Works out the verse for a calendar day: an admin's planned verse, else the rotation's
+ * pick from the scripture corpus
+ */
+
+const Verse = require('../models/Verse');
+const VerseOfDay = require('../models/VerseOfDay');
+const { FALLBACK_VERSES, ROTATION_START_DAY, ROTATION_STRIDE } = require('../config/verseOfDay');
+const { parsePassage } = require('../utils/scriptureReference');
+const { getDayKey, addDays, getDaysBetween } = require('../utils/timezone');
+
+// Timezone where each calendar day ends last; a day is over everywhere once it is over here
+const LAST_TIMEZONE = 'Etc/GMT+12';
+
+/**
+ * Shape a day's verse for API responses
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {object} verse - Entry document or { reference, text, source }
+ * @returns {object} - { day, reference, text, version, source }
+ */
+const formatVerse = (day, verse) => ({
+  day,
+  reference: verse.reference,
+  text: verse.text,
+  version: 'KJV',
+  source: verse.source
+});
+
+/**
+ * Read a passage's text from the scripture corpus
+ * @param {string} reference - Reference to one passage
+ * @returns {object|null} - { reference (canonical), text }, or null if the corpus lacks it
+ */
+const getPassageText = async (reference) => {
+  const passage = parsePassage(reference);
+  if (!passage) return null;
+
+  const verses = await Verse.getPassage(passage.book, passage.chapter, passage.verses);
+  if (verses.length === 0) return null;
+
+  return { reference: passage.reference, text: verses.map(v => v.text).join(' ') };
+};
+
+/**
+ * Non-negative remainder (days before the rotation start count backwards)
+ */
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+/**
+ * Greatest common divisor, to check the stride visits every corpus position
+ */
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Get the rotation's verse for a day: a verse from the corpus, stepping through it by
+ * ROTATION_STRIDE a day, or from FALLBACK_VERSES until the corpus is imported
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {number} corpusSize - Verses in the corpus (looked up when not given)
+ * @returns {object} - { reference, text, source: 'rotation' }
+ */
+const getRotationVerse = async (day, corpusSize = null) => {
+  const dayNumber = getDaysBetween(ROTATION_START_DAY, day);
+  const count = corpusSize === null ? await Verse.estimatedDocumentCount() : corpusSize;
+
+  if (count > 0) {
+    const stride = gcd(ROTATION_STRIDE, count) === 1 ? ROTATION_STRIDE : 1;
+    const verse = await Verse.getVerseAt(mod(dayNumber * stride, count));
+    if (verse) return { reference: verse.reference, text: verse.text, source: 'rotation' };
+  }
+
+  const fallback = FALLBACK_VERSES[mod(dayNumber, FALLBACK_VERSES.length)];
+  return { reference: fallback.reference, text: fallback.text, source: 'rotation' };
+};
+
+/**
+ * Get the verse for a day
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {object} options - { record: save the rotation's pick to the history (for today) }
+ * @returns {object} - Verse from formatVerse
+ */
+const getVerseForDay = async (day, { record = false } = {}) => {
+  const entry = await VerseOfDay.findOne({ day });
+  if (entry) return formatVerse(day, entry);
+
+  const verse = await getRotationVerse(day);
+
+  // Days ahead of UTC (today only in the furthest-east timezones) are left unrecorded, so
+  // admins can still plan them
+  if (!record || day > getDayKey(new Date(), 'UTC')) return formatVerse(day, verse);
+
+  return formatVerse(day, await VerseOfDay.recordRotation(day, verse));
+};
+
+/**
+ * List the verse for each day in a range: planned or already shown, else the rotation's.
+ * Rotation picks for days up to today (UTC) are recorded, so a later import cannot change them.
+ * @param {string} from - First day, as "YYYY-MM-DD"
+ * @param {string} to - Last day, as "YYYY-MM-DD"
+ * @returns {array} - Verses from formatVerse, plus the admin's note and an id for saved entries
+ */
+const getSchedule = async (from, to) => {
+  const entries = await VerseOfDay.getRange(from, to);
+  const corpusSize = await Verse.estimatedDocumentCount();
+  const byDay = new Map(entries.map(entry => [entry.day, entry]));
+  const today = getDayKey(new Date(), 'UTC');
+  const schedule = [];
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    let entry = byDay.get(day);
+
+    if (!entry) {
+      const verse = await getRotationVerse(day, corpusSize);
+      if (day > today) {
+        schedule.push({ ...formatVerse(day, verse), id: null, note: '' });
+        continue;
+      }
+      entry = await VerseOfDay.recordRotation(day, verse);
+    }
+
+    schedule.push({ ...formatVerse(day, entry), id: entry._id, note: entry.note });
+  }
+
+  return schedule;
+};
+
+/**
+ * Check whether a day has ended in every timezone (its verse can no longer change)
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if the day is over everywhere
+ */
+const isPastDay = (day, now = new Date()) => day < getDayKey(now, LAST_TIMEZONE);
+
+module.exports = {
+  formatVerse,
+  getPassageText,
+  getRotationVerse,
+  getVerseForDay,
+  getSchedule,
+  isPastDay
+};
@@ -0,0 +1,105 @@
+/**
+ * LLM Provider Smoke Test
+ * Runs the provider interface end to end on the mock provider (LLM_PROVIDER=mock),
+ * the way the chat routes use it - no network or database needed
+ *
+ * Usage: npm test
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../services/llm');
+const { findReferences } = require('../utils/scriptureReference');
+
+const messages = [
+  { role: 'system', content: 'You are a gospel study assistant.' },
+  { role: 'user', content: 'How can I strengthen my faith?' }
+];
+
+/**
+ * Read a stream the way the chat routes do
+ * @param {AsyncIterable} stream - Stream from llm.stream()
+ * @returns {object} - { content, chunks, usage, model }
+ */
+const readStream = async (stream) => {
+  let content = '';
+  let chunks = 0;
+  let usage = null;
+  let model = null;
+
+  for await (const chunk of stream) {
+    if (chunk.content) {
+      content += chunk.content;
+      chunks++;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+      model = chunk.model;
+    }
+  }
+
+  return { content, chunks, usage, model };
+};
+
+test('uses the mock provider', () => {
+  assert.strictEqual(llm.getProvider().name, 'mock');
+});
+
+test('streams the same reply that complete() returns', async () => {
+  const completion = await llm.complete({ messages });
+  const streamed = await readStream(llm.stream({ messages }));
+
+  assert.ok(completion.content.length > 0);
+  assert.strictEqual(streamed.content, completion.content);
+  assert.ok(streamed.chunks > 1);
+  assert.deepStrictEqual(streamed.usage, completion.usage);
+  assert.strictEqual(streamed.model, llm.getDefaultSettings().model);
+});
+
+test('answers the same question the same way', async () => {
+  const first = await llm.complete({ messages });
+  const second = await llm.complete({ messages: [...messages] });
+
+  assert.strictEqual(first.content, second.content);
+});
+
+test('cites a scripture reference the citation check can parse', async () => {
+  const { content } = await llm.complete({ messages });
+  const citations = findReferences(content);
+
+  assert.ok(citations.length > 0);
+  assert.ok(citations.every(citation => citation.refs.length > 0));
+});
+
+test('stops streaming once the signal aborts', async () => {
+  const controller = new AbortController();
+  let content = '';
+  let usage = null;
+
+  for await (const chunk of llm.stream({ messages, signal: controller.signal })) {
+    if (chunk.content) {
+      content += chunk.content;
+      controller.abort();
+    }
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  const completion = await llm.complete({ messages });
+  assert.ok(content.length > 0);
+  assert.ok(content.length < completion.content.length);
+  assert.strictEqual(usage, null);
+});
+
+test('embeds texts as unit vectors in order', async () => {
+  const texts = ['faith in Christ', 'faith in Christ', 'service to others'];
+  const { embeddings } = await llm.embed(texts);
+
+  assert.strictEqual(embeddings.length, texts.length);
+  assert.deepStrictEqual(embeddings[0], embeddings[1]);
+  assert.notDeepStrictEqual(embeddings[0], embeddings[2]);
+
+  const norm = Math.sqrt(embeddings[2].reduce((sum, v) => sum + v * v, 0));
+  assert.ok(Math.abs(norm - 1) < 1e-9);
+});
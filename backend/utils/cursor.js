@@ -0,0 +1,35 @@
+/**
+ * Cursor Utility
+ * Opaque cursors for paginated lists. A cursor holds the sort values of the last item
+ * returned, so the next page starts right after it even if new items were added.
+ */
+
+/**
+ * Encode sort values as a cursor
+ * @param {object} values - e.g. { lastActivity, id }
+ * @returns {string} - URL-safe cursor
+ */
+const encodeCursor = (values) => {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {object|null} - Sort values, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values && typeof values === 'object' ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,45 @@
+/**
+ * Signing Utility
+ * HMAC signatures for values the server hands to clients and must recognize later
+ * (assistant turns in anonymous history, anonymous session tokens)
+ *
+ * Every signature is bound to a purpose, so a signature issued for one use is
+ * never accepted for another.
+ *
+ * Environment:
+ *   GUARD_SECRET  - Signing key (defaults to JWT_SECRET)
+ */
+
+const crypto = require('crypto');
+
+// Without any configured key, signatures are only valid until the server restarts
+const SIGNING_KEY = process.env.GUARD_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a value for a purpose
+ * @param {string} purpose - What the signature is for (e.g. 'assistant-turn')
+ * @param {string} value - Value to sign
+ * @returns {string} - Hex signature
+ */
+const sign = (purpose, value) => {
+  return crypto.createHmac('sha256', SIGNING_KEY).update(`${purpose}\n${value}`).digest('hex');
+};
+
+/**
+ * Check a signature in constant time
+ * @param {string} purpose - Purpose the signature was issued for
+ * @param {string} value - Signed value
+ * @param {string} signature - Signature from sign()
+ * @returns {boolean} - True if the server signed this value for this purpose
+ */
+const verify = (purpose, value, signature) => {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+  const expected = Buffer.from(sign(purpose, value), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+};
+
+module.exports = {
+  sign,
+  verify
+};
@@ -0,0 +1,124 @@
+/**
+ * Timezone Utility
+ * Calendar days and midnights in a user's IANA timezone (e.g. "America/Denver"),
+ * using the built-in Intl data so no timezone database needs to be shipped
+ *
+ * Environment:
+ *   DEFAULT_TIMEZONE  - Timezone for users who have not set one (default UTC)
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+/**
+ * Check that a string is a timezone the runtime knows
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True if valid
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {object} - { year, month, day, hour, minute, second }
+ */
+const getLocalParts = (date, timezone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return parts;
+};
+
+/**
+ * Get a timezone's offset from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Offset in milliseconds (negative west of UTC)
+ */
+const getOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timezone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the calendar day of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name (defaults to DEFAULT_TIMEZONE)
+ * @returns {string} - Day as "YYYY-MM-DD"
+ */
+const getDayKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the first instant of the next calendar day in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name (defaults to DEFAULT_TIMEZONE)
+ * @returns {Date} - Next local midnight
+ */
+const getNextMidnight = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalParts(date, timezone);
+  const midnight = Date.UTC(year, month - 1, day + 1);
+
+  // The offset at midnight can differ from the offset now (daylight saving), so
+  // correct with the offset at the first estimate
+  const estimate = midnight - getOffset(new Date(midnight), timezone);
+  return new Date(midnight - getOffset(new Date(estimate), timezone));
+};
+
+/**
+ * Count the calendar days from one day to another
+ * @param {string} from - Day as "YYYY-MM-DD"
+ * @param {string} to - Day as "YYYY-MM-DD"
+ * @returns {number} - Days from `from` to `to` (negative if `to` is earlier)
+ */
+const getDaysBetween = (from, to) => {
+  const toTime = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toTime(to) - toTime(from)) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Move a calendar day forward or back
+ * @param {string} day - Day as "YYYY-MM-DD"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Day as "YYYY-MM-DD"
+ */
+const addDays = (day, days) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getDayKey,
+  addDays,
+  getDaysBetween,
+  getNextMidnight
+};
@@ -0,0 +1,50 @@
+/**
+ * Token Counting
+ * Counts tokens the way OpenAI chat models do, so context budgets are accurate
+ */
+
+const { getEncoding } = require('js-tiktoken');
+
+// Tokens the chat format adds around every message
+// (see OpenAI's "How to count tokens with tiktoken" guide)
+const TOKENS_PER_MESSAGE = 3;
+
+let encoder = null;
+
+/**
+ * Get the shared encoder (loaded on first use; cl100k_base covers GPT-4 and GPT-3.5)
+ * @returns {object} - Tiktoken encoder
+ */
+const getEncoder = () => {
+  if (!encoder) {
+    encoder = getEncoding('cl100k_base');
+  }
+  return encoder;
+};
+
+/**
+ * Count the tokens in a piece of text
+ * @param {string} text - Text to count
+ * @returns {number} - Token count
+ */
+const countTokens = (text) => {
+  if (!text) return 0;
+  return getEncoder().encode(text).length;
+};
+
+/**
+ * Count the tokens a list of chat messages uses in a prompt
+ * @param {array} messages - Array of {role, content}
+ * @returns {number} - Token count including per-message overhead
+ */
+const countMessageTokens = (messages) => {
+  return messages.reduce(
+    (sum, msg) => sum + TOKENS_PER_MESSAGE + countTokens(msg.content),
+    0
+  );
+};
+
+module.exports = {
+  countTokens,
+  countMessageTokens
+};
@@ -20,6 +20,10 @@ const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
 const ResetPassword = lazy(() => import('./pages/ResetPassword'));
 const Privacy = lazy(() => import('./pages/Privacy'));
 const Terms = lazy(() => import('./pages/Terms'));
+const SharedChat = lazy(() => import('./pages/SharedChat'));
+const Journal = lazy(() => import('./pages/Journal'));
+const Library = lazy(() => import('./pages/Library'));
+const Plans = lazy(() => import('./pages/Plans'));
 
 /**
  * Protected Route wrapper
@@ -49,6 +53,9 @@ function App() {
         {/* Main chat page - accessible to everyone */}
         <Route path="/" element={<Home />} />
         
+        {/* Shared conversations - read-only, accessible to everyone */}
+        <Route path="/share/:token" element={<SharedChat />} />
+
         {/* Auth routes */}
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
@@ -65,6 +72,30 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/journal"
+          element={
+            <ProtectedRoute>
+              <Journal />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/library"
+          element={
+            <ProtectedRoute>
+              <Library />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/plans"
+          element={
+            <ProtectedRoute>
+              <Plans />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Legal pages */}
         <Route path="/privacy" element={<Privacy />} />
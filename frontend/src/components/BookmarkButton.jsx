@@ -0,0 +1,122 @@
+/**
+ * Bookmark Button Component
+ * Saves a scripture passage to the user's library and picks its highlight color
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import { HIGHLIGHT_COLORS } from '../utils/highlights';
+
+/**
+ * @param {object} props
+ * @param {string} props.reference - Passage to save, e.g. "Alma 32:21"
+ * @param {string} props.source - Where it is saved from: 'chat', 'verse-of-day' or 'library'
+ * @param {string} props.chatId - Conversation it is saved from (optional)
+ */
+function BookmarkButton({ reference, source, chatId = null }) {
+  const [bookmark, setBookmark] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Find out whether the passage is already in the library
+  useEffect(() => {
+    const fetchBookmark = async () => {
+      try {
+        const response = await api.getBookmarks({ reference });
+        setBookmark(response.data.bookmarks[0] || null);
+      } catch (err) {
+        console.error('Failed to look up bookmark:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBookmark();
+  }, [reference]);
+
+  /**
+   * Save the passage, or change its color if it is already saved
+   * @param {string|null} color - Highlight color (undefined keeps the current one)
+   */
+  const save = async (color) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = bookmark
+        ? await api.updateBookmark(bookmark.id, color)
+        : await api.saveBookmark({ reference, color, source, chatId });
+      setBookmark(response.data.bookmark);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save this passage.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await api.deleteBookmark(bookmark.id);
+      setBookmark(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not remove this passage.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return null;
+
+  return (
+    <span className="flex flex-wrap items-center gap-2 text-sm">
+      {bookmark ? (
+        <span className="text-scripture-navy font-medium">★ Saved</span>
+      ) : (
+        <button
+          type="button"
+          onClick={() => save(undefined)}
+          disabled={saving}
+          className="text-scripture-navy font-medium hover:underline disabled:opacity-50"
+        >
+          ☆ Save to library
+        </button>
+      )}
+
+      <span className="flex items-center gap-1" role="group" aria-label="Highlight color">
+        {HIGHLIGHT_COLORS.map(color => {
+          const active = bookmark?.color === color.id;
+          return (
+            <button
+              key={color.id}
+              type="button"
+              onClick={() => save(active ? null : color.id)}
+              disabled={saving}
+              aria-pressed={active}
+              aria-label={active ? `Remove ${color.label.toLowerCase()} highlight` : `Highlight ${color.label.toLowerCase()}`}
+              className={`w-5 h-5 rounded-full ${color.swatch} disabled:opacity-50 ${
+                active ? 'ring-2 ring-offset-1 ring-scripture-navy' : 'hover:ring-2 hover:ring-gray-300'
+              }`}
+            />
+          );
+        })}
+      </span>
+
+      {bookmark && (
+        <button
+          type="button"
+          onClick={remove}
+          disabled={saving}
+          className="text-gray-500 hover:text-red-600 hover:underline disabled:opacity-50"
+        >
+          Remove
+        </button>
+      )}
+
+      {error && <span className="block w-full text-red-600">{error}</span>}
+    </span>
+  );
+}
+
+export default BookmarkButton;
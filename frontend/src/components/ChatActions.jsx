@@ -0,0 +1,139 @@
+/**
+ * Chat Actions Component
+ * Menu on a sidebar conversation for pinning, archiving, moving it to a folder, editing its tags,
+ * sharing and downloading it
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+// Export formats offered, in menu order
+const EXPORT_FORMATS = [
+  { id: 'md', label: 'Markdown' },
+  { id: 'pdf', label: 'PDF' },
+  { id: 'txt', label: 'Text' },
+  { id: 'json', label: 'JSON' }
+];
+
+function ChatActions({ chat, folders, onOrganize, onExport, onShare }) {
+  const [open, setOpen] = useState(false);
+  const [tagDraft, setTagDraft] = useState('');
+  const menuRef = useRef(null);
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggleMenu = () => {
+    setTagDraft((chat.tags || []).join(', '));
+    setOpen(!open);
+  };
+
+  /**
+   * Apply a change and close the menu
+   */
+  const organize = (fields) => {
+    setOpen(false);
+    onOrganize(chat.id, fields);
+  };
+
+  const handleTagsSubmit = (e) => {
+    e.preventDefault();
+    const tags = tagDraft.split(',').map(tag => tag.trim()).filter(Boolean);
+    organize({ tags });
+  };
+
+  const itemClass = 'w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100';
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={toggleMenu}
+        className="px-2 py-1 rounded text-white/50 hover:text-white hover:bg-white/10"
+        aria-label="Conversation options"
+        aria-expanded={open}
+      >
+        ⋯
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-56 bg-white rounded-lg shadow-lg py-1">
+          <button onClick={() => organize({ pinned: !chat.pinned })} className={itemClass}>
+            {chat.pinned ? 'Unpin' : 'Pin to top'}
+          </button>
+          <button onClick={() => organize({ archived: !chat.archived })} className={itemClass}>
+            {chat.archived ? 'Move out of archive' : 'Archive'}
+          </button>
+          <button
+            onClick={() => {
+              setOpen(false);
+              onShare(chat);
+            }}
+            className={itemClass}
+          >
+            Share...
+          </button>
+
+          <label className="block px-3 py-2 text-xs text-gray-500">
+            Folder
+            <select
+              value={chat.folderId || ''}
+              onChange={(e) => organize({ folderId: e.target.value || null })}
+              className="mt-1 w-full px-2 py-1 rounded border border-gray-200 text-sm text-gray-700"
+            >
+              <option value="">No folder</option>
+              {folders.map(folder => (
+                <option key={folder.id} value={folder.id}>{folder.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <form onSubmit={handleTagsSubmit} className="px-3 py-2">
+            <label className="block text-xs text-gray-500">
+              Tags (comma separated)
+              <input
+                type="text"
+                value={tagDraft}
+                onChange={(e) => setTagDraft(e.target.value)}
+                placeholder="faith, prayer"
+                className="mt-1 w-full px-2 py-1 rounded border border-gray-200 text-sm text-gray-700"
+              />
+            </label>
+            <button type="submit" className="mt-2 text-xs text-scripture-navy font-medium hover:underline">
+              Save tags
+            </button>
+          </form>
+
+          <div className="px-3 py-2 border-t border-gray-100">
+            <div className="text-xs text-gray-500">Download</div>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {EXPORT_FORMATS.map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => {
+                    setOpen(false);
+                    onExport(chat.id, format.id);
+                  }}
+                  className="text-xs text-scripture-navy font-medium hover:underline"
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChatActions;
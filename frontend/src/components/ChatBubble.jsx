@@ -4,12 +4,67 @@
  */
 
 import { useState } from 'react';
+import VerseReference from './VerseReference';
+import { findReferences } from '../utils/scriptureReference';
 
-function ChatBubble({ message, onFeedback }) {
-  const { id, role, content, timestamp, feedback, isStreaming } = message;
+// A quotation that may be followed by its citation: "..." - Ref, "..." — Ref or "..." (Ref)
+const QUOTE_PATTERN = /[“"][^“”"]+[”"]\s*(?:[-–—]\s*|\()?/g;
+
+// Citation checks worth warning about, most serious first
+const FLAGGED_STATUSES = ['nonexistent', 'misquoted'];
+
+/**
+ * Pick the most serious verification status per citation as written in the text
+ * @param {array} citations - Citation results from the server
+ * @returns {Map} - Written reference text -> status
+ */
+const getCitationStatuses = (citations = []) => {
+  const severity = (status) => {
+    const rank = FLAGGED_STATUSES.indexOf(status);
+    return rank === -1 ? FLAGGED_STATUSES.length : rank;
+  };
+
+  const statuses = new Map();
+  for (const citation of citations) {
+    const current = statuses.get(citation.text);
+    if (current === undefined || severity(citation.status) < severity(current)) {
+      statuses.set(citation.text, citation.status);
+    }
+  }
+  return statuses;
+};
+
+function ChatBubble({
+  message, onFeedback, onRegenerate, onEdit, onSwitchBranch, onAddNote, bookmarkFrom = null,
+  disabled = false, highlighted = false
+}) {
+  const {
+    id, role, content, timestamp, feedback, isStreaming, citations, sources, safeResponse, cannedResponse,
+    siblingIds = [], siblingIndex = 0, siblingCount = 1, noteCount = 0
+  } = message;
   const [showFeedback, setShowFeedback] = useState(false);
+  const [showSources, setShowSources] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(content);
 
   const isUser = role === 'user';
+  const citationStatuses = getCitationStatuses(citations);
+  const flaggedCitations = [...citationStatuses.entries()]
+    .filter(([, status]) => FLAGGED_STATUSES.includes(status));
+
+  /**
+   * Submit an edited question as a new branch
+   */
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text || text === content) {
+      setEditing(false);
+      return;
+    }
+    setEditing(false);
+    onEdit(id, text);
+  };
 
   /**
    * Format timestamp for display
@@ -24,53 +79,192 @@ function ChatBubble({ message, onFeedback }) {
   };
 
   /**
-   * Format message content with Bible verse highlighting
+   * Format message content: scripture references open verse popovers,
+   * and quotations followed by their citation are highlighted as verse blocks
    */
   const formatContent = (text) => {
     if (isUser) return text;
 
-    // Split by quoted sections (Bible verses)
-    const parts = text.split(/(".*?"(?:\s*-\s*[\w\s]+\d+:\d+(?:-\d+)?(?:\s+\w+)?)?)/g);
-
-    return parts.map((part, index) => {
-      // Check if this part looks like a Bible verse quote
-      if (part.startsWith('"') && (
-        part.includes(' - ') || 
-        /\d+:\d+/.test(part)
-      )) {
-        return (
-          <span key={index} className="verse-highlight block my-3">
-            {part}
-          </span>
+    const references = findReferences(text, { includeInvalid: true });
+    const referencesByIndex = new Map(references.map(ref => [ref.index, ref]));
+
+    // Find quotations that end right where a citation begins
+    const blocks = [];
+    const quotePattern = new RegExp(QUOTE_PATTERN);
+    let match;
+    while ((match = quotePattern.exec(text)) !== null) {
+      const citation = referencesByIndex.get(match.index + match[0].length);
+      if (!citation) continue;
+
+      let end = citation.index + citation.text.length;
+      if (match[0].endsWith('(') && text[end] === ')') end += 1;
+
+      blocks.push({ start: match.index, end });
+      quotePattern.lastIndex = end;
+    }
+
+    // Render a slice of the text with its references linked
+    const renderSlice = (start, end) => {
+      const pieces = [];
+      let cursor = start;
+
+      for (const ref of references) {
+        if (ref.index < start || ref.index + ref.text.length > end) continue;
+
+        if (ref.index > cursor) pieces.push(text.slice(cursor, ref.index));
+        pieces.push(
+          <VerseReference
+            key={ref.index}
+            reference={ref.text}
+            status={citationStatuses.get(ref.text) || (ref.invalid ? 'nonexistent' : null)}
+            bookmarkFrom={bookmarkFrom}
+          />
         );
+        cursor = ref.index + ref.text.length;
       }
-      return <span key={index}>{part}</span>;
-    });
+
+      if (cursor < end) pieces.push(text.slice(cursor, end));
+      return pieces;
+    };
+
+    const parts = [];
+    let cursor = 0;
+    for (const block of blocks) {
+      if (block.start > cursor) {
+        parts.push(<span key={cursor}>{renderSlice(cursor, block.start)}</span>);
+      }
+      parts.push(
+        <span key={block.start} className="verse-highlight block my-3">
+          {renderSlice(block.start, block.end)}
+        </span>
+      );
+      cursor = block.end;
+    }
+    if (cursor < text.length) {
+      parts.push(<span key={cursor}>{renderSlice(cursor, text.length)}</span>);
+    }
+
+    return parts;
   };
 
   return (
     <div 
+      id={id ? `message-${id}` : undefined}
       className={`flex ${isUser ? 'justify-end' : 'justify-start'} animate-fade-in`}
     >
       <div className={`max-w-[85%] ${isUser ? 'order-2' : 'order-1'}`}>
         {/* Message bubble */}
         <div 
-          className={isUser ? 'chat-bubble-user' : 'chat-bubble-assistant'}
+          className={`${isUser ? 'chat-bubble-user' : 'chat-bubble-assistant'}${
+            highlighted ? ' ring-2 ring-scripture-gold ring-offset-2' : ''
+          }`}
           role="article"
           aria-label={`${isUser ? 'Your' : 'Faith AI'} message`}
         >
           {/* Message content */}
-          <div className="text-lg leading-relaxed whitespace-pre-wrap">
-            {formatContent(content)}
-            {/* Typing cursor while streaming */}
-            {isStreaming && (
-              <span className="inline-block w-2 h-5 bg-scripture-navy ml-1 animate-pulse" />
-            )}
-          </div>
+          {editing ? (
+            <form onSubmit={handleEditSubmit}>
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={3}
+                maxLength={2000}
+                className="w-full p-2 rounded-lg text-lg text-gray-900 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-scripture-gold"
+                aria-label="Edit your question"
+                autoFocus
+              />
+              <div className="mt-2 flex justify-end space-x-2 text-sm">
+                <button
+                  type="button"
+                  onClick={() => { setEditing(false); setDraft(content); }}
+                  className="px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-3 py-1 rounded-lg bg-white text-scripture-navy font-medium hover:bg-gray-100 transition-colors"
+                >
+                  Save &amp; ask
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="text-lg leading-relaxed whitespace-pre-wrap">
+              {formatContent(content)}
+              {/* Typing cursor while streaming */}
+              {isStreaming && (
+                <span className="inline-block w-2 h-5 bg-scripture-navy ml-1 animate-pulse" />
+              )}
+            </div>
+          )}
+
+          {/* Citations that failed verification against the scripture corpus */}
+          {!isUser && !isStreaming && flaggedCitations.length > 0 && (
+            <div className="mt-3 pt-3 border-t border-gray-200 text-sm text-amber-800" role="note">
+              {flaggedCitations.map(([reference, status]) => (
+                <p key={reference} className="flex items-start">
+                  <span className="mr-2" aria-hidden="true">⚠️</span>
+                  {status === 'nonexistent'
+                    ? `${reference} doesn't appear to exist in the scriptures. Please double-check this reference.`
+                    : `The words quoted for ${reference} don't match the scripture text. Tap the reference to read the actual verse.`}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {/* Scripture passages the answer was grounded in */}
+          {!isUser && !isStreaming && sources?.length > 0 && (
+            <div className="mt-3 pt-3 border-t border-gray-200 text-sm">
+              <button
+                type="button"
+                onClick={() => setShowSources(!showSources)}
+                className="text-gray-500 hover:text-scripture-navy transition-colors"
+                aria-expanded={showSources}
+              >
+                {showSources ? '▾' : '▸'} Sources ({sources.length})
+              </button>
+              {showSources && (
+                <ul className="mt-2 space-y-2">
+                  {sources.map((source) => (
+                    <li key={source.reference} className="text-gray-700">
+                      <VerseReference reference={source.reference} />
+                      {source.text && (
+                        <span className="block text-gray-500">{source.text}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Message metadata and actions */}
         <div className={`mt-2 flex items-center space-x-3 text-sm text-gray-500 ${isUser ? 'justify-end' : 'justify-start'}`}>
+          {/* Branch switcher: < 2/3 > */}
+          {siblingCount > 1 && onSwitchBranch && (
+            <div className="flex items-center" aria-label={`Version ${siblingIndex + 1} of ${siblingCount}`}>
+              <button
+                onClick={() => onSwitchBranch(siblingIds[siblingIndex - 1])}
+                disabled={disabled || siblingIndex === 0}
+                className="px-1 hover:text-scripture-navy disabled:opacity-30 disabled:cursor-not-allowed"
+                aria-label="Previous version"
+              >
+                &lt;
+              </button>
+              <span className="tabular-nums">{siblingIndex + 1}/{siblingCount}</span>
+              <button
+                onClick={() => onSwitchBranch(siblingIds[siblingIndex + 1])}
+                disabled={disabled || siblingIndex === siblingCount - 1}
+                className="px-1 hover:text-scripture-navy disabled:opacity-30 disabled:cursor-not-allowed"
+                aria-label="Next version"
+              >
+                &gt;
+              </button>
+            </div>
+          )}
+
           {/* Timestamp */}
           {timestamp && (
             <time dateTime={timestamp}>
@@ -78,6 +272,36 @@ function ChatBubble({ message, onFeedback }) {
             </time>
           )}
 
+          {/* Edit a question or regenerate an answer (creates a new branch) */}
+          {isUser && onEdit && !editing && (
+            <button
+              onClick={() => { setDraft(content); setEditing(true); }}
+              disabled={disabled}
+              className="hover:text-scripture-navy transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+            >
+              Edit
+            </button>
+          )}
+          {!isUser && onRegenerate && !isStreaming && !safeResponse && !cannedResponse && (
+            <button
+              onClick={() => onRegenerate(id)}
+              disabled={disabled}
+              className="hover:text-scripture-navy transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+            >
+              Regenerate
+            </button>
+          )}
+
+          {/* Journal note about this message */}
+          {onAddNote && !isStreaming && (
+            <button
+              onClick={() => onAddNote(message)}
+              className="hover:text-scripture-navy transition-colors"
+            >
+              {noteCount > 0 ? `📝 ${noteCount} ${noteCount === 1 ? 'note' : 'notes'} · Add note` : 'Add note'}
+            </button>
+          )}
+
           {/* Feedback buttons for assistant messages */}
           {!isUser && onFeedback && (
             <div className="flex items-center space-x-1">
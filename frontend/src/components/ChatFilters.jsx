@@ -0,0 +1,160 @@
+/**
+ * Chat Filters Component
+ * Sidebar controls for choosing which conversations to list (all, a folder, no folder,
+ * archived, or one tag) and for creating, renaming and deleting folders
+ */
+
+import { useState } from 'react';
+import api from '../services/api';
+
+/**
+ * Read the folder select's value from the current filter
+ */
+const getView = (filter) => {
+  if (filter.archived) return 'archived';
+  return filter.folder || '';
+};
+
+function ChatFilters({ folders, tags, filter, onChange, onFoldersChanged }) {
+  const [folderForm, setFolderForm] = useState(null); // null, { mode: 'create' } or { mode: 'rename', id }
+  const [folderName, setFolderName] = useState('');
+  const [error, setError] = useState(null);
+
+  const view = getView(filter);
+  const selectedFolder = folders.find(folder => folder.id === filter.folder);
+
+  /**
+   * Switch between all chats, a folder, no folder and the archive (keeps the tag filter)
+   */
+  const handleViewChange = (value) => {
+    const next = { tag: filter.tag };
+    if (value === 'archived') next.archived = true;
+    else if (value) next.folder = value;
+    onChange(next);
+  };
+
+  const openFolderForm = (form, name = '') => {
+    setFolderForm(form);
+    setFolderName(name);
+    setError(null);
+  };
+
+  /**
+   * Create or rename a folder
+   */
+  const handleFolderSubmit = async (e) => {
+    e.preventDefault();
+    const name = folderName.trim();
+    if (!name) return;
+
+    try {
+      if (folderForm.mode === 'rename') {
+        await api.renameFolder(folderForm.id, name);
+      } else {
+        const response = await api.createFolder(name);
+        onChange({ folder: response.data.folder.id });
+      }
+      setFolderForm(null);
+      onFoldersChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the folder. Please try again.');
+    }
+  };
+
+  /**
+   * Delete the selected folder (its chats are kept) and show all chats
+   */
+  const handleDeleteFolder = async () => {
+    try {
+      await api.deleteFolder(selectedFolder.id);
+      onChange({ tag: filter.tag });
+      onFoldersChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the folder. Please try again.');
+    }
+  };
+
+  const selectClass = 'flex-1 min-w-0 px-2 py-1.5 rounded-lg bg-white/10 text-white text-xs ' +
+    'focus:outline-none focus:ring-2 focus:ring-scripture-gold';
+
+  return (
+    <div className="px-2 mb-3 space-y-2">
+      <div className="flex gap-2">
+        <select
+          value={view}
+          onChange={(e) => handleViewChange(e.target.value)}
+          aria-label="Show conversations"
+          className={selectClass}
+        >
+          <option value="" className="text-gray-900">All chats</option>
+          {folders.map(folder => (
+            <option key={folder.id} value={folder.id} className="text-gray-900">
+              📁 {folder.name} ({folder.chatCount})
+            </option>
+          ))}
+          <option value="none" className="text-gray-900">No folder</option>
+          <option value="archived" className="text-gray-900">Archived</option>
+        </select>
+
+        {tags.length > 0 && (
+          <select
+            value={filter.tag || ''}
+            onChange={(e) => onChange({ ...filter, tag: e.target.value || undefined })}
+            aria-label="Filter by tag"
+            className={selectClass}
+          >
+            <option value="" className="text-gray-900">All tags</option>
+            {tags.map(({ tag, count }) => (
+              <option key={tag} value={tag} className="text-gray-900">
+                #{tag} ({count})
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {folderForm ? (
+        <form onSubmit={handleFolderSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={folderName}
+            onChange={(e) => setFolderName(e.target.value)}
+            placeholder="Folder name"
+            aria-label="Folder name"
+            maxLength={50}
+            autoFocus
+            className="flex-1 min-w-0 px-2 py-1.5 rounded-lg bg-white/10 text-white text-xs placeholder-white/40
+                     focus:outline-none focus:ring-2 focus:ring-scripture-gold"
+          />
+          <button type="submit" className="text-xs text-scripture-gold hover:underline">Save</button>
+          <button type="button" onClick={() => setFolderForm(null)} className="text-xs text-white/50 hover:text-white">
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <div className="flex gap-3 text-xs text-white/50">
+          <button onClick={() => openFolderForm({ mode: 'create' })} className="hover:text-white">
+            + New folder
+          </button>
+          {selectedFolder && (
+            <>
+              <button
+                onClick={() => openFolderForm({ mode: 'rename', id: selectedFolder.id }, selectedFolder.name)}
+                className="hover:text-white"
+              >
+                Rename
+              </button>
+              <button onClick={handleDeleteFolder} className="hover:text-red-300">
+                Delete folder
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-300">{error}</div>}
+    </div>
+  );
+}
+
+export default ChatFilters;
@@ -0,0 +1,196 @@
+/**
+ * Chat Search Component
+ * Sidebar search across the user's conversations, with optional date and scripture filters.
+ * Shows its children (the chat history) until a search is run.
+ */
+
+import { useState } from 'react';
+import api from '../services/api';
+
+/**
+ * Render text with highlighted ranges
+ * @param {string} text - Text to show
+ * @param {array} highlights - [{ start, end }] character offsets
+ */
+function Highlighted({ text, highlights = [] }) {
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(({ start, end }, index) => {
+    if (start < cursor) return;
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={index} className="bg-scripture-gold/40 text-white rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+}
+
+function ChatSearch({ onSelect, children }) {
+  const [query, setQuery] = useState('');
+  const [reference, setReference] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Run the search with the current query and filters
+   */
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim() && !reference.trim()) {
+      clearSearch();
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    try {
+      const response = await api.searchChats({
+        q: query.trim() || undefined,
+        reference: reference.trim() || undefined,
+        from: from || undefined,
+        to: to || undefined
+      });
+      setResults(response.data.results || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Search failed. Please try again.');
+      setResults([]);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  /**
+   * Clear the search and show the chat history again
+   */
+  const clearSearch = () => {
+    setQuery('');
+    setReference('');
+    setFrom('');
+    setTo('');
+    setResults(null);
+    setError(null);
+  };
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg bg-white/10 text-white text-sm placeholder-white/40 ' +
+    'focus:outline-none focus:ring-2 focus:ring-scripture-gold';
+
+  return (
+    <>
+      <form onSubmit={handleSearch} className="px-2 mb-3 space-y-2" role="search">
+        <div className="flex gap-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search conversations"
+            aria-label="Search conversations"
+            maxLength={200}
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={() => setShowFilters(!showFilters)}
+            className={`px-2 rounded-lg text-sm transition-colors ${
+              showFilters ? 'bg-white/20 text-white' : 'text-white/50 hover:bg-white/10'
+            }`}
+            aria-expanded={showFilters}
+            title="Filters"
+          >
+            ⚙
+          </button>
+        </div>
+
+        {showFilters && (
+          <div className="space-y-2">
+            <input
+              type="text"
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              placeholder='Cites a verse, e.g. "Alma 32:21"'
+              aria-label="Scripture reference cited"
+              className={inputClass}
+            />
+            <div className="flex gap-2 text-xs text-white/50">
+              <label className="flex-1">
+                From
+                <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+              </label>
+              <label className="flex-1">
+                To
+                <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+              </label>
+            </div>
+            <button
+              type="submit"
+              className="w-full py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+            >
+              Search
+            </button>
+          </div>
+        )}
+      </form>
+
+      {results === null && !searching ? children : (
+        <div>
+          <div className="flex items-center justify-between px-2 mb-3">
+            <h3 className="text-xs font-semibold text-white/50 uppercase tracking-wider">
+              {searching ? 'Searching...' : `${results.length} ${results.length === 1 ? 'result' : 'results'}`}
+            </h3>
+            <button onClick={clearSearch} className="text-xs text-white/50 hover:text-white">
+              Clear
+            </button>
+          </div>
+
+          {error && <div className="px-2 mb-2 text-sm text-red-300">{error}</div>}
+
+          {!searching && results.length === 0 && !error && (
+            <div className="text-center py-4 text-white/50 text-sm px-2">
+              No conversations match your search.
+            </div>
+          )}
+
+          <div className="space-y-2">
+            {!searching && results.map(({ chat, titleHighlights, matches, matchCount }) => (
+              <div key={chat.id} className="rounded-lg bg-white/5">
+                <button
+                  onClick={() => onSelect(chat.id, matches[0]?.messageId)}
+                  className="w-full text-left px-3 pt-3 pb-1 font-medium text-sm text-white/90 hover:text-scripture-gold truncate"
+                >
+                  <Highlighted text={chat.title} highlights={titleHighlights} />
+                </button>
+                {matches.map((match) => (
+                  <button
+                    key={match.messageId}
+                    onClick={() => onSelect(chat.id, match.messageId)}
+                    className="w-full text-left px-3 py-1 text-xs text-white/60 hover:bg-white/10 rounded"
+                  >
+                    <span className="text-white/40">{match.role === 'user' ? 'You: ' : 'Faith AI: '}</span>
+                    <Highlighted text={match.snippet} highlights={match.highlights} />
+                  </button>
+                ))}
+                {matchCount > matches.length && (
+                  <div className="px-3 pb-2 text-xs text-white/40">
+                    +{matchCount - matches.length} more in this conversation
+                  </div>
+                )}
+                <div className="pb-2" />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default ChatSearch;
@@ -0,0 +1,132 @@
+/**
+ * Markdown Component
+ * Renders the Markdown used in notes: headings, paragraphs, lists, block quotes,
+ * bold, italic, inline code and links. Text is never inserted as HTML.
+ */
+
+// Inline syntax, in order of precedence: code, bold, italic, link
+const INLINE_PATTERN = /`([^`]+)`|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|_([^_\s][^_]*)_|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/**
+ * Render inline Markdown as React elements
+ * @param {string} text - One block's text
+ * @returns {array} - Strings and elements
+ */
+function renderInline(text) {
+  const parts = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > cursor) parts.push(text.slice(cursor, match.index));
+
+    const [, code, bold, boldAlt, italic, italicAlt, linkText, href] = match;
+    const key = match.index;
+    if (code) {
+      parts.push(<code key={key} className="px-1 rounded bg-gray-100 text-sm">{code}</code>);
+    } else if (bold || boldAlt) {
+      parts.push(<strong key={key}>{renderInline(bold || boldAlt)}</strong>);
+    } else if (italic || italicAlt) {
+      parts.push(<em key={key}>{renderInline(italic || italicAlt)}</em>);
+    } else {
+      parts.push(
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-scripture-navy underline">
+          {linkText}
+        </a>
+      );
+    }
+    cursor = match.index + match[0].length;
+  }
+
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+}
+
+/**
+ * Split Markdown into blocks: { type: 'heading'|'paragraph'|'quote'|'ul'|'ol', level, lines }
+ * @param {string} source - Markdown text
+ * @returns {array} - Blocks in order
+ */
+function parseBlocks(source) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of source.replace(/\r\n/g, '\n').split('\n')) {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (!line.trim()) {
+      current = null;
+    } else if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, lines: [heading[2]] });
+      current = null;
+    } else if (quote || bullet || numbered) {
+      const type = quote ? 'quote' : bullet ? 'ul' : 'ol';
+      const text = (quote || bullet || numbered)[1];
+      if (current?.type !== type) {
+        current = { type, lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(text);
+    } else if (current?.type === 'paragraph' || current?.type === 'quote') {
+      current.lines.push(line);
+    } else {
+      current = { type: 'paragraph', lines: [line] };
+      blocks.push(current);
+    }
+  }
+
+  return blocks;
+}
+
+const HEADING_CLASSES = {
+  1: 'text-xl font-semibold text-scripture-navy',
+  2: 'text-lg font-semibold text-scripture-navy',
+  3: 'font-semibold text-scripture-navy'
+};
+
+function Markdown({ children, className = '' }) {
+  const blocks = parseBlocks(children || '');
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'heading': {
+            const Tag = `h${block.level + 2}`;
+            return <Tag key={index} className={HEADING_CLASSES[block.level]}>{renderInline(block.lines[0])}</Tag>;
+          }
+          case 'quote':
+            return (
+              <blockquote key={index} className="verse-highlight">
+                {block.lines.map((line, i) => <span key={i} className="block">{renderInline(line)}</span>)}
+              </blockquote>
+            );
+          case 'ul':
+          case 'ol': {
+            const List = block.type;
+            return (
+              <List key={index} className={`pl-6 space-y-1 ${block.type === 'ul' ? 'list-disc' : 'list-decimal'}`}>
+                {block.lines.map((line, i) => <li key={i}>{renderInline(line)}</li>)}
+              </List>
+            );
+          }
+          default:
+            return (
+              <p key={index}>
+                {block.lines.map((line, i) => (
+                  <span key={i}>
+                    {i > 0 && <br />}
+                    {renderInline(line)}
+                  </span>
+                ))}
+              </p>
+            );
+        }
+      })}
+    </div>
+  );
+}
+
+export default Markdown;
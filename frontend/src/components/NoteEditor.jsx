@@ -0,0 +1,159 @@
+/**
+ * Note Editor Component
+ * Modal for writing or editing a journal note, optionally about a chat message
+ * or a scripture passage. Bodies are Markdown, with a preview.
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import Markdown from './Markdown';
+
+/**
+ * @param {object} props
+ * @param {object} props.note - Note to edit, or null for a new note
+ * @param {object} props.defaults - New note fields: { chatId, messageId, reference, quote }
+ * @param {function} props.onSaved - Called with the saved note
+ * @param {function} props.onClose - Called to close without saving
+ */
+function NoteEditor({ note = null, defaults = {}, onSaved, onClose }) {
+  const [title, setTitle] = useState(note?.title || '');
+  const [reference, setReference] = useState(note?.reference || defaults.reference || '');
+  const [body, setBody] = useState(note?.body || '');
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Escape key handling
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) {
+      setError('Please write something first.');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const fields = { title: title.trim(), body, reference: reference.trim() || null };
+      const response = note
+        ? await api.updateNote(note.id, fields)
+        : await api.createNote({ ...fields, chatId: defaults.chatId, messageId: defaults.messageId });
+      onSaved(response.data.note);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the note. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 rounded-xl border-2 border-gray-200 focus:outline-none focus:border-scripture-gold';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="note-title"
+    >
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50"
+        onClick={onClose}
+        aria-hidden="true"
+      />
+
+      {/* Modal */}
+      <form
+        onSubmit={handleSubmit}
+        className="relative bg-white rounded-2xl shadow-xl max-w-lg w-full p-6 space-y-3 animate-fade-in"
+      >
+        <h2 id="note-title" className="text-2xl font-display text-scripture-navy">
+          {note ? 'Edit Note' : 'Add Note'}
+        </h2>
+
+        {defaults.quote && (
+          <p className="text-sm text-gray-500 line-clamp-3 border-l-4 border-gray-200 pl-3">
+            {defaults.quote}
+          </p>
+        )}
+
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Title (optional)"
+          aria-label="Title"
+          maxLength={120}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={reference}
+          onChange={(e) => setReference(e.target.value)}
+          placeholder='Scripture (optional), e.g. "Alma 32:21"'
+          aria-label="Scripture reference"
+          maxLength={100}
+          className={inputClass}
+        />
+
+        <div>
+          <div className="flex gap-4 mb-1 text-sm">
+            <button
+              type="button"
+              onClick={() => setPreview(false)}
+              className={preview ? 'text-gray-500 hover:text-gray-700' : 'text-scripture-navy font-medium'}
+            >
+              Write
+            </button>
+            <button
+              type="button"
+              onClick={() => setPreview(true)}
+              className={preview ? 'text-scripture-navy font-medium' : 'text-gray-500 hover:text-gray-700'}
+            >
+              Preview
+            </button>
+          </div>
+          {preview ? (
+            <div className="min-h-[10rem] max-h-72 overflow-y-auto px-3 py-2 rounded-xl border-2 border-gray-100 text-gray-700">
+              {body.trim() ? <Markdown>{body}</Markdown> : <span className="text-gray-400">Nothing to preview.</span>}
+            </div>
+          ) : (
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              placeholder="What did you learn or feel? Markdown works: **bold**, *italic*, - lists, > quotes"
+              aria-label="Note"
+              rows={7}
+              maxLength={20000}
+              autoFocus
+              className={`${inputClass} resize-y`}
+            />
+          )}
+        </div>
+
+        {error && <div className="text-sm text-red-600">{error}</div>}
+
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="btn-text">
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save Note'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default NoteEditor;
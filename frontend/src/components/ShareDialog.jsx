@@ -0,0 +1,207 @@
+/**
+ * Share Dialog Component
+ * Creates public read-only links to a conversation and lists or revokes existing ones
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+
+// Expiry choices (days; null never expires)
+const EXPIRY_OPTIONS = [
+  { days: null, label: 'Never expires' },
+  { days: 1, label: 'Expires in 1 day' },
+  { days: 7, label: 'Expires in 7 days' },
+  { days: 30, label: 'Expires in 30 days' }
+];
+
+function ShareDialog({ chat, onClose }) {
+  const modalRef = useRef(null);
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState(null);
+  const [snapshot, setSnapshot] = useState(false);
+  const [copiedToken, setCopiedToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Focus the dialog when it opens
+  useEffect(() => {
+    modalRef.current?.focus();
+  }, []);
+
+  // Escape key handling
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  // Load the chat's existing links
+  useEffect(() => {
+    const fetchLinks = async () => {
+      try {
+        const response = await api.getShareLinks(chat.id);
+        setLinks(response.data.links || []);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load share links.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLinks();
+  }, [chat.id]);
+
+  /**
+   * Copy a link to the clipboard
+   */
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopiedToken(link.token);
+    } catch {
+      setError('Could not copy the link. Please copy it by hand.');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const response = await api.createShareLink(chat.id, { expiresInDays, snapshot });
+      const link = response.data.link;
+      setLinks(prev => [link, ...prev]);
+      copyLink(link);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create a share link. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    setError(null);
+    try {
+      await api.revokeShareLink(token);
+      setLinks(prev => prev.filter(link => link.token !== token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke the link. Please try again.');
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="share-title"
+    >
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50"
+        onClick={onClose}
+        aria-hidden="true"
+      />
+
+      {/* Modal */}
+      <div
+        ref={modalRef}
+        tabIndex={-1}
+        className="relative bg-white rounded-2xl shadow-xl max-w-md w-full p-6 animate-fade-in"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+          aria-label="Close"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+
+        <h2 id="share-title" className="text-2xl font-display text-scripture-navy mb-1 pr-10">
+          Share Conversation
+        </h2>
+        <p className="text-gray-600 mb-4 truncate">{chat.title}</p>
+
+        <form onSubmit={handleCreate} className="space-y-3 mb-6">
+          <p className="text-sm text-gray-600">
+            Anyone with the link can read this conversation. They cannot reply to it or see your other chats.
+          </p>
+          <select
+            value={expiresInDays ?? ''}
+            onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+            aria-label="Link expiry"
+            className="w-full px-3 py-2 rounded-xl border-2 border-gray-200"
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+            ))}
+          </select>
+          <label className="flex items-start gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={snapshot}
+              onChange={(e) => setSnapshot(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              Share the conversation as it is now
+              <span className="block text-gray-500">
+                Otherwise the link shows new messages as you add them.
+              </span>
+            </span>
+          </label>
+          <button type="submit" disabled={creating} className="btn-primary w-full disabled:opacity-50">
+            {creating ? 'Creating...' : 'Create and Copy Link'}
+          </button>
+        </form>
+
+        {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
+
+        <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">Active links</h3>
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : links.length === 0 ? (
+          <p className="text-sm text-gray-500">This conversation has not been shared.</p>
+        ) : (
+          <ul className="space-y-2 max-h-48 overflow-y-auto">
+            {links.map(link => (
+              <li key={link.token} className="p-3 bg-gray-50 rounded-xl text-sm">
+                <div className="text-gray-700">
+                  {link.snapshot ? 'Snapshot' : 'Live'} · shared {formatDate(link.createdAt)}
+                  {link.expiresAt ? ` · expires ${formatDate(link.expiresAt)}` : ''}
+                </div>
+                <div className="text-gray-500">
+                  {link.viewCount} {link.viewCount === 1 ? 'view' : 'views'}
+                </div>
+                <div className="mt-1 flex gap-4">
+                  <button onClick={() => copyLink(link)} className="text-scripture-navy font-medium hover:underline">
+                    {copiedToken === link.token ? 'Copied!' : 'Copy link'}
+                  </button>
+                  <button onClick={() => handleRevoke(link.token)} className="text-red-600 hover:underline">
+                    Revoke
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ShareDialog;
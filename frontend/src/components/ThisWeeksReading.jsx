@@ -0,0 +1,63 @@
+/**
+ * This Week's Reading Component
+ * The week's Come, Follow Me scripture block, with discussion questions that start a chat
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+/**
+ * Format a "YYYY-MM-DD" day as e.g. "Jan 5"
+ */
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * @param {object} props
+ * @param {function} props.onAsk - Called with (question, mode) to start a chat in the week's study mode
+ */
+function ThisWeeksReading({ onAsk }) {
+  const [week, setWeek] = useState(null);
+
+  useEffect(() => {
+    const fetchWeek = async () => {
+      try {
+        const response = await api.getCurrentCurriculumWeek();
+        setWeek(response.data.week);
+      } catch (err) {
+        console.error("Failed to fetch this week's reading:", err);
+      }
+    };
+
+    fetchWeek();
+  }, []);
+
+  if (!week) return null;
+
+  return (
+    <div className="w-full max-w-lg mb-3 sm:mb-4 px-3 py-2 sm:px-4 sm:py-3 bg-white rounded-xl border-2 border-scripture-gold/40 text-left">
+      <div className="text-xs text-gray-500">
+        Come, Follow Me · {formatDay(week.startDay)} – {formatDay(week.endDay)}
+      </div>
+      <div className="font-medium text-scripture-navy">📖 {week.reference}</div>
+      <div className="text-sm text-gray-600">{week.title}</div>
+
+      {/* Discussion questions -- only the first two on short viewports */}
+      <div className="mt-2 space-y-1">
+        {week.questions.map((question, index) => (
+          <button
+            key={index}
+            onClick={() => onAsk(question, week.mode)}
+            className={`w-full text-left text-sm text-scripture-navy hover:underline ${index >= 2 ? 'hidden tall:block' : ''}`}
+          >
+            💬 {question}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ThisWeeksReading;
@@ -0,0 +1,78 @@
+/**
+ * Today's Reading Component
+ * Today's chapters in each reading plan the user follows, with a way to study them in chat
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+/**
+ * @param {object} props
+ * @param {function} props.onStudy - Called with { reference, questions } to start a study chat
+ */
+function TodaysReading({ onStudy }) {
+  const [readings, setReadings] = useState([]);
+
+  useEffect(() => {
+    const fetchReadings = async () => {
+      try {
+        const response = await api.getTodaysReading();
+        setReadings(response.data.readings);
+      } catch (err) {
+        console.error("Failed to fetch today's reading:", err);
+      }
+    };
+
+    fetchReadings();
+  }, []);
+
+  const handleMarkRead = async (reading) => {
+    try {
+      const response = await api.setPlanDayCompleted(reading.id, reading.today.day, true);
+      const updated = response.data.enrollment;
+      // Reading the last unread day finishes the plan, which then has no reading for today
+      setReadings(prev => prev
+        .map(r => (r.id === updated.id ? updated : r))
+        .filter(r => r.today));
+    } catch (err) {
+      console.error('Failed to mark the reading as read:', err);
+    }
+  };
+
+  if (readings.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-lg mb-3 sm:mb-4 space-y-2">
+      {readings.map(reading => (
+        <div key={reading.id} className="px-3 py-2 sm:px-4 sm:py-3 bg-white rounded-xl border-2 border-scripture-gold/40 text-left">
+          <div className="text-xs text-gray-500">
+            <Link to="/plans" className="hover:underline">{reading.plan.name}</Link>
+            {' · '}Day {reading.today.day} of {reading.plan.totalDays}
+            {reading.behind > 0 && ` · ${reading.behind} ${reading.behind === 1 ? 'day' : 'days'} to catch up`}
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="font-medium text-scripture-navy">
+              {reading.today.completed ? '✓ ' : '📖 '}{reading.today.reference}
+            </span>
+            <span className="flex gap-3 text-sm">
+              {!reading.today.completed && (
+                <button onClick={() => handleMarkRead(reading)} className="text-gray-600 hover:underline">
+                  Mark as read
+                </button>
+              )}
+              <button
+                onClick={() => onStudy(reading.today)}
+                className="text-scripture-navy font-medium hover:underline"
+              >
+                Study in chat
+              </button>
+            </span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TodaysReading;
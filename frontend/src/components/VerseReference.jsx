@@ -0,0 +1,136 @@
+/**
+ * Verse Reference Component
+ * Inline scripture reference that shows the verse text in a popover
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+import BookmarkButton from './BookmarkButton';
+import { parsePassage } from '../utils/scriptureReference';
+
+// Notes shown in the popover for citations that failed verification
+const STATUS_NOTES = {
+  misquoted: 'The quoted words in this answer do not match this verse.',
+  nonexistent: 'This reference does not appear to exist in the scriptures.'
+};
+
+/**
+ * @param {object} props
+ * @param {string} props.reference - Reference as written
+ * @param {string} props.status - Citation check result, if any
+ * @param {object} props.bookmarkFrom - { source, chatId } to offer saving the passage (signed-in users)
+ */
+function VerseReference({ reference, status, bookmarkFrom = null, children }) {
+  const flagged = Boolean(STATUS_NOTES[status]);
+  // Only a single passage that exists can be saved to the library
+  const canBookmark = Boolean(bookmarkFrom) && status !== 'nonexistent' && parsePassage(reference) !== null;
+
+  const [open, setOpen] = useState(false);
+  const [passage, setPassage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [notFound, setNotFound] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the popover on outside click or Escape
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  /**
+   * Toggle the popover, fetching the verse text the first time
+   */
+  const handleToggle = async () => {
+    const willOpen = !open;
+    setOpen(willOpen);
+
+    if (!willOpen || passage || loading) return;
+
+    setLoading(true);
+    setNotFound(false);
+    try {
+      const response = await api.getScripture(reference);
+      setPassage(response.data);
+    } catch (err) {
+      setNotFound(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <span ref={containerRef} className="relative inline">
+      <button
+        type="button"
+        onClick={handleToggle}
+        className={`underline decoration-dotted underline-offset-4 hover:decoration-solid ${
+          flagged ? 'text-amber-800 decoration-amber-500' : 'text-scripture-navy decoration-scripture-gold'
+        }`}
+        aria-expanded={open}
+        aria-label={flagged ? `Show the text of ${reference} (${STATUS_NOTES[status]})` : `Show the text of ${reference}`}
+      >
+        {children || reference}
+      </button>
+
+      {open && (
+        <span
+          role="dialog"
+          aria-label={reference}
+          className="absolute left-0 top-full z-30 mt-2 block w-72 sm:w-96 p-4 bg-white rounded-xl shadow-medium border border-gray-200 text-base text-gray-800 whitespace-normal"
+        >
+          <span className="block font-medium text-scripture-navy mb-2">
+            {passage?.reference || reference}
+          </span>
+          {flagged && (
+            <span className="block text-sm text-amber-800 mb-2">{STATUS_NOTES[status]}</span>
+          )}
+          {loading ? (
+            <span className="block text-gray-500">Loading verse...</span>
+          ) : notFound ? (
+            <span className="block text-gray-500">
+              This verse isn't in our scripture library yet.
+            </span>
+          ) : passage ? (
+            <span className="block max-h-64 overflow-y-auto">
+              {passage.passages.map((p) => (
+                <span key={p.reference} className="block">
+                  {passage.passages.length > 1 && (
+                    <span className="block text-sm text-gray-500 mt-2">{p.reference}</span>
+                  )}
+                  {p.verses.map((v) => (
+                    <span key={v.verse} className="block mb-1">
+                      <sup className="text-scripture-brown mr-1">{v.verse}</sup>
+                      {v.text}
+                    </span>
+                  ))}
+                </span>
+              ))}
+            </span>
+          ) : null}
+          {canBookmark && passage && (
+            <span className="block mt-3 pt-3 border-t border-gray-100">
+              <BookmarkButton reference={passage.reference} source={bookmarkFrom.source} chatId={bookmarkFrom.chatId} />
+            </span>
+          )}
+        </span>
+      )}
+    </span>
+  );
+}
+
+export default VerseReference;
@@ -3,7 +3,7 @@
  * Manages user authentication state across the app
  */
 
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import api from '../services/api';
 
 // Create context
@@ -17,6 +17,7 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const timezoneSyncedRef = useRef(null); // Browser timezone already sent to the server
 
   /**
    * Load user from token on app start
@@ -50,6 +51,23 @@ export function AuthProvider({ children }) {
     initAuth();
   }, []);
 
+  /**
+   * Keep the account's timezone in step with the browser, so the daily
+   * question limit resets at the user's local midnight. Tried once per session: the
+   * server refuses a change that moves the date more than once a day.
+   */
+  useEffect(() => {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!user || !timezone || user.timezone === timezone || timezoneSyncedRef.current === timezone) return;
+
+    timezoneSyncedRef.current = timezone;
+
+    api.updateProfile({ timezone })
+      .then(() => api.getCurrentUser())
+      .then(response => setUser(response.data.user))
+      .catch(err => console.error('Failed to update timezone:', err));
+  }, [user]);
+
   /**
    * Register a new user
    */
@@ -7,6 +7,7 @@ import { useEffect, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import api from '../services/api';
 
 function AuthCallback() {
   const [error, setError] = useState(null);
@@ -36,6 +37,11 @@ function AuthCallback() {
         const result = await loginWithToken(token);
         
         if (result.success) {
+          // Keep the conversation started before signing in with Google
+          await api.claimAnonymousSession().catch((err) => {
+            console.error('Failed to keep anonymous conversation:', err);
+          });
+
           // Clear anonymous usage after successful auth
           localStorage.removeItem('faithai_anonymous_usage');
           localStorage.removeItem('faithai_pending_messages');
@@ -22,6 +22,8 @@ function Dashboard() {
   const [message, setMessage] = useState(null);
   const [editingName, setEditingName] = useState(false);
   const [newName, setNewName] = useState(user?.name || '');
+  const [exportFormat, setExportFormat] = useState('md');
+  const [exportLoading, setExportLoading] = useState(false);
 
   // Check for success/cancel from Stripe and verify session
   useEffect(() => {
@@ -144,6 +146,20 @@ function Dashboard() {
     }
   };
 
+  /**
+   * Download every conversation as a zip archive
+   */
+  const handleExportAll = async () => {
+    setExportLoading(true);
+    try {
+      await api.exportAllChats(exportFormat);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to export your conversations.' });
+    } finally {
+      setExportLoading(false);
+    }
+  };
+
   /**
    * Format date for display
    */
@@ -384,6 +400,38 @@ function Dashboard() {
           </div>
         </section>
 
+        {/* Export Section */}
+        <section className="card mb-6">
+          <h2 className="text-xl font-medium text-scripture-navy mb-4">
+            Export Your Conversations
+          </h2>
+          <p className="text-gray-600 mb-4">
+            Download all of your conversations as a zip file, one file per conversation.
+            Scriptures cited in answers are included as quotations.
+          </p>
+
+          <div className="flex flex-col sm:flex-row gap-3">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              aria-label="Export format"
+              className="px-4 py-3 rounded-xl border-2 border-gray-200 text-lg"
+            >
+              <option value="md">Markdown (.md)</option>
+              <option value="pdf">PDF (.pdf)</option>
+              <option value="txt">Plain text (.txt)</option>
+              <option value="json">JSON (.json)</option>
+            </select>
+            <button
+              onClick={handleExportAll}
+              disabled={exportLoading}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {exportLoading ? 'Preparing...' : 'Download All Conversations'}
+            </button>
+          </div>
+        </section>
+
         {/* Danger Zone */}
         <section className="card border-red-200">
           <h2 className="text-xl font-medium text-red-600 mb-4">
@@ -4,20 +4,33 @@
  * Prompts account creation after 25 free messages
  */
 
-import { useState, useEffect, useRef } from 'react';
-import { Link } from 'react-router-dom';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import ChatInput from '../components/ChatInput';
 import ChatBubble from '../components/ChatBubble';
 import SignupPrompt from '../components/SignupPrompt';
+import ChatSearch from '../components/ChatSearch';
+import ChatFilters from '../components/ChatFilters';
+import ChatActions from '../components/ChatActions';
+import ShareDialog from '../components/ShareDialog';
+import NoteEditor from '../components/NoteEditor';
+import BookmarkButton from '../components/BookmarkButton';
+import TodaysReading from '../components/TodaysReading';
+import ThisWeeksReading from '../components/ThisWeeksReading';
 
 // Number of free messages before requiring signup
 const FREE_MESSAGE_LIMIT = 25;
 const STORAGE_KEY = 'faithai_anonymous_usage';
+const DEFAULT_MODE = 'general';
+// Mode for conversations started from a reading plan
+const READING_MODE = 'scripture-study';
 
 function Home() {
   const { user, isAuthenticated, refreshUser } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
   
   // State
   const [messages, setMessages] = useState([]);
@@ -26,15 +39,31 @@ function Home() {
   const [sidebarOpen, setSidebarOpen] = useState(true); // Sidebar visibility (desktop)
   const [mobileSidebarOpen, setMobileSidebarOpen] = useState(false); // Mobile sidebar
   const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyCursor, setHistoryCursor] = useState(null); // Next page of history (null when all loaded)
+  const [historyLoadingMore, setHistoryLoadingMore] = useState(false);
+  const [historyFilter, setHistoryFilter] = useState({}); // { folder, tag, archived }
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [sharingChat, setSharingChat] = useState(null); // Chat whose share dialog is open
+  const [noteTarget, setNoteTarget] = useState(null); // Message a note is being written about
+  const [studySeed, setStudySeed] = useState(null); // { reference, questions } offered in a new chat
+  const [olderMessagesCursor, setOlderMessagesCursor] = useState(null); // Older messages of the open chat
+  const [olderMessagesLoading, setOlderMessagesLoading] = useState(false);
   const [sending, setSending] = useState(false);
   const [streaming, setStreaming] = useState(false);
   const [streamingContent, setStreamingContent] = useState('');
   const [error, setError] = useState(null);
   const [messageCount, setMessageCount] = useState(0);
+  const [messageLimit, setMessageLimit] = useState(FREE_MESSAGE_LIMIT);
   const [showSignupPrompt, setShowSignupPrompt] = useState(false);
   const [verse, setVerse] = useState(null);
+  const [studyModes, setStudyModes] = useState([]);
+  const [mode, setMode] = useState(DEFAULT_MODE); // Study mode for new conversations
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null); // Search result to show
   
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollHeightBeforePrependRef = useRef(null); // Keeps the view still when older messages load
   const [greeting] = useState(() => {
     const greetings = [
       "Let's do something meaningful today",
@@ -138,25 +167,66 @@ function Home() {
           console.error('Failed to parse stored data:', e);
         }
       }
+      syncAnonymousSession();
     } else {
       // Reset chat state when user logs in (start fresh)
       setCurrentChatId(null);
       setMessages([]);
-      // Fetch chat history for authenticated users
-      fetchChatHistory();
+      setOlderMessagesCursor(null);
+      // Fetch folders and tags for authenticated users (history is fetched below)
+      fetchOrganization();
     }
   }, [isAuthenticated]);
 
   /**
-   * Fetch chat history for authenticated users
+   * Take the free-question count (and the conversation, if none is stored locally)
+   * from the server, which enforces the limit
+   */
+  const syncAnonymousSession = async () => {
+    try {
+      const response = await api.getAnonymousSession();
+      const { anonymous, messages: transcript } = response.data;
+
+      setMessageCount(anonymous.messagesUsed);
+      setMessageLimit(anonymous.messageLimit);
+      setMessages(prev => (prev.length === 0 && transcript.length > 0
+        ? transcript.map((msg, index) => ({ ...msg, id: `saved-${index}` }))
+        : prev));
+    } catch (err) {
+      console.error('Failed to load anonymous session:', err);
+    }
+  };
+
+  // Open a conversation linked from another page (e.g. a journal note), or start one
+  // about a plan's reading
+  useEffect(() => {
+    const { openChat, studyReading } = location.state || {};
+    if (!isAuthenticated || (!openChat && !studyReading)) return;
+
+    if (openChat) {
+      loadChat(openChat.chatId, openChat.messageId || null);
+    } else {
+      handleStudyReading(studyReading);
+    }
+    navigate(location.pathname, { replace: true, state: null });
+  }, [isAuthenticated, location.state]);
+
+  // Fetch chat history for authenticated users, again whenever the sidebar filter changes
+  useEffect(() => {
+    fetchChatHistory();
+  }, [isAuthenticated, historyFilter]);
+
+  /**
+   * Fetch the first page of chat history for authenticated users
    */
   const fetchChatHistory = async () => {
     if (!isAuthenticated) return;
     
     setHistoryLoading(true);
     try {
-      const response = await api.getChatHistory();
+      const response = await api.getChatHistory(null, historyFilter);
       setChatHistory(response.data.chats || []);
+      setHistoryCursor(response.data.nextCursor || null);
     } catch (err) {
       console.error('Failed to fetch chat history:', err);
     } finally {
@@ -165,14 +235,99 @@ function Home() {
   };
 
   /**
-   * Load a previous conversation
+   * Fetch the next page of chat history (infinite scroll)
+   */
+  const loadMoreHistory = async () => {
+    if (!historyCursor || historyLoading || historyLoadingMore) return;
+
+    setHistoryLoadingMore(true);
+    try {
+      const response = await api.getChatHistory(historyCursor, historyFilter);
+      // A chat can move between pages when it gets new activity, so skip ones already listed
+      setChatHistory(prev => {
+        const listed = new Set(prev.map(chat => chat.id));
+        return [...prev, ...(response.data.chats || []).filter(chat => !listed.has(chat.id))];
+      });
+      setHistoryCursor(response.data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to fetch more chat history:', err);
+    } finally {
+      setHistoryLoadingMore(false);
+    }
+  };
+
+  /**
+   * Fetch the user's folders and tags for the sidebar filters
+   */
+  const fetchOrganization = async () => {
+    try {
+      const [folderResponse, tagResponse] = await Promise.all([api.getFolders(), api.getTags()]);
+      setFolders(folderResponse.data.folders || []);
+      setTags(tagResponse.data.tags || []);
+    } catch (err) {
+      console.error('Failed to fetch folders and tags:', err);
+    }
+  };
+
+  /**
+   * Pin, archive, move or tag a conversation, then refresh the sidebar
+   * (the change can move it within or out of the current list)
+   */
+  const handleOrganize = async (chatId, fields) => {
+    try {
+      await api.organizeChat(chatId, fields);
+      fetchChatHistory();
+      fetchOrganization();
+    } catch (err) {
+      console.error('Failed to update conversation:', err);
+      setError(err.response?.data?.message || 'Failed to update the conversation. Please try again.');
+    }
+  };
+
+  /**
+   * Download a conversation in the chosen format
    */
-  const loadChat = async (chatId) => {
+  const handleExport = async (chatId, format) => {
     try {
-      const response = await api.getChat(chatId);
+      await api.exportChat(chatId, format);
+    } catch (err) {
+      console.error('Failed to export conversation:', err);
+      setError(err.response?.data?.message || 'Failed to download the conversation. Please try again.');
+    }
+  };
+
+  /**
+   * Load the next page of history when the sidebar is scrolled near the bottom
+   */
+  const handleHistoryScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < 100) {
+      loadMoreHistory();
+    }
+  };
+
+  /**
+   * Load a previous conversation, optionally scrolled to one message (e.g. a search result)
+   */
+  const loadChat = async (chatId, messageId = null) => {
+    try {
+      const response = await api.getChat(chatId, messageId ? { include: messageId } : {});
       if (response.data.chat) {
+        let chatMessages = response.data.chat.messages;
+        let olderCursor = response.data.nextCursor || null;
+
+        // The message may be on another branch; switch to it first (this returns the whole branch)
+        if (messageId && !chatMessages.some(msg => msg.id === messageId)) {
+          const branch = await api.switchBranch(chatId, messageId);
+          chatMessages = branch.data.chat.messages;
+          olderCursor = null;
+        }
+
+        setHighlightedMessageId(messageId);
         setCurrentChatId(response.data.chat.id);
-        setMessages(response.data.chat.messages);
+        setMessages(chatMessages);
+        setOlderMessagesCursor(olderCursor);
+        setMode(response.data.chat.mode || DEFAULT_MODE);
       }
     } catch (err) {
       console.error('Failed to load chat:', err);
@@ -180,6 +335,51 @@ function Home() {
     }
   };
 
+  /**
+   * Load older messages of the open conversation when scrolled near the top
+   */
+  const handleMessagesScroll = async (e) => {
+    const container = e.currentTarget;
+    if (container.scrollTop > 80 || !olderMessagesCursor || olderMessagesLoading || !currentChatId) return;
+
+    setOlderMessagesLoading(true);
+    try {
+      const response = await api.getChat(currentChatId, { cursor: olderMessagesCursor });
+      scrollHeightBeforePrependRef.current = container.scrollHeight;
+      setMessages(prev => [...response.data.chat.messages, ...prev]);
+      setOlderMessagesCursor(response.data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to load older messages:', err);
+      // The conversation changed (e.g. another version was chosen); reload it
+      if (err.response?.status === 409) {
+        loadChat(currentChatId);
+      }
+    } finally {
+      setOlderMessagesLoading(false);
+    }
+  };
+
+  // Fetch the study modes for the mode picker
+  useEffect(() => {
+    const fetchModes = async () => {
+      try {
+        const response = await api.getStudyModes();
+        setStudyModes(response.data.modes || []);
+      } catch (err) {
+        console.error('Failed to fetch study modes:', err);
+      }
+    };
+    fetchModes();
+  }, []);
+
+  /**
+   * Display name of a study mode (null for the default mode)
+   */
+  const getModeName = (modeId) => {
+    if (!modeId || modeId === DEFAULT_MODE) return null;
+    return studyModes.find(m => m.id === modeId)?.name || null;
+  };
+
   // Fetch verse of the day
   useEffect(() => {
     const fetchVerse = async () => {
@@ -193,10 +393,23 @@ function Home() {
     fetchVerse();
   }, []);
 
-  // Scroll to bottom when new messages arrive
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  // Scroll to bottom when new messages arrive (or to the message opened from search).
+  // When older messages are added above, keep the messages in view where they were instead.
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && scrollHeightBeforePrependRef.current !== null) {
+      container.scrollTop += container.scrollHeight - scrollHeightBeforePrependRef.current;
+      scrollHeightBeforePrependRef.current = null;
+      return;
+    }
+
+    const highlighted = highlightedMessageId && document.getElementById(`message-${highlightedMessageId}`);
+    if (highlighted) {
+      highlighted.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [messages, highlightedMessageId]);
 
   // Save anonymous usage to localStorage
   const saveAnonymousUsage = (count, msgs) => {
@@ -209,18 +422,21 @@ function Home() {
 
   /**
    * Send a message
+   * @param {string} message - Message text
+   * @param {string} chatMode - Study mode if this starts a new conversation (defaults to the picker's)
    */
-  const handleSendMessage = async (message) => {
+  const handleSendMessage = async (message, chatMode = mode) => {
     if (!message.trim() || sending) return;
 
     // Check if anonymous user has reached limit
-    if (!isAuthenticated && messageCount >= FREE_MESSAGE_LIMIT) {
+    if (!isAuthenticated && messageCount >= messageLimit) {
       setShowSignupPrompt(true);
       return;
     }
 
     setError(null);
     setSending(true);
+    setHighlightedMessageId(null);
 
     // Add user message immediately
     const userMessage = {
@@ -233,64 +449,57 @@ function Home() {
     const newMessages = [...messages, userMessage];
     setMessages(newMessages);
 
+    // Add placeholder AI message that will be updated as the reply streams in
+    const aiMessageId = 'ai-' + Date.now();
+    const placeholderMessage = {
+      id: aiMessageId,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date().toISOString(),
+      isStreaming: true
+    };
+
+    // Update the streaming message in place as chunks arrive
+    const handleChunk = (chunk, fullContent) => {
+      setStreamingContent(fullContent);
+      setMessages(prev => prev.map(msg => 
+        msg.id === aiMessageId 
+          ? { ...msg, content: fullContent }
+          : msg
+      ));
+    };
+
     try {
-      let response;
-      
-      if (isAuthenticated) {
-        // Authenticated user - use API
-        if (currentChatId) {
-          // Continue existing conversation
-          response = await api.sendMessage(currentChatId, message);
-          
-          // Add the AI response to existing messages
-          if (response.data.message) {
-            setMessages(prev => [...prev, response.data.message]);
-          }
-        } else {
-          // Start new conversation
-          response = await api.quickMessage(message);
-          
-          // Save the chat ID for future messages
-          if (response.data.chat) {
-            setCurrentChatId(response.data.chat.id);
-            setMessages(response.data.chat.messages);
+      setStreaming(true);
+      setStreamingContent('');
+      setMessages([...newMessages, placeholderMessage]);
+
+      try {
+        if (isAuthenticated) {
+          // Authenticated user - continue the current chat or start a new one
+          const result = currentChatId
+            ? await api.sendMessageStream(currentChatId, message, handleChunk)
+            : await api.quickMessageStream(message, handleChunk, chatMode);
+
+          // Swap the placeholders for the saved messages (real IDs for feedback and branching)
+          setMessages(prev => prev.map(msg => {
+            if (msg.id === aiMessageId) return { ...result.message, isStreaming: false };
+            if (msg.id === userMessage.id) return { ...msg, id: result.message.parentId };
+            return msg;
+          }));
+
+          if (!currentChatId && result.chat) {
+            // Save the chat ID for future messages
+            setCurrentChatId(result.chat.id);
             // Refresh chat history to show the new conversation
             fetchChatHistory();
           }
-        }
-        // Refresh user data to update question count
-        refreshUser();
-      } else {
-        // Anonymous user - use streaming API
-        setStreaming(true);
-        setStreamingContent('');
-        
-        // Add placeholder AI message that will be updated
-        const aiMessageId = 'ai-' + Date.now();
-        const placeholderMessage = {
-          id: aiMessageId,
-          role: 'assistant',
-          content: '',
-          timestamp: new Date().toISOString(),
-          isStreaming: true
-        };
-        setMessages([...newMessages, placeholderMessage]);
 
-        try {
-          const result = await api.anonymousMessageStream(
-            message, 
-            messages,
-            (chunk, fullContent) => {
-              // Update the streaming content as chunks arrive
-              setStreamingContent(fullContent);
-              // Update the message in place
-              setMessages(prev => prev.map(msg => 
-                msg.id === aiMessageId 
-                  ? { ...msg, content: fullContent }
-                  : msg
-              ));
-            }
-          );
+          // Refresh user data to update question count
+          refreshUser();
+        } else {
+          // Anonymous user - use streaming API
+          const result = await api.anonymousMessageStream(message, messages, handleChunk, chatMode);
 
           // Finalize the message
           const finalMessage = {
@@ -298,25 +507,34 @@ function Home() {
             role: 'assistant',
             content: result.fullResponse,
             timestamp: result.timestamp,
+            citations: result.citations || [],
+            sources: result.sources || [],
+            safeResponse: result.safeResponse || false,
+            cannedResponse: result.cannedResponse || false,
+            // Proves to the server that this reply is genuine when sent back as history
+            signature: result.signature,
             isStreaming: false
           };
           
           const updatedMessages = [...newMessages, finalMessage];
           setMessages(updatedMessages);
           
-          // Update count and save to localStorage
-          const newCount = messageCount + 1;
+          // Update count (the server's, when it sent one) and save to localStorage.
+          // Only answers from the AI count.
+          const newCount = result.anonymous
+            ? result.anonymous.messagesUsed
+            : (result.safeResponse || result.cannedResponse ? messageCount : messageCount + 1);
           setMessageCount(newCount);
           saveAnonymousUsage(newCount, updatedMessages);
           
           // Show signup prompt if limit reached
-          if (newCount >= FREE_MESSAGE_LIMIT) {
+          if (newCount >= messageLimit) {
             setTimeout(() => setShowSignupPrompt(true), 1000);
           }
-        } finally {
-          setStreaming(false);
-          setStreamingContent('');
         }
+      } finally {
+        setStreaming(false);
+        setStreamingContent('');
       }
 
     } catch (err) {
@@ -324,12 +542,153 @@ function Home() {
       
       // Remove temporary message on error
       setMessages(messages);
+
+      // The server says the free questions are used up
+      if (!isAuthenticated && err.response?.status === 403) {
+        setMessageCount(messageLimit);
+        setShowSignupPrompt(true);
+      }
+      // Today's questions are used up; reload the quota to show when it resets
+      if (isAuthenticated && err.response?.status === 429) {
+        refreshUser();
+      }
+      setError(err.response?.data?.message || 'Failed to get a response. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * Stream a new branch (regenerated answer or edited question), then reload the
+   * conversation so every message shows its updated version count
+   * @param {array} baseMessages - Messages shown above the new reply
+   * @param {function} startStream - Starts the request, given the chunk handler
+   */
+  const streamBranch = async (baseMessages, startStream) => {
+    if (sending || !currentChatId) return;
+
+    setError(null);
+    setSending(true);
+    setHighlightedMessageId(null);
+
+    const previousMessages = messages;
+    const aiMessageId = 'ai-' + Date.now();
+    setMessages([...baseMessages, {
+      id: aiMessageId,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date().toISOString(),
+      isStreaming: true
+    }]);
+
+    const handleChunk = (chunk, fullContent) => {
+      setMessages(prev => prev.map(msg =>
+        msg.id === aiMessageId
+          ? { ...msg, content: fullContent }
+          : msg
+      ));
+    };
+
+    try {
+      setStreaming(true);
+      await startStream(handleChunk);
+      await loadChat(currentChatId);
+      refreshUser();
+    } catch (err) {
+      console.error('Failed to create new version:', err);
+      setMessages(previousMessages);
+      if (err.response?.status === 429) {
+        refreshUser();
+      }
       setError(err.response?.data?.message || 'Failed to get a response. Please try again.');
     } finally {
+      setStreaming(false);
       setSending(false);
     }
   };
 
+  /**
+   * Generate another answer to the same question
+   */
+  const handleRegenerate = (messageId) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) return;
+
+    streamBranch(
+      messages.slice(0, index),
+      (onChunk) => api.regenerateMessageStream(currentChatId, messageId, onChunk)
+    );
+  };
+
+  /**
+   * Ask an edited version of a question
+   */
+  const handleEdit = (messageId, text) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) return;
+
+    const editedMessage = {
+      id: 'user-' + Date.now(),
+      role: 'user',
+      content: text,
+      timestamp: new Date().toISOString()
+    };
+
+    streamBranch(
+      [...messages.slice(0, index), editedMessage],
+      (onChunk) => api.editMessageStream(currentChatId, messageId, text, onChunk)
+    );
+  };
+
+  /**
+   * Show another version of a message
+   */
+  const handleSwitchBranch = async (messageId) => {
+    if (sending || !currentChatId || !messageId) return;
+
+    try {
+      const response = await api.switchBranch(currentChatId, messageId);
+      setMessages(response.data.chat.messages);
+      setOlderMessagesCursor(null);
+    } catch (err) {
+      console.error('Failed to switch version:', err);
+      setError('Failed to switch versions. Please try again.');
+    }
+  };
+
+  /**
+   * Whether a message is saved on the server (and so can be edited or regenerated)
+   */
+  const isSavedMessage = (message) => {
+    if (!isAuthenticated || !currentChatId) return false;
+    const id = String(message.id || '');
+    return id !== '' && !id.startsWith('user-') && !id.startsWith('ai-');
+  };
+
+  /**
+   * Open the note editor for a message, suggesting the first scripture it cites
+   */
+  const handleAddNote = (message) => {
+    const citation = (message.citations || []).find(c => c.status !== 'nonexistent');
+    setNoteTarget({
+      chatId: currentChatId,
+      messageId: message.id,
+      reference: citation?.reference || '',
+      quote: message.content.length > 200 ? `${message.content.slice(0, 200)}...` : message.content
+    });
+  };
+
+  /**
+   * Count a saved note on its message
+   */
+  const handleNoteSaved = () => {
+    const { messageId } = noteTarget;
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, noteCount: (msg.noteCount || 0) + 1 } : msg
+    ));
+    setNoteTarget(null);
+  };
+
   /**
    * Handle closing signup prompt
    */
@@ -343,7 +702,31 @@ function Home() {
   const handleNewChat = () => {
     setCurrentChatId(null);
     setMessages([]);
+    setOlderMessagesCursor(null);
+    setMode(DEFAULT_MODE);
     setError(null);
+    setHighlightedMessageId(null);
+    setStudySeed(null);
+  };
+
+  /**
+   * Start a new conversation about a reading plan's chapters, offering study questions
+   * @param {object} reading - { reference, questions }
+   */
+  const handleStudyReading = (reading) => {
+    handleNewChat();
+    setMode(READING_MODE);
+    setStudySeed({ reference: reading.reference, questions: reading.questions });
+  };
+
+  /**
+   * Ask one of this week's Come, Follow Me questions, in the week's study mode
+   * @param {string} question - Discussion question
+   * @param {string} weekMode - Study mode for the conversation
+   */
+  const handleAskCurriculum = (question, weekMode) => {
+    setMode(weekMode);
+    handleSendMessage(question, weekMode);
   };
 
   /**
@@ -360,10 +743,15 @@ function Home() {
     return date.toLocaleDateString();
   };
 
-  // Calculate remaining messages for anonymous users
+  // Calculate remaining messages (today's quota for signed-in users; unlimited tiers have no limit)
   const remainingMessages = isAuthenticated 
-    ? (user?.subscription === 'premium' ? Infinity : user?.usage?.remaining || 5)
-    : Math.max(0, FREE_MESSAGE_LIMIT - messageCount);
+    ? (user?.usage && user.usage.limit !== null ? user.usage.remaining : Infinity)
+    : Math.max(0, messageLimit - messageCount);
+
+  // When today's quota resets, in the user's local time
+  const quotaResetTime = user?.usage?.resetTime
+    ? new Date(user.usage.resetTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : null;
 
   return (
     <div className="h-screen bg-scripture-cream flex overflow-hidden">
@@ -387,44 +775,98 @@ function Home() {
               </button>
             </div>
             
-            <div className="flex-1 overflow-y-auto p-3">
-              <h3 className="text-xs font-semibold text-white/50 uppercase tracking-wider px-2 mb-3">
-                Chat History
-              </h3>
+            <div className="flex-1 overflow-y-auto p-3" onScroll={handleHistoryScroll}>
+              <ChatSearch onSelect={loadChat}>
+                <h3 className="text-xs font-semibold text-white/50 uppercase tracking-wider px-2 mb-3">
+                  Chat History
+                </h3>
+                <ChatFilters
+                  folders={folders}
+                  tags={tags}
+                  filter={historyFilter}
+                  onChange={setHistoryFilter}
+                  onFoldersChanged={fetchOrganization}
+                />
               
-              {historyLoading ? (
-                <div className="text-center py-4 text-white/50">Loading...</div>
-              ) : chatHistory.length === 0 ? (
-                <div className="text-center py-4 text-white/50 text-sm px-2">
-                  No conversations yet. Start chatting to save your history!
-                </div>
-              ) : (
-                <div className="space-y-1">
-                  {chatHistory.map((chat) => (
-                    <button
-                      key={chat.id}
-                      onClick={() => loadChat(chat.id)}
-                      className={`w-full text-left p-3 rounded-lg transition-colors group ${
-                        currentChatId === chat.id
-                          ? 'bg-scripture-gold/20 text-scripture-gold'
-                          : 'hover:bg-white/10 text-white/80'
-                      }`}
-                    >
-                      <div className="font-medium truncate text-sm">
-                        {chat.title}
-                      </div>
-                      <div className="text-xs text-white/40 mt-1 flex justify-between">
-                        <span>{chat.messageCount} msgs</span>
-                        <span>{formatDate(chat.lastActivity)}</span>
+                {historyLoading ? (
+                  <div className="text-center py-4 text-white/50">Loading...</div>
+                ) : chatHistory.length === 0 ? (
+                  <div className="text-center py-4 text-white/50 text-sm px-2">
+                    {Object.keys(historyFilter).some(key => historyFilter[key])
+                      ? 'No conversations here.'
+                      : 'No conversations yet. Start chatting to save your history!'}
+                  </div>
+                ) : (
+                  <div className="space-y-1">
+                    {chatHistory.map((chat) => (
+                      <div
+                        key={chat.id}
+                        className={`flex items-start rounded-lg transition-colors group ${
+                          currentChatId === chat.id
+                            ? 'bg-scripture-gold/20 text-scripture-gold'
+                            : 'hover:bg-white/10 text-white/80'
+                        }`}
+                      >
+                        <button
+                          onClick={() => loadChat(chat.id)}
+                          className="flex-1 min-w-0 text-left p-3"
+                        >
+                          <div className="font-medium truncate text-sm">
+                            {chat.pinned && <span aria-label="Pinned">📌 </span>}
+                            {chat.title}
+                          </div>
+                          <div className="text-xs text-white/40 mt-1 flex justify-between">
+                            <span>
+                              {chat.messageCount} msgs
+                              {getModeName(chat.mode) && ` · ${getModeName(chat.mode)}`}
+                            </span>
+                            <span>{formatDate(chat.lastActivity)}</span>
+                          </div>
+                          {chat.tags.length > 0 && (
+                            <div className="text-xs text-white/40 mt-1 truncate">
+                              {chat.tags.map(tag => `#${tag}`).join(' ')}
+                            </div>
+                          )}
+                        </button>
+                        <div className="pt-2 pr-1">
+                          <ChatActions
+                            chat={chat}
+                            folders={folders}
+                            onOrganize={handleOrganize}
+                            onExport={handleExport}
+                            onShare={setSharingChat}
+                          />
+                        </div>
                       </div>
-                    </button>
-                  ))}
-                </div>
-              )}
+                    ))}
+                  </div>
+                )}
+                {historyLoadingMore && (
+                  <div className="text-center py-3 text-white/50 text-sm">Loading more...</div>
+                )}
+              </ChatSearch>
             </div>
             
             {/* Sidebar footer */}
             <div className="flex-shrink-0 p-3 border-t border-white/10">
+              <Link
+                to="/journal"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-colors"
+              >
+                📝 Study Journal
+              </Link>
+              <Link
+                to="/library"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-colors"
+              >
+                🔖 Scripture Library
+              </Link>
+              <Link
+                to="/plans"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-colors"
+              >
+                📅 Reading Plans
+              </Link>
               <Link 
                 to="/dashboard" 
                 className="flex items-center gap-3 p-3 rounded-lg hover:bg-white/10 transition-colors"
@@ -484,45 +926,100 @@ function Home() {
               </button>
             </div>
             
-            <div className="flex-1 overflow-y-auto p-3">
-              <h3 className="text-xs font-semibold text-white/50 uppercase tracking-wider px-2 mb-3">
-                Chat History
-              </h3>
+            <div className="flex-1 overflow-y-auto p-3" onScroll={handleHistoryScroll}>
+              <ChatSearch
+                onSelect={(chatId, messageId) => {
+                  loadChat(chatId, messageId);
+                  setMobileSidebarOpen(false);
+                }}
+              >
+                <h3 className="text-xs font-semibold text-white/50 uppercase tracking-wider px-2 mb-3">
+                  Chat History
+                </h3>
+                <ChatFilters
+                  folders={folders}
+                  tags={tags}
+                  filter={historyFilter}
+                  onChange={setHistoryFilter}
+                  onFoldersChanged={fetchOrganization}
+                />
               
-              {historyLoading ? (
-                <div className="text-center py-4 text-white/50">Loading...</div>
-              ) : chatHistory.length === 0 ? (
-                <div className="text-center py-4 text-white/50 text-sm px-2">
-                  No conversations yet.
-                </div>
-              ) : (
-                <div className="space-y-1">
-                  {chatHistory.map((chat) => (
-                    <button
-                      key={chat.id}
-                      onClick={() => {
-                        loadChat(chat.id);
-                        setMobileSidebarOpen(false);
-                      }}
-                      className={`w-full text-left p-3 rounded-lg transition-colors ${
-                        currentChatId === chat.id
-                          ? 'bg-scripture-gold/20 text-scripture-gold'
-                          : 'hover:bg-white/10 text-white/80'
-                      }`}
-                    >
-                      <div className="font-medium truncate text-sm">
-                        {chat.title}
-                      </div>
-                      <div className="text-xs text-white/40 mt-1">
-                        {formatDate(chat.lastActivity)}
+                {historyLoading ? (
+                  <div className="text-center py-4 text-white/50">Loading...</div>
+                ) : chatHistory.length === 0 ? (
+                  <div className="text-center py-4 text-white/50 text-sm px-2">
+                    {Object.keys(historyFilter).some(key => historyFilter[key])
+                      ? 'No conversations here.'
+                      : 'No conversations yet.'}
+                  </div>
+                ) : (
+                  <div className="space-y-1">
+                    {chatHistory.map((chat) => (
+                      <div
+                        key={chat.id}
+                        className={`flex items-start rounded-lg transition-colors ${
+                          currentChatId === chat.id
+                            ? 'bg-scripture-gold/20 text-scripture-gold'
+                            : 'hover:bg-white/10 text-white/80'
+                        }`}
+                      >
+                        <button
+                          onClick={() => {
+                            loadChat(chat.id);
+                            setMobileSidebarOpen(false);
+                          }}
+                          className="flex-1 min-w-0 text-left p-3"
+                        >
+                          <div className="font-medium truncate text-sm">
+                            {chat.pinned && <span aria-label="Pinned">📌 </span>}
+                            {chat.title}
+                          </div>
+                          <div className="text-xs text-white/40 mt-1">
+                            {formatDate(chat.lastActivity)}
+                            {getModeName(chat.mode) && ` · ${getModeName(chat.mode)}`}
+                          </div>
+                        </button>
+                        <div className="pt-2 pr-1">
+                          <ChatActions
+                            chat={chat}
+                            folders={folders}
+                            onOrganize={handleOrganize}
+                            onExport={handleExport}
+                            onShare={setSharingChat}
+                          />
+                        </div>
                       </div>
-                    </button>
-                  ))}
-                </div>
-              )}
+                    ))}
+                  </div>
+                )}
+                {historyLoadingMore && (
+                  <div className="text-center py-3 text-white/50 text-sm">Loading more...</div>
+                )}
+              </ChatSearch>
             </div>
             
             <div className="p-3 border-t border-white/10">
+              <Link
+                to="/journal"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-colors"
+                onClick={() => setMobileSidebarOpen(false)}
+              >
+                📝 Study Journal
+              </Link>
+              <Link
+                to="/library"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-colors"
+                onClick={() => setMobileSidebarOpen(false)}
+              >
+                🔖 Scripture Library
+              </Link>
+              <Link
+                to="/plans"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-colors"
+                onClick={() => setMobileSidebarOpen(false)}
+              >
+                📅 Reading Plans
+              </Link>
               <Link 
                 to="/dashboard" 
                 className="flex items-center gap-3 p-3 rounded-lg hover:bg-white/10 transition-colors"
@@ -596,7 +1093,11 @@ function Home() {
         {/* Main chat area */}
         <main className="flex-1 flex flex-col max-w-4xl mx-auto w-full min-h-0">
           {/* Messages area */}
-          <div className="flex-1 overflow-y-auto p-4 space-y-4 min-h-0">
+          <div
+            ref={messagesContainerRef}
+            onScroll={handleMessagesScroll}
+            className="flex-1 overflow-y-auto p-4 space-y-4 min-h-0"
+          >
             {/* Welcome message when empty */}
             {messages.length === 0 && !sending && (
               <div className="flex flex-col items-center justify-center text-center px-2 sm:px-4 py-2 sm:py-4">
@@ -606,11 +1107,47 @@ function Home() {
                 <h2 className="text-xl sm:text-2xl font-display text-scripture-navy mb-2">
                   {greeting}
                 </h2>
+
+                {/* Study mode picker for the new conversation */}
+                {studyModes.length > 1 && (
+                  <div className="w-full max-w-lg mb-3 sm:mb-4">
+                    <div className="flex flex-wrap justify-center gap-1.5 sm:gap-2" role="radiogroup" aria-label="Study mode">
+                      {studyModes.map((studyMode) => (
+                        <button
+                          key={studyMode.id}
+                          onClick={() => setMode(studyMode.id)}
+                          role="radio"
+                          aria-checked={mode === studyMode.id}
+                          title={studyMode.description}
+                          className={`px-3 py-1 rounded-full text-xs sm:text-sm border transition-colors ${
+                            mode === studyMode.id
+                              ? 'bg-scripture-navy text-white border-scripture-navy'
+                              : 'bg-white text-gray-600 border-gray-200 hover:border-scripture-gold'
+                          }`}
+                        >
+                          {studyMode.name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
                 
-                {/* Suggested questions -- hide 4th on short viewports */}
+                {/* This week's Come, Follow Me reading */}
+                {!studySeed && (
+                  <ThisWeeksReading onAsk={handleAskCurriculum} />
+                )}
+
+                {/* Today's reading in the user's plans */}
+                {isAuthenticated && !studySeed && (
+                  <TodaysReading onStudy={handleStudyReading} />
+                )}
+
+                {/* Suggested questions (or questions about a plan's reading) -- hide 4th on short viewports */}
                 <div className="w-full max-w-lg space-y-1.5 sm:space-y-2">
-                  <p className="text-sm text-gray-500 mb-1 sm:mb-2">Try asking:</p>
-                  {suggestedQuestions.map((suggestion, index) => (
+                  <p className="text-sm text-gray-500 mb-1 sm:mb-2">
+                    {studySeed ? `Questions about ${studySeed.reference}:` : 'Try asking:'}
+                  </p>
+                  {(studySeed ? studySeed.questions : suggestedQuestions).map((suggestion, index) => (
                     <button
                       key={index}
                       onClick={() => handleSendMessage(suggestion)}
@@ -622,6 +1159,27 @@ function Home() {
                     </button>
                   ))}
                 </div>
+
+                {/* Verse of the day -- hidden on short viewports */}
+                {verse && (
+                  <div className="hidden tall:block w-full max-w-lg mt-4 sm:mt-6 text-left verse-highlight not-italic">
+                    <p className="text-xs text-gray-500 uppercase tracking-wider mb-1">Verse of the Day</p>
+                    <p className="italic">&ldquo;{verse.text}&rdquo;</p>
+                    <p className="mt-1 font-medium text-scripture-navy">{verse.reference}</p>
+                    {isAuthenticated && (
+                      <div className="mt-2">
+                        <BookmarkButton reference={verse.reference} source="verse-of-day" />
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Older messages are loaded when scrolled to the top */}
+            {olderMessagesCursor && (
+              <div className="text-center text-sm text-gray-400">
+                {olderMessagesLoading ? 'Loading earlier messages...' : 'Scroll up for earlier messages'}
               </div>
             )}
 
@@ -630,6 +1188,15 @@ function Home() {
               <ChatBubble
                 key={message.id || index}
                 message={message}
+                disabled={sending}
+                highlighted={message.id === highlightedMessageId}
+                {...(isSavedMessage(message) && {
+                  onRegenerate: handleRegenerate,
+                  onEdit: handleEdit,
+                  onSwitchBranch: handleSwitchBranch,
+                  onAddNote: handleAddNote,
+                  bookmarkFrom: { source: 'chat', chatId: currentChatId }
+                })}
               />
             ))}
 
@@ -684,14 +1251,36 @@ function Home() {
             </div>
           )}
 
+          {/* Daily questions remaining for signed-in users on a limited tier */}
+          {isAuthenticated && remainingMessages !== Infinity && (
+            <div className="mx-4 mb-2 text-center flex-shrink-0">
+              <span className="text-sm text-gray-500">
+                {remainingMessages > 0 ? (
+                  <>
+                    <span className="font-medium text-scripture-navy">{remainingMessages}</span>
+                    {remainingMessages === 1 ? ' question' : ' questions'} left today
+                  </>
+                ) : (
+                  <>You've used today's questions{quotaResetTime && ` • More at ${quotaResetTime}`}</>
+                )}
+                {' • '}
+                <Link to="/dashboard" className="text-scripture-navy underline hover:text-primary-600">
+                  Upgrade to premium
+                </Link>
+              </span>
+            </div>
+          )}
+
           {/* Chat input */}
           <div className="flex-shrink-0 pb-4">
             <ChatInput 
               onSend={handleSendMessage} 
-              disabled={sending || streaming || (!isAuthenticated && remainingMessages <= 0)}
+              disabled={sending || streaming || remainingMessages <= 0}
               placeholder={
                 streaming
                   ? "Receiving response..."
+                  : isAuthenticated && remainingMessages <= 0
+                  ? "You've used today's questions..."
                   : !isAuthenticated && remainingMessages <= 0
                   ? "Subscribe to continue asking questions..."
                   : "Ask a gospel question..."
@@ -712,6 +1301,23 @@ function Home() {
               onClose={handleClosePrompt}
             />
           )}
+
+          {/* Share links for a conversation */}
+          {sharingChat && (
+            <ShareDialog
+              chat={sharingChat}
+              onClose={() => setSharingChat(null)}
+            />
+          )}
+
+          {/* Journal note about a message */}
+          {noteTarget && (
+            <NoteEditor
+              defaults={noteTarget}
+              onSaved={handleNoteSaved}
+              onClose={() => setNoteTarget(null)}
+            />
+          )}
         </main>
       </div>
     </div>
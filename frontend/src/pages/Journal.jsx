@@ -0,0 +1,303 @@
+/**
+ * Journal Page
+ * The user's study notes, listed by date or by the scripture they are about
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import Markdown from '../components/Markdown';
+import NoteEditor from '../components/NoteEditor';
+import { WORK_NAMES } from '../utils/scriptureReference';
+
+/**
+ * Group notes under the day they were written
+ * @param {array} notes - Notes, newest first
+ * @returns {array} - [{ day, notes }]
+ */
+const groupByDay = (notes) => {
+  const groups = [];
+  for (const note of notes) {
+    const day = new Date(note.createdAt).toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric'
+    });
+    if (groups[groups.length - 1]?.day !== day) {
+      groups.push({ day, notes: [] });
+    }
+    groups[groups.length - 1].notes.push(note);
+  }
+  return groups;
+};
+
+function Journal() {
+  const navigate = useNavigate();
+
+  // State
+  const [view, setView] = useState('date'); // 'date' | 'scripture'
+  const [notes, setNotes] = useState([]);
+  const [cursor, setCursor] = useState(null); // Next page (null when all loaded)
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [chapters, setChapters] = useState([]);
+  const [chapter, setChapter] = useState(null); // Chapter open in the scripture view
+  const [editing, setEditing] = useState(null); // { note } being edited, or {} for a new note
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the first page of notes (for the open chapter in the scripture view)
+   */
+  const fetchNotes = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = view === 'scripture' && chapter ? { reference: `${chapter.book} ${chapter.chapter}` } : {};
+      const response = await api.getNotes(params);
+      setNotes(response.data.notes);
+      setCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load your notes.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Load the chapters that have notes
+   */
+  const fetchChapters = async () => {
+    try {
+      const response = await api.getNoteReferences();
+      setChapters(response.data.chapters);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load your notes.');
+    }
+  };
+
+  useEffect(() => {
+    if (view === 'scripture') {
+      fetchChapters();
+      if (!chapter) {
+        setNotes([]);
+        setCursor(null);
+        setLoading(false);
+        return;
+      }
+    }
+    fetchNotes();
+  }, [view, chapter]);
+
+  const loadMore = async () => {
+    if (!cursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const params = view === 'scripture' && chapter ? { reference: `${chapter.book} ${chapter.chapter}` } : {};
+      const response = await api.getNotes({ ...params, cursor });
+      setNotes(prev => [...prev, ...response.data.notes]);
+      setCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load more notes.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchNotes();
+    if (view === 'scripture') fetchChapters();
+  };
+
+  const handleDelete = async (note) => {
+    if (!window.confirm('Delete this note? This cannot be undone.')) return;
+
+    try {
+      await api.deleteNote(note.id);
+      setNotes(prev => prev.filter(n => n.id !== note.id));
+      if (view === 'scripture') fetchChapters();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the note. Please try again.');
+    }
+  };
+
+  const openConversation = (note) => {
+    navigate('/', { state: { openChat: { chatId: note.chatId, messageId: note.messageId } } });
+  };
+
+  // Chapters grouped by standard work, keeping scripture order
+  const chaptersByWork = chapters.reduce((groups, ch) => {
+    const last = groups[groups.length - 1];
+    if (last?.work === ch.work) {
+      last.chapters.push(ch);
+    } else {
+      groups.push({ work: ch.work, chapters: [ch] });
+    }
+    return groups;
+  }, []);
+
+  const renderNote = (note) => (
+    <article key={note.id} className="card">
+      <div className="flex items-start justify-between gap-4 mb-2">
+        <div className="min-w-0">
+          {note.title && (
+            <h3 className="text-lg font-medium text-scripture-navy">{note.title}</h3>
+          )}
+          <div className="text-sm text-gray-500">
+            {note.reference && <span className="text-scripture-navy">{note.reference} · </span>}
+            {new Date(note.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+          </div>
+        </div>
+        <div className="flex gap-3 text-sm flex-shrink-0">
+          <button onClick={() => setEditing({ note })} className="text-scripture-navy hover:underline">
+            Edit
+          </button>
+          <button onClick={() => handleDelete(note)} className="text-red-600 hover:underline">
+            Delete
+          </button>
+        </div>
+      </div>
+      <Markdown className="text-gray-700">{note.body}</Markdown>
+      {note.chatId && (
+        <button
+          onClick={() => openConversation(note)}
+          className="mt-3 text-sm text-scripture-navy font-medium hover:underline"
+        >
+          Open conversation →
+        </button>
+      )}
+    </article>
+  );
+
+  const tabClass = (active) => `px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+    active ? 'bg-scripture-navy text-white' : 'text-gray-600 hover:bg-white'
+  }`;
+
+  return (
+    <div className="min-h-screen bg-scripture-cream">
+      {/* Header */}
+      <header className="bg-white shadow-soft">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <Link to="/" className="flex items-center space-x-3">
+            <img src="/faith-ai-text-logo.svg" alt="Faith AI" className="h-10" />
+          </Link>
+
+          <nav className="flex items-center space-x-3">
+            <Link to="/" className="btn-primary py-2 px-4">
+              Back to Chat
+            </Link>
+          </nav>
+        </div>
+      </header>
+
+      <div className="max-w-3xl mx-auto p-4 md:p-8">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-3xl font-display text-scripture-navy">
+            Study Journal
+          </h2>
+          <button onClick={() => setEditing({})} className="btn-primary">
+            New Note
+          </button>
+        </div>
+
+        <div className="flex gap-2 mb-6" role="tablist">
+          <button role="tab" aria-selected={view === 'date'} onClick={() => setView('date')} className={tabClass(view === 'date')}>
+            By date
+          </button>
+          <button role="tab" aria-selected={view === 'scripture'} onClick={() => setView('scripture')} className={tabClass(view === 'scripture')}>
+            By scripture
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 rounded-xl border bg-red-50 border-red-200 text-red-700" role="alert">
+            {error}
+          </div>
+        )}
+
+        {/* Chapters with notes */}
+        {view === 'scripture' && (
+          <section className="card mb-6">
+            {chaptersByWork.length === 0 ? (
+              <p className="text-gray-500">
+                Notes with a scripture reference will be listed here by book and chapter.
+              </p>
+            ) : (
+              <div className="space-y-4">
+                {chaptersByWork.map(group => (
+                  <div key={group.work}>
+                    <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">
+                      {WORK_NAMES[group.work] || group.work}
+                    </h3>
+                    <div className="flex flex-wrap gap-2">
+                      {group.chapters.map(ch => {
+                        const active = chapter?.book === ch.book && chapter?.chapter === ch.chapter;
+                        return (
+                          <button
+                            key={`${ch.book} ${ch.chapter}`}
+                            onClick={() => setChapter(active ? null : ch)}
+                            className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                              active
+                                ? 'bg-scripture-gold/20 border-scripture-gold text-scripture-navy'
+                                : 'border-gray-200 text-gray-700 hover:border-scripture-gold'
+                            }`}
+                          >
+                            {ch.book} {ch.chapter} <span className="text-gray-400">({ch.count})</span>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Notes */}
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : view === 'scripture' && !chapter ? (
+          chaptersByWork.length > 0 && <p className="text-gray-500">Choose a chapter to read your notes on it.</p>
+        ) : notes.length === 0 ? (
+          <p className="text-gray-500">
+            No notes yet. Add one with &ldquo;Add note&rdquo; under an answer, or start one here.
+          </p>
+        ) : view === 'date' ? (
+          <div className="space-y-8">
+            {groupByDay(notes).map(group => (
+              <section key={group.day}>
+                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-3">{group.day}</h3>
+                <div className="space-y-4">{group.notes.map(renderNote)}</div>
+              </section>
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-4">{notes.map(renderNote)}</div>
+        )}
+
+        {cursor && !loading && (
+          <div className="text-center mt-6">
+            <button onClick={loadMore} disabled={loadingMore} className="btn-text disabled:opacity-50">
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Note editor */}
+      {editing && (
+        <NoteEditor
+          note={editing.note || null}
+          defaults={{ reference: view === 'scripture' && chapter ? `${chapter.book} ${chapter.chapter}` : '' }}
+          onSaved={handleSaved}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default Journal;
@@ -0,0 +1,247 @@
+/**
+ * Library Page
+ * The user's saved scripture passages, grouped by standard work and book
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import VerseReference from '../components/VerseReference';
+import { WORK_NAMES } from '../utils/scriptureReference';
+import { HIGHLIGHT_COLORS, getHighlightColor } from '../utils/highlights';
+
+/**
+ * Group bookmarks (already in scripture order) by standard work, then book
+ * @param {array} bookmarks - Bookmarks
+ * @returns {array} - [{ work, books: [{ book, bookmarks }] }]
+ */
+const groupBookmarks = (bookmarks) => {
+  const works = [];
+  for (const bookmark of bookmarks) {
+    let work = works[works.length - 1];
+    if (work?.work !== bookmark.work) {
+      work = { work: bookmark.work, books: [] };
+      works.push(work);
+    }
+    let book = work.books[work.books.length - 1];
+    if (book?.book !== bookmark.book) {
+      book = { book: bookmark.book, bookmarks: [] };
+      work.books.push(book);
+    }
+    book.bookmarks.push(bookmark);
+  }
+  return works;
+};
+
+function Library() {
+  // State
+  const [bookmarks, setBookmarks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [color, setColor] = useState(null); // Color filter (null shows everything)
+  const [reference, setReference] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchBookmarks = async () => {
+      setLoading(true);
+      try {
+        const response = await api.getBookmarks(color ? { color } : {});
+        setBookmarks(response.data.bookmarks);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load your library.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBookmarks();
+  }, [color]);
+
+  /**
+   * Save a typed reference to the library
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!reference.trim()) return;
+
+    setAdding(true);
+    setError(null);
+    try {
+      const response = await api.saveBookmark({ reference: reference.trim(), source: 'library' });
+      const { bookmark } = response.data;
+      setReference('');
+      // Reload to keep scripture order (a passage already saved is not added twice)
+      if (!color) {
+        const library = await api.getBookmarks();
+        setBookmarks(library.data.bookmarks);
+      } else if (bookmark.color !== color) {
+        setColor(null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save that passage.');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleColor = async (bookmark, colorId) => {
+    setError(null);
+    try {
+      const response = await api.updateBookmark(bookmark.id, colorId);
+      const updated = response.data.bookmark;
+      setBookmarks(prev => (color && updated.color !== color
+        ? prev.filter(b => b.id !== updated.id)
+        : prev.map(b => (b.id === updated.id ? updated : b))));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not change the highlight.');
+    }
+  };
+
+  const handleRemove = async (bookmark) => {
+    setError(null);
+    try {
+      await api.deleteBookmark(bookmark.id);
+      setBookmarks(prev => prev.filter(b => b.id !== bookmark.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not remove the passage.');
+    }
+  };
+
+  const filterClass = (active) => `px-3 py-1 rounded-full text-sm border transition-colors ${
+    active ? 'bg-scripture-navy text-white border-scripture-navy' : 'bg-white text-gray-600 border-gray-200 hover:border-scripture-gold'
+  }`;
+
+  return (
+    <div className="min-h-screen bg-scripture-cream">
+      {/* Header */}
+      <header className="bg-white shadow-soft">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <Link to="/" className="flex items-center space-x-3">
+            <img src="/faith-ai-text-logo.svg" alt="Faith AI" className="h-10" />
+          </Link>
+
+          <nav className="flex items-center space-x-3">
+            <Link to="/" className="btn-primary py-2 px-4">
+              Back to Chat
+            </Link>
+          </nav>
+        </div>
+      </header>
+
+      <div className="max-w-3xl mx-auto p-4 md:p-8">
+        <h2 className="text-3xl font-display text-scripture-navy mb-6">
+          Scripture Library
+        </h2>
+
+        {/* Add a passage */}
+        <form onSubmit={handleAdd} className="flex gap-3 mb-4">
+          <input
+            type="text"
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            placeholder='Save a passage, e.g. "Mosiah 2:17"'
+            aria-label="Scripture reference"
+            maxLength={100}
+            className="input flex-1"
+          />
+          <button type="submit" disabled={adding || !reference.trim()} className="btn-primary disabled:opacity-50">
+            {adding ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+
+        {/* Color filter */}
+        <div className="flex flex-wrap items-center gap-2 mb-6" role="group" aria-label="Show highlights">
+          <button onClick={() => setColor(null)} aria-pressed={!color} className={filterClass(!color)}>
+            All
+          </button>
+          {HIGHLIGHT_COLORS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setColor(option.id)}
+              aria-pressed={color === option.id}
+              className={`${filterClass(color === option.id)} flex items-center gap-1.5`}
+            >
+              <span className={`w-3 h-3 rounded-full ${option.swatch}`} aria-hidden="true" />
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 rounded-xl border bg-red-50 border-red-200 text-red-700" role="alert">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : bookmarks.length === 0 ? (
+          <p className="text-gray-500">
+            {color
+              ? 'No passages are highlighted in this color.'
+              : 'Your library is empty. Open a verse cited in an answer, or the verse of the day, and choose "Save to library".'}
+          </p>
+        ) : (
+          <div className="space-y-6">
+            {groupBookmarks(bookmarks).map(work => (
+              <section key={work.work} className="card">
+                <h3 className="text-xl font-medium text-scripture-navy mb-4">
+                  {WORK_NAMES[work.work] || work.work}
+                </h3>
+                <div className="space-y-4">
+                  {work.books.map(book => (
+                    <div key={book.book}>
+                      <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">{book.book}</h4>
+                      <ul className="space-y-2">
+                        {book.bookmarks.map(bookmark => {
+                          const highlight = getHighlightColor(bookmark.color);
+                          return (
+                            <li
+                              key={bookmark.id}
+                              className={`flex flex-wrap items-center justify-between gap-2 px-3 py-2 rounded-xl border ${
+                                highlight ? highlight.tint : 'bg-white border-gray-200'
+                              }`}
+                            >
+                              <VerseReference reference={bookmark.reference} />
+                              <span className="flex items-center gap-2 text-sm">
+                                {HIGHLIGHT_COLORS.map(option => {
+                                  const active = bookmark.color === option.id;
+                                  return (
+                                    <button
+                                      key={option.id}
+                                      onClick={() => handleColor(bookmark, active ? null : option.id)}
+                                      aria-pressed={active}
+                                      aria-label={active
+                                        ? `Remove ${option.label.toLowerCase()} highlight from ${bookmark.reference}`
+                                        : `Highlight ${bookmark.reference} ${option.label.toLowerCase()}`}
+                                      className={`w-4 h-4 rounded-full ${option.swatch} ${
+                                        active ? 'ring-2 ring-offset-1 ring-scripture-navy' : 'hover:ring-2 hover:ring-gray-300'
+                                      }`}
+                                    />
+                                  );
+                                })}
+                                <button
+                                  onClick={() => handleRemove(bookmark)}
+                                  className="ml-2 text-gray-500 hover:text-red-600 hover:underline"
+                                >
+                                  Remove
+                                </button>
+                              </span>
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Library;
@@ -0,0 +1,370 @@
+/**
+ * Reading Plans Page
+ * Follow built-in or custom reading plans and track each day's reading
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { BOOKS } from '../utils/scriptureReference';
+
+function Plans() {
+  const navigate = useNavigate();
+
+  // State
+  const [plans, setPlans] = useState([]);
+  const [enrollments, setEnrollments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openPlan, setOpenPlan] = useState(null); // { enrollmentId, days } whose day list is shown
+  const [builder, setBuilder] = useState({ name: '', fromBook: BOOKS[0].name, toBook: BOOKS[0].name, days: 30 });
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchPlans = async () => {
+      try {
+        const [plansResponse, enrollmentsResponse] = await Promise.all([
+          api.getReadingPlans(),
+          api.getEnrollments()
+        ]);
+        setPlans(plansResponse.data.plans);
+        setEnrollments(enrollmentsResponse.data.enrollments);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load reading plans.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPlans();
+  }, []);
+
+  /**
+   * Replace an enrollment with its updated progress
+   */
+  const updateEnrollment = (updated) => {
+    setEnrollments(prev => prev.map(e => (e.id === updated.id ? updated : e)));
+  };
+
+  const handleStart = async (plan) => {
+    const enrolled = enrollments.find(e => e.plan.id === plan.id);
+    if (enrolled && !window.confirm(`Restart "${plan.name}" from day 1? Your progress will be cleared.`)) return;
+
+    setError(null);
+    try {
+      const response = await api.enrollInPlan(plan.id);
+      const enrollment = response.data.enrollment;
+      setEnrollments(prev => [enrollment, ...prev.filter(e => e.id !== enrollment.id)]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start the plan. Please try again.');
+    }
+  };
+
+  const handleLeave = async (enrollment) => {
+    if (!window.confirm(`Stop following "${enrollment.plan.name}"? Your progress will be cleared.`)) return;
+
+    setError(null);
+    try {
+      await api.leavePlan(enrollment.id);
+      setEnrollments(prev => prev.filter(e => e.id !== enrollment.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to leave the plan. Please try again.');
+    }
+  };
+
+  const handleDayCompleted = async (enrollment, day, completed) => {
+    setError(null);
+    try {
+      const response = await api.setPlanDayCompleted(enrollment.id, day, completed);
+      updateEnrollment(response.data.enrollment);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update your progress.');
+    }
+  };
+
+  /**
+   * Show or hide every day of a plan
+   */
+  const toggleDays = async (enrollment) => {
+    if (openPlan?.enrollmentId === enrollment.id) {
+      setOpenPlan(null);
+      return;
+    }
+
+    try {
+      const response = await api.getPlan(enrollment.plan.id);
+      setOpenPlan({ enrollmentId: enrollment.id, days: response.data.plan.days });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the plan.');
+    }
+  };
+
+  const studyInChat = (reading) => {
+    navigate('/', { state: { studyReading: { reference: reading.reference, questions: reading.questions } } });
+  };
+
+  const handleDeletePlan = async (plan) => {
+    if (!window.confirm(`Delete "${plan.name}"? Anyone following it will stop.`)) return;
+
+    setError(null);
+    try {
+      await api.deletePlan(plan.id);
+      setPlans(prev => prev.filter(p => p.id !== plan.id));
+      setEnrollments(prev => prev.filter(e => e.plan.id !== plan.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the plan. Please try again.');
+    }
+  };
+
+  // Books from the builder's first book to its last, in canonical order
+  const fromIndex = BOOKS.findIndex(book => book.name === builder.fromBook);
+  const toIndex = BOOKS.findIndex(book => book.name === builder.toBook);
+  const builderBooks = BOOKS.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1);
+  const builderChapters = builderBooks.reduce((total, book) => total + book.chapters, 0);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const response = await api.createPlan({
+        name: builder.name.trim(),
+        books: builderBooks.map(book => book.name),
+        days: Number(builder.days)
+      });
+      const plan = response.data.plan;
+      setPlans(prev => [...prev.filter(p => !p.custom), plan, ...prev.filter(p => p.custom)]);
+      setBuilder(prev => ({ ...prev, name: '' }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create the plan. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-scripture-cream flex items-center justify-center">
+        <p className="text-gray-500">Loading reading plans...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-scripture-cream">
+      {/* Header */}
+      <header className="bg-white shadow-soft">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <Link to="/" className="flex items-center space-x-3">
+            <img src="/faith-ai-text-logo.svg" alt="Faith AI" className="h-10" />
+          </Link>
+
+          <nav className="flex items-center space-x-3">
+            <Link to="/" className="btn-primary py-2 px-4">
+              Back to Chat
+            </Link>
+          </nav>
+        </div>
+      </header>
+
+      <div className="max-w-3xl mx-auto p-4 md:p-8">
+        <h2 className="text-3xl font-display text-scripture-navy mb-8">
+          Reading Plans
+        </h2>
+
+        {error && (
+          <div className="mb-6 p-4 rounded-xl border bg-red-50 border-red-200 text-red-700" role="alert">
+            {error}
+            <button onClick={() => setError(null)} className="ml-3 font-medium hover:underline">
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Plans being followed */}
+        {enrollments.length > 0 && (
+          <section className="space-y-4 mb-8">
+            {enrollments.map(enrollment => {
+              const percent = Math.round((enrollment.completedCount / enrollment.plan.totalDays) * 100);
+              const completed = new Set(enrollment.completedDays);
+              const showCatchUp = enrollment.next && enrollment.today && enrollment.next.day < enrollment.today.day;
+
+              return (
+                <div key={enrollment.id} className="card">
+                  <div className="flex items-start justify-between gap-4 mb-3">
+                    <div>
+                      <h3 className="text-xl font-medium text-scripture-navy">{enrollment.plan.name}</h3>
+                      <p className="text-sm text-gray-500">
+                        {enrollment.completedCount} of {enrollment.plan.totalDays} days read
+                        {enrollment.behind > 0 && ` · ${enrollment.behind} ${enrollment.behind === 1 ? 'day' : 'days'} behind`}
+                      </p>
+                    </div>
+                    <button onClick={() => handleLeave(enrollment)} className="text-sm text-gray-500 hover:text-red-600 hover:underline">
+                      Leave
+                    </button>
+                  </div>
+
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden mb-4" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100}>
+                    <div className="h-full bg-scripture-gold" style={{ width: `${percent}%` }} />
+                  </div>
+
+                  {enrollment.completedAt ? (
+                    <p className="text-green-700 font-medium">🎉 You finished this plan!</p>
+                  ) : enrollment.today ? (
+                    <div className="p-3 bg-scripture-gold/10 rounded-xl">
+                      <div className="text-sm text-gray-500">Today · Day {enrollment.today.day}</div>
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <span className="text-lg font-medium text-scripture-navy">{enrollment.today.reference}</span>
+                        <span className="flex gap-3 text-sm">
+                          <button
+                            onClick={() => handleDayCompleted(enrollment, enrollment.today.day, !enrollment.today.completed)}
+                            className="text-gray-600 hover:underline"
+                          >
+                            {enrollment.today.completed ? '✓ Read (undo)' : 'Mark as read'}
+                          </button>
+                          <button onClick={() => studyInChat(enrollment.today)} className="btn-primary py-1 px-3">
+                            Study in chat
+                          </button>
+                        </span>
+                      </div>
+                    </div>
+                  ) : (
+                    <p className="text-gray-600">This plan starts on {enrollment.startDay}.</p>
+                  )}
+
+                  {showCatchUp && (
+                    <p className="mt-3 text-sm text-gray-600">
+                      Catch up: Day {enrollment.next.day}, {enrollment.next.reference}{' '}
+                      <button
+                        onClick={() => handleDayCompleted(enrollment, enrollment.next.day, true)}
+                        className="text-scripture-navy font-medium hover:underline"
+                      >
+                        Mark as read
+                      </button>
+                    </p>
+                  )}
+
+                  <button onClick={() => toggleDays(enrollment)} className="mt-3 text-sm text-scripture-navy hover:underline">
+                    {openPlan?.enrollmentId === enrollment.id ? 'Hide all days' : 'Show all days'}
+                  </button>
+
+                  {openPlan?.enrollmentId === enrollment.id && (
+                    <ul className="mt-3 max-h-80 overflow-y-auto grid sm:grid-cols-2 gap-1 text-sm">
+                      {openPlan.days.map(({ day, reference }) => (
+                        <li key={day}>
+                          <label className="flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-50">
+                            <input
+                              type="checkbox"
+                              checked={completed.has(day)}
+                              onChange={(e) => handleDayCompleted(enrollment, day, e.target.checked)}
+                            />
+                            <span className={completed.has(day) ? 'text-gray-400' : 'text-gray-700'}>
+                              Day {day}: {reference}
+                            </span>
+                          </label>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </section>
+        )}
+
+        {/* Plans to start */}
+        <section className="card mb-6">
+          <h3 className="text-xl font-medium text-scripture-navy mb-4">Start a Plan</h3>
+          <ul className="space-y-3">
+            {plans.map(plan => (
+              <li key={plan.id} className="flex items-start justify-between gap-4 p-3 bg-gray-50 rounded-xl">
+                <div>
+                  <div className="font-medium text-gray-800">{plan.name}</div>
+                  <div className="text-sm text-gray-500">
+                    {plan.description || plan.books.join(', ')} · {plan.totalDays} days
+                  </div>
+                </div>
+                <span className="flex gap-3 flex-shrink-0 text-sm">
+                  {plan.custom && (
+                    <button onClick={() => handleDeletePlan(plan)} className="text-gray-500 hover:text-red-600 hover:underline">
+                      Delete
+                    </button>
+                  )}
+                  <button onClick={() => handleStart(plan)} className="text-scripture-navy font-medium hover:underline">
+                    {enrollments.some(e => e.plan.id === plan.id) ? 'Restart' : 'Start'}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        {/* Custom plan builder */}
+        <section className="card">
+          <h3 className="text-xl font-medium text-scripture-navy mb-4">Build Your Own</h3>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div>
+              <label htmlFor="plan-name" className="label">Plan name</label>
+              <input
+                id="plan-name"
+                type="text"
+                value={builder.name}
+                onChange={(e) => setBuilder(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Isaiah this summer"
+                maxLength={80}
+                className="input"
+                required
+              />
+            </div>
+            <div className="grid sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="plan-from" className="label">From</label>
+                <select
+                  id="plan-from"
+                  value={builder.fromBook}
+                  onChange={(e) => setBuilder(prev => ({ ...prev, fromBook: e.target.value }))}
+                  className="input"
+                >
+                  {BOOKS.map(book => <option key={book.name} value={book.name}>{book.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="plan-to" className="label">Through</label>
+                <select
+                  id="plan-to"
+                  value={builder.toBook}
+                  onChange={(e) => setBuilder(prev => ({ ...prev, toBook: e.target.value }))}
+                  className="input"
+                >
+                  {BOOKS.map(book => <option key={book.name} value={book.name}>{book.name}</option>)}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="plan-days" className="label">Days</label>
+              <input
+                id="plan-days"
+                type="number"
+                min={1}
+                max={Math.min(builderChapters, 730)}
+                value={builder.days}
+                onChange={(e) => setBuilder(prev => ({ ...prev, days: e.target.value }))}
+                className="input"
+                required
+              />
+              <p className="text-sm text-gray-500 mt-1">
+                {builderBooks.length === 1 ? builderBooks[0].name : `${builderBooks.length} books`}, {builderChapters}{' '}
+                {builderChapters === 1 ? 'chapter' : 'chapters'}
+              </p>
+            </div>
+            <button type="submit" disabled={creating || !builder.name.trim()} className="btn-primary disabled:opacity-50">
+              {creating ? 'Creating...' : 'Create Plan'}
+            </button>
+          </form>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default Plans;
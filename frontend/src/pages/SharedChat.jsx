@@ -0,0 +1,100 @@
+/**
+ * Shared Chat Page
+ * Read-only view of a conversation opened from a share link (no account needed)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../services/api';
+import ChatBubble from '../components/ChatBubble';
+
+function SharedChat() {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSharedChat = async () => {
+      try {
+        const response = await api.getSharedChat(token);
+        setShared(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'This conversation could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSharedChat();
+  }, [token]);
+
+  // Page title (link previews get their Open Graph tags from the API's preview route)
+  useEffect(() => {
+    if (!shared) return;
+
+    const previousTitle = document.title;
+    document.title = `${shared.chat.title} · Faith AI`;
+
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [shared]);
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  return (
+    <div className="min-h-screen bg-scripture-cream">
+      {/* Header */}
+      <header className="bg-white shadow-soft">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <Link to="/" className="flex items-center space-x-3">
+            <img src="/faith-ai-text-logo.svg" alt="Faith AI" className="h-10" />
+          </Link>
+          <Link to="/" className="btn-primary py-2 px-4">
+            Ask Your Own Question
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-8">
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin w-8 h-8 border-4 border-scripture-gold border-t-scripture-navy rounded-full" />
+          </div>
+        ) : error ? (
+          <div className="card text-center py-12">
+            <h1 className="text-2xl font-display text-scripture-navy mb-3">Conversation Unavailable</h1>
+            <p className="text-gray-600 mb-6">{error}</p>
+            <Link to="/" className="btn-primary">Start a Conversation</Link>
+          </div>
+        ) : (
+          <>
+            <h1 className="text-3xl font-display text-scripture-navy mb-2">{shared.chat.title}</h1>
+            <p className="text-gray-500 mb-8">
+              {shared.chat.modeName} · Shared {formatDate(shared.share.sharedAt)}
+              {shared.share.snapshot && ' · Shown as it was when shared'}
+            </p>
+
+            <div className="space-y-4">
+              {shared.chat.messages.map((message) => (
+                <ChatBubble key={message.id} message={message} />
+              ))}
+            </div>
+
+            <div className="mt-10 text-center text-gray-600">
+              <p className="mb-4">Have your own questions about the scriptures?</p>
+              <Link to="/" className="btn-primary">Chat with Faith AI</Link>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default SharedChat;
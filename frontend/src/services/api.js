@@ -8,6 +8,19 @@ import axios from 'axios';
 // API base URL - uses proxy in development
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
+// Signed token for the anonymous session (sent back on every request, renewed by the server)
+const ANONYMOUS_SESSION_KEY = 'faithai_anonymous_session';
+const ANONYMOUS_SESSION_HEADER = 'X-Anonymous-Session';
+
+/**
+ * Store the anonymous session token if the server sent a new one
+ */
+function saveAnonymousSession(token) {
+  if (token) {
+    localStorage.setItem(ANONYMOUS_SESSION_KEY, token);
+  }
+}
+
 // Create axios instance
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -24,6 +37,11 @@ apiClient.interceptors.request.use(
     if (import.meta.env.DEV) {
       console.log(`📤 ${config.method?.toUpperCase()} ${config.url}`);
     }
+
+    const anonymousSession = localStorage.getItem(ANONYMOUS_SESSION_KEY);
+    if (anonymousSession) {
+      config.headers[ANONYMOUS_SESSION_HEADER] = anonymousSession;
+    }
     return config;
   },
   (error) => {
@@ -38,6 +56,7 @@ apiClient.interceptors.response.use(
     if (import.meta.env.DEV) {
       console.log(`📥 ${response.status} ${response.config.url}`);
     }
+    saveAnonymousSession(response.headers[ANONYMOUS_SESSION_HEADER.toLowerCase()]);
     return response.data;
   },
   (error) => {
@@ -67,6 +86,113 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * GET a file from the API and save it with the name the server gives it
+ */
+async function downloadFile(path) {
+  const headers = {};
+  const authorization = apiClient.defaults.headers.common['Authorization'];
+  if (authorization) {
+    headers['Authorization'] = authorization;
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, { headers });
+
+  if (!response.ok) {
+    // Mirror the axios error shape so callers can read err.response.data.message
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || 'Download failed');
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+  const url = URL.createObjectURL(await response.blob());
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * POST to a Server-Sent Events endpoint and read the streamed reply
+ * Calls onChunk(chunk, fullContent) for every piece of content received
+ * and resolves with the final event once the server sends done: true
+ */
+async function postEventStream(path, body, onChunk) {
+  const headers = { 'Content-Type': 'application/json' };
+  const authorization = apiClient.defaults.headers.common['Authorization'];
+  if (authorization) {
+    headers['Authorization'] = authorization;
+  }
+  const anonymousSession = localStorage.getItem(ANONYMOUS_SESSION_KEY);
+  if (anonymousSession) {
+    headers[ANONYMOUS_SESSION_HEADER] = anonymousSession;
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+  saveAnonymousSession(response.headers.get(ANONYMOUS_SESSION_HEADER));
+
+  if (!response.ok) {
+    // Mirror the axios error shape so callers can read err.response.data.message
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || 'Failed to get response');
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let fullResponse = '';
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    // Events can be split across network chunks, so keep the trailing partial line
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+
+      let data;
+      try {
+        data = JSON.parse(line.slice(6));
+      } catch (e) {
+        // Skip invalid JSON lines
+        continue;
+      }
+
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      if (data.content) {
+        fullResponse += data.content;
+        onChunk(data.content, fullResponse);
+      }
+
+      if (data.done) {
+        return { ...data, fullResponse: data.fullResponse || fullResponse };
+      }
+    }
+  }
+
+  return { fullResponse, timestamp: new Date().toISOString() };
+}
+
 /**
  * API methods
  */
@@ -110,6 +236,13 @@ const api = {
     return apiClient.get('/auth/me');
   },
 
+  /**
+   * Get AI token usage and estimated cost
+   */
+  getUsage() {
+    return apiClient.get('/auth/usage');
+  },
+
   /**
    * Update user profile
    */
@@ -157,24 +290,40 @@ const api = {
   // ===========================================
 
   /**
-   * Get chat history (for sidebar)
+   * Get a page of chat history (for sidebar); pass the previous page's nextCursor for more.
+   * Filters: { folder (ID or 'none'), tag, archived }
    */
-  getChatHistory() {
-    return apiClient.get('/chat/history');
+  getChatHistory(cursor, filters = {}) {
+    return apiClient.get('/chat/history', { params: { ...filters, cursor } });
   },
 
   /**
-   * Get specific chat with messages
+   * Search conversations ({ q, reference, from, to, limit })
    */
-  getChat(chatId) {
-    return apiClient.get(`/chat/${chatId}`);
+  searchChats(params) {
+    return apiClient.get('/chat/search', { params });
   },
 
   /**
-   * Create new chat
+   * Get specific chat with its latest messages ({ cursor } for older messages,
+   * { include: messageId } to load back as far as a message)
    */
-  createChat() {
-    return apiClient.post('/chat/new');
+  getChat(chatId, params = {}) {
+    return apiClient.get(`/chat/${chatId}`, { params });
+  },
+
+  /**
+   * Create new chat in a study mode
+   */
+  createChat(mode) {
+    return apiClient.post('/chat/new', { mode });
+  },
+
+  /**
+   * List the available study modes
+   */
+  getStudyModes() {
+    return apiClient.get('/chat/modes');
   },
 
   /**
@@ -192,60 +341,43 @@ const api = {
   },
 
   /**
-   * Anonymous message (no auth required) - returns a streaming reader
+   * Send message to existing chat - streams the reply
    */
-  async anonymousMessageStream(message, conversationHistory = [], onChunk) {
-    const response = await fetch(`${API_BASE_URL}/chat/anonymous`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ 
-        message, 
-        history: conversationHistory.slice(-10)
-      })
-    });
+  sendMessageStream(chatId, message, onChunk) {
+    return postEventStream(`/chat/${chatId}/message/stream`, { message }, onChunk);
+  },
 
-    if (!response.ok) {
-      throw new Error('Failed to get response');
-    }
+  /**
+   * Quick message (creates new chat in a study mode) - streams the reply
+   */
+  quickMessageStream(message, onChunk, mode) {
+    return postEventStream('/chat/quick/stream', { message, mode }, onChunk);
+  },
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullResponse = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n');
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(line.slice(6));
-            
-            if (data.error) {
-              throw new Error(data.error);
-            }
-            
-            if (data.content) {
-              fullResponse += data.content;
-              onChunk(data.content, fullResponse);
-            }
-            
-            if (data.done) {
-              return { fullResponse: data.fullResponse || fullResponse, timestamp: data.timestamp };
-            }
-          } catch (e) {
-            // Skip invalid JSON lines
-          }
-        }
-      }
-    }
+  /**
+   * Anonymous message (no auth required) - streams the reply
+   */
+  anonymousMessageStream(message, conversationHistory = [], onChunk, mode) {
+    return postEventStream('/chat/anonymous', {
+      message,
+      mode,
+      // Assistant turns are only accepted with the signature the server sent with them
+      history: conversationHistory.slice(-10).map(({ role, content, signature }) => ({ role, content, signature }))
+    }, onChunk);
+  },
 
-    return { fullResponse, timestamp: new Date().toISOString() };
+  /**
+   * Get the anonymous visitor's quota and saved conversation
+   */
+  getAnonymousSession() {
+    return apiClient.get('/chat/anonymous/session');
+  },
+
+  /**
+   * Move the anonymous conversation into the signed-in user's chats
+   */
+  claimAnonymousSession() {
+    return apiClient.post('/chat/anonymous/claim');
   },
 
   /**
@@ -258,6 +390,27 @@ const api = {
     });
   },
 
+  /**
+   * Generate another answer to the same question (new branch) - streams the reply
+   */
+  regenerateMessageStream(chatId, messageId, onChunk) {
+    return postEventStream(`/chat/${chatId}/messages/${messageId}/regenerate`, {}, onChunk);
+  },
+
+  /**
+   * Ask an edited version of a question (new branch) - streams the reply
+   */
+  editMessageStream(chatId, messageId, message, onChunk) {
+    return postEventStream(`/chat/${chatId}/messages/${messageId}/edit`, { message }, onChunk);
+  },
+
+  /**
+   * Switch the conversation to the branch containing a message
+   */
+  switchBranch(chatId, messageId) {
+    return apiClient.put(`/chat/${chatId}/branch`, { messageId });
+  },
+
   /**
    * Add feedback to message
    */
@@ -280,10 +433,286 @@ const api = {
   },
 
   /**
-   * Get verse of the day
+   * Move a chat to a folder, set its tags, pin or archive it
+   * ({ folderId, tags, pinned, archived } - any subset)
+   */
+  organizeChat(chatId, fields) {
+    return apiClient.put(`/chat/${chatId}/organize`, fields);
+  },
+
+  /**
+   * Get folders with chat counts
+   */
+  getFolders() {
+    return apiClient.get('/chat/folders');
+  },
+
+  /**
+   * Create folder
+   */
+  createFolder(name) {
+    return apiClient.post('/chat/folders', { name });
+  },
+
+  /**
+   * Rename folder
+   */
+  renameFolder(folderId, name) {
+    return apiClient.put(`/chat/folders/${folderId}`, { name });
+  },
+
+  /**
+   * Delete folder (its chats are kept)
+   */
+  deleteFolder(folderId) {
+    return apiClient.delete(`/chat/folders/${folderId}`);
+  },
+
+  /**
+   * Get the tags used on chats, with counts
+   */
+  getTags() {
+    return apiClient.get('/chat/tags');
+  },
+
+  /**
+   * Download a chat as md, pdf, json or txt
+   */
+  exportChat(chatId, format = 'md') {
+    return downloadFile(`/chat/${chatId}/export?format=${format}`);
+  },
+
+  /**
+   * Download every chat as a zip archive of md, pdf, json or txt files
+   */
+  exportAllChats(format = 'md') {
+    return downloadFile(`/chat/export?format=${format}`);
+  },
+
+  /**
+   * Get verse of the day (today in the browser's timezone when signed out, or an earlier date)
+   * @param {string} date - Optional day as "YYYY-MM-DD"
+   */
+  getVerseOfDay(date) {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return apiClient.get('/chat/verse-of-day', { params: { timezone, date } });
+  },
+
+  /**
+   * Get past verses of the day, newest first
+   * @param {string} cursor - nextCursor from the previous page
+   */
+  getVerseArchive(cursor = null) {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return apiClient.get('/chat/verse-of-day/archive', { params: { timezone, cursor } });
+  },
+
+  // ===========================================
+  // Share Links
+  // ===========================================
+
+  /**
+   * Create a public read-only link to a chat
+   * @param {string} chatId - Chat to share
+   * @param {object} options - { expiresInDays (null for never), snapshot (share the chat as it is now) }
+   */
+  createShareLink(chatId, { expiresInDays = null, snapshot = false } = {}) {
+    return apiClient.post('/share', { chatId, expiresInDays, snapshot });
+  },
+
+  /**
+   * Get a chat's share links that can still be viewed
+   */
+  getShareLinks(chatId) {
+    return apiClient.get('/share', { params: { chatId } });
+  },
+
+  /**
+   * Revoke a share link
+   */
+  revokeShareLink(token) {
+    return apiClient.delete(`/share/${token}`);
+  },
+
+  /**
+   * Get a shared conversation (no account needed)
+   */
+  getSharedChat(token) {
+    return apiClient.get(`/share/${token}`);
+  },
+
+  // ===========================================
+  // Note Endpoints
+  // ===========================================
+
+  /**
+   * Get a page of journal notes, newest first
+   * @param {object} params - { cursor, limit, chatId, messageId, reference }
+   */
+  getNotes(params = {}) {
+    return apiClient.get('/notes', { params });
+  },
+
+  /**
+   * Get the chapters that have notes, in scripture order
+   */
+  getNoteReferences() {
+    return apiClient.get('/notes/references');
+  },
+
+  /**
+   * Create a note
+   * @param {object} note - { body, title, reference, chatId, messageId }
+   */
+  createNote(note) {
+    return apiClient.post('/notes', note);
+  },
+
+  /**
+   * Update a note's title, body or reference
+   */
+  updateNote(noteId, fields) {
+    return apiClient.put(`/notes/${noteId}`, fields);
+  },
+
+  /**
+   * Delete a note
+   */
+  deleteNote(noteId) {
+    return apiClient.delete(`/notes/${noteId}`);
+  },
+
+  // ===========================================
+  // Bookmark Endpoints
+  // ===========================================
+
+  /**
+   * Get the scripture library in scripture order
+   * @param {object} params - { color, reference (look up one passage) }
+   */
+  getBookmarks(params = {}) {
+    return apiClient.get('/bookmarks', { params });
+  },
+
+  /**
+   * Save a passage to the library (an existing bookmark on it is updated)
+   * @param {object} bookmark - { reference, color, source, chatId }
+   */
+  saveBookmark(bookmark) {
+    return apiClient.post('/bookmarks', bookmark);
+  },
+
+  /**
+   * Change a bookmark's highlight color (null removes the highlight)
+   */
+  updateBookmark(bookmarkId, color) {
+    return apiClient.put(`/bookmarks/${bookmarkId}`, { color });
+  },
+
+  /**
+   * Remove a passage from the library
+   */
+  deleteBookmark(bookmarkId) {
+    return apiClient.delete(`/bookmarks/${bookmarkId}`);
+  },
+
+  // ===========================================
+  // Reading Plan Endpoints
+  // ===========================================
+
+  /**
+   * List the plans the user can follow
+   */
+  getReadingPlans() {
+    return apiClient.get('/plans');
+  },
+
+  /**
+   * Get a plan with each day's reading
+   */
+  getPlan(planId) {
+    return apiClient.get(`/plans/${planId}`);
+  },
+
+  /**
+   * Build a custom plan
+   * @param {object} plan - { name, description, books, days }
+   */
+  createPlan(plan) {
+    return apiClient.post('/plans', plan);
+  },
+
+  /**
+   * Delete a custom plan
+   */
+  deletePlan(planId) {
+    return apiClient.delete(`/plans/${planId}`);
+  },
+
+  /**
+   * Start (or restart) a plan
+   * @param {string} startDay - Day 1 as "YYYY-MM-DD" (default today)
+   */
+  enrollInPlan(planId, startDay) {
+    return apiClient.post(`/plans/${planId}/enroll`, startDay ? { startDay } : {});
+  },
+
+  /**
+   * List the plans the user is following, with progress
+   */
+  getEnrollments() {
+    return apiClient.get('/plans/enrollments');
+  },
+
+  /**
+   * Get today's reading in each plan the user is following
+   */
+  getTodaysReading() {
+    return apiClient.get('/plans/today');
+  },
+
+  /**
+   * Mark a plan day as read or unread
+   */
+  setPlanDayCompleted(enrollmentId, day, completed) {
+    return apiClient.put(`/plans/enrollments/${enrollmentId}/days/${day}`, { completed });
+  },
+
+  /**
+   * Stop following a plan
+   */
+  leavePlan(enrollmentId) {
+    return apiClient.delete(`/plans/enrollments/${enrollmentId}`);
+  },
+
+  // ===========================================
+  // Curriculum Endpoints
+  // ===========================================
+
+  /**
+   * Get this week's Come, Follow Me reading (in the browser's timezone when signed out)
+   */
+  getCurrentCurriculumWeek() {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return apiClient.get('/curriculum/current', { params: { timezone } });
+  },
+
+  /**
+   * Get a week of the Come, Follow Me calendar
+   */
+  getCurriculumWeek(year, week) {
+    return apiClient.get(`/curriculum/${year}/${week}`);
+  },
+
+  // ===========================================
+  // Scripture Endpoints
+  // ===========================================
+
+  /**
+   * Get the text of a scripture reference (e.g. "Alma 32:21")
    */
-  getVerseOfDay() {
-    return apiClient.get('/chat/verse-of-day');
+  getScripture(reference) {
+    return apiClient.get(`/scripture/${encodeURIComponent(reference)}`);
   },
 
   // ===========================================
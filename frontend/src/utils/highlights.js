@@ -0,0 +1,21 @@
+/**
+ * Highlight Colors
+ * Colors a saved passage can be highlighted in. The ids match the backend's Bookmark model.
+ */
+
+const HIGHLIGHT_COLORS = [
+  { id: 'yellow', label: 'Yellow', swatch: 'bg-yellow-300', tint: 'bg-yellow-50 border-yellow-300' },
+  { id: 'green', label: 'Green', swatch: 'bg-green-300', tint: 'bg-green-50 border-green-300' },
+  { id: 'blue', label: 'Blue', swatch: 'bg-sky-300', tint: 'bg-sky-50 border-sky-300' },
+  { id: 'pink', label: 'Pink', swatch: 'bg-pink-300', tint: 'bg-pink-50 border-pink-300' },
+  { id: 'purple', label: 'Purple', swatch: 'bg-violet-300', tint: 'bg-violet-50 border-violet-300' }
+];
+
+/**
+ * Look up a highlight color
+ * @param {string} id - Color id (null for none)
+ * @returns {object|null} - Color, or null for an unhighlighted bookmark
+ */
+const getHighlightColor = (id) => HIGHLIGHT_COLORS.find(color => color.id === id) || null;
+
+export { HIGHLIGHT_COLORS, getHighlightColor };
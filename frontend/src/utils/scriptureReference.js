@@ -0,0 +1,447 @@
+/**
+ * Scripture Reference Utility
+ * Canonical parser and formatter for references to the four standard works
+ *
+ * Parses free-text citations such as "Alma 32:21", "1 Ne. 3:7", "D&C 121:7-8",
+ * "JS—H 1:17", "Moroni 10:4-5, 32", "Alma 32", "Jude 3" or "Alma 32:21; Ether 12:6"
+ * into structured references:
+ *   { work, book, chapter, verses }
+ * where `verses` is a sorted list of verse numbers (empty for a whole chapter).
+ *
+ * The backend keeps an identical copy in backend/utils/scriptureReference.js.
+ * Keep the two files in sync.
+ */
+
+// ===========================================
+// Book Table
+// ===========================================
+// name: canonical book name, abbr: Church-style abbreviation,
+// chapters: number of chapters (sections for the D&C), aliases: other accepted spellings
+const BOOKS = [
+  // Old Testament
+  { work: 'bible', testament: 'ot', name: 'Genesis', abbr: 'Gen.', chapters: 50, aliases: ['Gn'] },
+  { work: 'bible', testament: 'ot', name: 'Exodus', abbr: 'Ex.', chapters: 40, aliases: ['Exod'] },
+  { work: 'bible', testament: 'ot', name: 'Leviticus', abbr: 'Lev.', chapters: 27, aliases: ['Lv'] },
+  { work: 'bible', testament: 'ot', name: 'Numbers', abbr: 'Num.', chapters: 36, aliases: ['Nm'] },
+  { work: 'bible', testament: 'ot', name: 'Deuteronomy', abbr: 'Deut.', chapters: 34, aliases: ['Dt'] },
+  { work: 'bible', testament: 'ot', name: 'Joshua', abbr: 'Josh.', chapters: 24, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Judges', abbr: 'Judg.', chapters: 21, aliases: ['Jdg'] },
+  { work: 'bible', testament: 'ot', name: 'Ruth', abbr: 'Ruth', chapters: 4, aliases: [] },
+  { work: 'bible', testament: 'ot', name: '1 Samuel', abbr: '1 Sam.', chapters: 31, aliases: [] },
+  { work: 'bible', testament: 'ot', name: '2 Samuel', abbr: '2 Sam.', chapters: 24, aliases: [] },
+  { work: 'bible', testament: 'ot', name: '1 Kings', abbr: '1 Kgs.', chapters: 22, aliases: [] },
+  { work: 'bible', testament: 'ot', name: '2 Kings', abbr: '2 Kgs.', chapters: 25, aliases: [] },
+  { work: 'bible', testament: 'ot', name: '1 Chronicles', abbr: '1 Chr.', chapters: 29, aliases: ['1 Chron'] },
+  { work: 'bible', testament: 'ot', name: '2 Chronicles', abbr: '2 Chr.', chapters: 36, aliases: ['2 Chron'] },
+  { work: 'bible', testament: 'ot', name: 'Ezra', abbr: 'Ezra', chapters: 10, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Nehemiah', abbr: 'Neh.', chapters: 13, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Esther', abbr: 'Esth.', chapters: 10, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Job', abbr: 'Job', chapters: 42, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Psalms', abbr: 'Ps.', chapters: 150, aliases: ['Psalm', 'Psa', 'Pss'] },
+  { work: 'bible', testament: 'ot', name: 'Proverbs', abbr: 'Prov.', chapters: 31, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Ecclesiastes', abbr: 'Eccl.', chapters: 12, aliases: ['Eccles'] },
+  { work: 'bible', testament: 'ot', name: 'Song of Solomon', abbr: 'Song', chapters: 8, aliases: ['Song of Songs', 'Canticles'] },
+  { work: 'bible', testament: 'ot', name: 'Isaiah', abbr: 'Isa.', chapters: 66, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Jeremiah', abbr: 'Jer.', chapters: 52, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Lamentations', abbr: 'Lam.', chapters: 5, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Ezekiel', abbr: 'Ezek.', chapters: 48, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Daniel', abbr: 'Dan.', chapters: 12, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Hosea', abbr: 'Hosea', chapters: 14, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Joel', abbr: 'Joel', chapters: 3, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Amos', abbr: 'Amos', chapters: 9, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Obadiah', abbr: 'Obad.', chapters: 1, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Jonah', abbr: 'Jonah', chapters: 4, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Micah', abbr: 'Micah', chapters: 7, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Nahum', abbr: 'Nahum', chapters: 3, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Habakkuk', abbr: 'Hab.', chapters: 3, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Zephaniah', abbr: 'Zeph.', chapters: 3, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Haggai', abbr: 'Hag.', chapters: 2, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Zechariah', abbr: 'Zech.', chapters: 14, aliases: [] },
+  { work: 'bible', testament: 'ot', name: 'Malachi', abbr: 'Mal.', chapters: 4, aliases: [] },
+
+  // New Testament
+  { work: 'bible', testament: 'nt', name: 'Matthew', abbr: 'Matt.', chapters: 28, aliases: ['Mt'] },
+  { work: 'bible', testament: 'nt', name: 'Mark', abbr: 'Mark', chapters: 16, aliases: ['Mk'] },
+  { work: 'bible', testament: 'nt', name: 'Luke', abbr: 'Luke', chapters: 24, aliases: ['Lk'] },
+  { work: 'bible', testament: 'nt', name: 'John', abbr: 'John', chapters: 21, aliases: ['Jn'] },
+  { work: 'bible', testament: 'nt', name: 'Acts', abbr: 'Acts', chapters: 28, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Romans', abbr: 'Rom.', chapters: 16, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '1 Corinthians', abbr: '1 Cor.', chapters: 16, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '2 Corinthians', abbr: '2 Cor.', chapters: 13, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Galatians', abbr: 'Gal.', chapters: 6, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Ephesians', abbr: 'Eph.', chapters: 6, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Philippians', abbr: 'Philip.', chapters: 4, aliases: ['Phil'] },
+  { work: 'bible', testament: 'nt', name: 'Colossians', abbr: 'Col.', chapters: 4, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '1 Thessalonians', abbr: '1 Thes.', chapters: 5, aliases: ['1 Thess'] },
+  { work: 'bible', testament: 'nt', name: '2 Thessalonians', abbr: '2 Thes.', chapters: 3, aliases: ['2 Thess'] },
+  { work: 'bible', testament: 'nt', name: '1 Timothy', abbr: '1 Tim.', chapters: 6, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '2 Timothy', abbr: '2 Tim.', chapters: 4, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Titus', abbr: 'Titus', chapters: 3, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Philemon', abbr: 'Philem.', chapters: 1, aliases: ['Phlm'] },
+  { work: 'bible', testament: 'nt', name: 'Hebrews', abbr: 'Heb.', chapters: 13, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'James', abbr: 'James', chapters: 5, aliases: ['Jas'] },
+  { work: 'bible', testament: 'nt', name: '1 Peter', abbr: '1 Pet.', chapters: 5, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '2 Peter', abbr: '2 Pet.', chapters: 3, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '1 John', abbr: '1 Jn.', chapters: 5, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '2 John', abbr: '2 Jn.', chapters: 1, aliases: [] },
+  { work: 'bible', testament: 'nt', name: '3 John', abbr: '3 Jn.', chapters: 1, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Jude', abbr: 'Jude', chapters: 1, aliases: [] },
+  { work: 'bible', testament: 'nt', name: 'Revelation', abbr: 'Rev.', chapters: 22, aliases: ['Revelations'] },
+
+  // Book of Mormon
+  { work: 'bofm', name: '1 Nephi', abbr: '1 Ne.', chapters: 22, aliases: [] },
+  { work: 'bofm', name: '2 Nephi', abbr: '2 Ne.', chapters: 33, aliases: [] },
+  { work: 'bofm', name: 'Jacob', abbr: 'Jacob', chapters: 7, aliases: [] },
+  { work: 'bofm', name: 'Enos', abbr: 'Enos', chapters: 1, aliases: [] },
+  { work: 'bofm', name: 'Jarom', abbr: 'Jarom', chapters: 1, aliases: [] },
+  { work: 'bofm', name: 'Omni', abbr: 'Omni', chapters: 1, aliases: [] },
+  { work: 'bofm', name: 'Words of Mormon', abbr: 'W of M', chapters: 1, aliases: ['WofM'] },
+  { work: 'bofm', name: 'Mosiah', abbr: 'Mosiah', chapters: 29, aliases: [] },
+  { work: 'bofm', name: 'Alma', abbr: 'Alma', chapters: 63, aliases: [] },
+  { work: 'bofm', name: 'Helaman', abbr: 'Hel.', chapters: 16, aliases: [] },
+  { work: 'bofm', name: '3 Nephi', abbr: '3 Ne.', chapters: 30, aliases: [] },
+  { work: 'bofm', name: '4 Nephi', abbr: '4 Ne.', chapters: 1, aliases: [] },
+  { work: 'bofm', name: 'Mormon', abbr: 'Morm.', chapters: 9, aliases: [] },
+  { work: 'bofm', name: 'Ether', abbr: 'Ether', chapters: 15, aliases: [] },
+  { work: 'bofm', name: 'Moroni', abbr: 'Moro.', chapters: 10, aliases: [] },
+
+  // Doctrine and Covenants
+  { work: 'dc', name: 'Doctrine and Covenants', abbr: 'D&C', chapters: 138, aliases: ['D and C', 'DC', 'Doctrine & Covenants'] },
+
+  // Pearl of Great Price
+  { work: 'pgp', name: 'Moses', abbr: 'Moses', chapters: 8, aliases: [] },
+  { work: 'pgp', name: 'Abraham', abbr: 'Abr.', chapters: 5, aliases: [] },
+  { work: 'pgp', name: 'Joseph Smith—Matthew', abbr: 'JS—M', chapters: 1, aliases: ['JSM', 'Joseph Smith Matthew'] },
+  { work: 'pgp', name: 'Joseph Smith—History', abbr: 'JS—H', chapters: 1, aliases: ['JSH', 'Joseph Smith History'] },
+  { work: 'pgp', name: 'Articles of Faith', abbr: 'A of F', chapters: 1, aliases: ['AofF', 'AoF'] }
+];
+
+// Display names of the four standard works
+const WORK_NAMES = {
+  bible: 'Bible',
+  bofm: 'Book of Mormon',
+  dc: 'Doctrine and Covenants',
+  pgp: 'Pearl of Great Price'
+};
+
+// Longest chapter in the standard works (Psalm 119)
+const MAX_VERSE = 176;
+
+// Spelled-out and Roman numeral prefixes for numbered books ("First Nephi", "II Kings")
+const ORDINAL_PREFIXES = {
+  first: '1', '1st': '1', i: '1',
+  second: '2', '2nd': '2', ii: '2',
+  third: '3', '3rd': '3', iii: '3',
+  fourth: '4', '4th': '4', iv: '4'
+};
+
+// ===========================================
+// Book Lookup
+// ===========================================
+
+/**
+ * Reduce a book name to a lookup key: lower case, no periods,
+ * single spaces, plain hyphens and no spaces around "-" or "&"
+ * @param {string} name - Book name as written
+ * @returns {string} - Lookup key (e.g. "JS — H." -> "js-h")
+ */
+const toBookKey = (name) => {
+  let key = name
+    .toLowerCase()
+    .replace(/\./g, ' ')
+    .replace(/[‐‑‒–—―]/g, '-')
+    .replace(/\s*([-&])\s*/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // "1Ne" -> "1 ne", "first nephi" -> "1 nephi"
+  key = key.replace(/^([1-4])(?=[a-z])/, '$1 ');
+  const [prefix, ...rest] = key.split(' ');
+  if (rest.length > 0 && ORDINAL_PREFIXES[prefix]) {
+    key = `${ORDINAL_PREFIXES[prefix]} ${rest.join(' ')}`;
+  }
+
+  return key;
+};
+
+// Map of lookup key -> book entry, covering names, abbreviations and aliases
+const BOOK_INDEX = new Map();
+for (const book of BOOKS) {
+  for (const name of [book.name, book.abbr, ...book.aliases]) {
+    BOOK_INDEX.set(toBookKey(name), book);
+  }
+}
+
+/**
+ * Find a book by any accepted name or abbreviation
+ * @param {string} name - e.g. "1 Ne.", "D&C", "JS—H", "Revelations"
+ * @returns {object|null} - Book entry from the book table
+ */
+const getBook = (name) => {
+  if (typeof name !== 'string') return null;
+  return BOOK_INDEX.get(toBookKey(name)) || null;
+};
+
+// ===========================================
+// Parsing
+// ===========================================
+
+const DASH = '\\s*[-‐‑‒–—―]\\s*';
+
+/**
+ * Build a regex source that matches a book name or abbreviation flexibly in free text
+ * (optional periods, any dash, optional spaces around "&" and after a leading number)
+ * @param {string} name - Book name as listed in the book table
+ * @returns {string} - Regex source
+ */
+const toBookPattern = (name) => {
+  return name
+    .replace(/\./g, '')
+    .split('')
+    .map((char, index, chars) => {
+      if (/[-–—]/.test(char)) return DASH;
+      if (char === '&') return '\\s*&\\s*';
+      if (char === ' ') return /\d/.test(chars[index - 1]) ? '\\s*' : '\\.?\\s+';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('') + '\\.?';
+};
+
+// Every accepted book spelling, longest first so "1 John" wins over "John"
+const BOOK_PATTERN = Array.from(new Set(
+  BOOKS.flatMap(book => [book.name, book.abbr, ...book.aliases])
+))
+  .sort((a, b) => b.length - a.length)
+  .map(toBookPattern)
+  .join('|');
+
+// Verse list such as "21", "4-5" or "21-23, 27". A comma item followed by a capitalized
+// word is left alone so "Alma 32:21, 2 Nephi 2:25" is read as two references.
+const VERSE_ITEM = `\\d+(?:${DASH}\\d+)?`;
+const VERSE_LIST = `${VERSE_ITEM}(?:\\s*,\\s*${VERSE_ITEM}(?![\\d:]|\\s+[A-Z0-9]))*`;
+
+// Chapter part: "32:21-23, 27", a chapter range "32-34", or a single chapter "32",
+// optionally followed by more "; chapter:verses" groups
+const CHAPTER_PART = `\\d+(?::${VERSE_LIST}(?:\\s*;\\s*\\d+:${VERSE_LIST})*|${DASH}\\d+(?![\\d:]))?`;
+
+// The leading group stands in for a lookbehind (not supported by older Safari)
+const REFERENCE_SOURCE = `(^|[^\\w&])(${BOOK_PATTERN})\\s*(${CHAPTER_PART})(?![\\w:])`;
+
+/**
+ * Expand a verse list like "21-23, 27" into sorted verse numbers
+ * @param {string} list - Verse list
+ * @returns {array|null} - Verse numbers, or null if a range is invalid
+ */
+const parseVerseList = (list) => {
+  const verses = new Set();
+
+  for (const item of list.split(',')) {
+    const [start, end] = item.split(/[-‐‑‒–—―]/).map(n => parseInt(n));
+    const last = Number.isNaN(end) || end === undefined ? start : end;
+
+    if (!start || last < start || last > MAX_VERSE) return null;
+    for (let v = start; v <= last; v++) verses.add(v);
+  }
+
+  return Array.from(verses).sort((a, b) => a - b);
+};
+
+/**
+ * Parse the numeric part of a reference for a known book
+ * @param {object} book - Book entry
+ * @param {string} chapterPart - e.g. "32:21-23, 27; 33:1", "32-34", or "3" for "Jude 3"
+ * @returns {array} - Structured references (empty if invalid)
+ */
+const parseChapterPart = (book, chapterPart) => {
+  // "3:7, 4:1" lists two chapters - treat the comma like a semicolon
+  let part = chapterPart
+    .replace(/\s+/g, ' ')
+    .replace(/,\s*(?=\d+:)/g, ';')
+    .trim();
+  const refs = [];
+
+  // Single-chapter books are cited by verse alone: "Jude 3" is Jude 1:3 ("Enos 1" is the book)
+  if (book.chapters === 1 && !part.includes(':') && part !== '1') {
+    part = `1:${part}`;
+  }
+
+  // Chapter range with no verses: "Alma 32-34"
+  const chapterRange = part.match(/^(\d+)\s*[-‐‑‒–—―]\s*(\d+)$/);
+  if (chapterRange) {
+    const start = parseInt(chapterRange[1]);
+    const end = parseInt(chapterRange[2]);
+    if (start < 1 || end < start || end > book.chapters) return [];
+
+    for (let chapter = start; chapter <= end; chapter++) {
+      refs.push({ work: book.work, book: book.name, chapter, verses: [] });
+    }
+    return refs;
+  }
+
+  for (const group of part.split(';')) {
+    const pieces = group.split(':');
+    const [chapterText, verseText] = pieces;
+    const chapter = parseInt(chapterText);
+
+    if (pieces.length > 2 || !chapter || chapter > book.chapters) return [];
+
+    if (verseText === undefined) {
+      refs.push({ work: book.work, book: book.name, chapter, verses: [] });
+      continue;
+    }
+
+    const verses = parseVerseList(verseText);
+    if (!verses) return [];
+
+    refs.push({ work: book.work, book: book.name, chapter, verses });
+  }
+
+  return refs;
+};
+
+/**
+ * Parse a reference string on its own (e.g. a URL parameter or user input)
+ * @param {string} text - e.g. "Alma 32:21", "Moroni 10:4-5", "1 Ne. 3:7; 4:1", "Alma 32",
+ *                        "Alma 32:21; Ether 12:6"
+ * @returns {array} - Structured references { work, book, chapter, verses }; empty if unparseable
+ */
+const parseReference = (text) => {
+  if (typeof text !== 'string') return [];
+
+  // Split at each "; " that starts a new book, so "1 Ne. 3:7; 4:1" stays one segment
+  const segments = text.trim().split(/\s*;\s*(?=[^;]*[a-z])/i);
+  const refs = [];
+
+  for (const segment of segments) {
+    const match = segment.match(/^(.+?)\s*(\d+(?:\s*[:;,\-‐‑‒–—―]\s*\d+)*)\s*$/);
+    if (!match) return [];
+
+    const book = getBook(match[1]);
+    if (!book) return [];
+
+    const segmentRefs = parseChapterPart(book, match[2]);
+    if (segmentRefs.length === 0) return [];
+
+    refs.push(...segmentRefs);
+  }
+
+  return refs;
+};
+
+/**
+ * Find every scripture reference in free text (e.g. an AI response).
+ * Matching is case-sensitive, so "mark 2" in prose is not read as a citation.
+ * @param {string} text - Text to scan
+ * @param {object} options - { includeInvalid: also return citations of chapters or verses
+ *                           that cannot exist (e.g. "Alma 99:1"), flagged invalid: true }
+ * @returns {array} - Matches { text, index, refs, book, invalid } in order of appearance
+ */
+const findReferences = (text, { includeInvalid = false } = {}) => {
+  if (typeof text !== 'string') return [];
+
+  const pattern = new RegExp(REFERENCE_SOURCE, 'g');
+  const matches = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, prefix, bookText, chapterPart] = match;
+    const book = getBook(bookText);
+    const refs = book ? parseChapterPart(book, chapterPart) : [];
+
+    if (refs.length > 0 || (book && includeInvalid)) {
+      matches.push({
+        text: whole.slice(prefix.length),
+        index: match.index + prefix.length,
+        refs,
+        book: book ? book.name : null,
+        invalid: refs.length === 0
+      });
+    }
+  }
+
+  return matches;
+};
+
+// ===========================================
+// Formatting
+// ===========================================
+
+/**
+ * Collapse sorted verse numbers into a display list ("4, 5, 6, 9" -> "4-6, 9")
+ * @param {array} verses - Sorted verse numbers
+ * @returns {string} - Verse list
+ */
+const formatVerseList = (verses) => {
+  const ranges = [];
+
+  for (const verse of verses) {
+    const last = ranges[ranges.length - 1];
+    if (last && verse === last[1] + 1) {
+      last[1] = verse;
+    } else {
+      ranges.push([verse, verse]);
+    }
+  }
+
+  return ranges
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+};
+
+/**
+ * Format a structured reference as a canonical display string
+ * @param {object} ref - { book, chapter, verses }
+ * @param {object} options - { abbreviate: use Church-style abbreviations such as "D&C" }
+ * @returns {string} - e.g. "Moroni 10:4-5", "Doctrine and Covenants 121:7-8", "Alma 32"
+ */
+const formatReference = (ref, { abbreviate = false } = {}) => {
+  const book = getBook(ref.book);
+  const bookName = abbreviate && book ? book.abbr : (book ? book.name : ref.book);
+
+  if (!ref.verses || ref.verses.length === 0) {
+    return `${bookName} ${ref.chapter}`;
+  }
+
+  return `${bookName} ${ref.chapter}:${formatVerseList(ref.verses)}`;
+};
+
+/**
+ * Parse and re-format a reference string into canonical form
+ * @param {string} text - Reference as written
+ * @returns {string|null} - Canonical reference, or null if unparseable
+ */
+const normalizeReference = (text) => {
+  const refs = parseReference(text);
+  if (refs.length === 0) return null;
+
+  return refs.map((ref, index) => {
+    const formatted = formatReference(ref);
+    // "Alma 32:21; 33:1" - later groups in the same book repeat only the chapter
+    const sameBook = index > 0 && refs[index - 1].book === ref.book;
+    return sameBook ? formatted.slice(ref.book.length + 1) : formatted;
+  }).join('; ');
+};
+
+/**
+ * Parse a reference that names one passage (a chapter, or verses within one chapter)
+ * @param {string} text - Reference as written
+ * @returns {object|null} - { reference, work, book, chapter, verses }, or null if not a single passage
+ */
+const parsePassage = (text) => {
+  const refs = parseReference(text);
+  if (refs.length !== 1) return null;
+
+  const [ref] = refs;
+  return { reference: formatReference(ref), work: ref.work, book: ref.book, chapter: ref.chapter, verses: ref.verses };
+};
+
+export {
+  BOOKS,
+  WORK_NAMES,
+  getBook,
+  parseReference,
+  findReferences,
+  formatReference,
+  normalizeReference,
+  parsePassage
+};